@@ -0,0 +1,306 @@
+#!/usr/bin/env node
+import { parseArgs } from "node:util";
+import { readFile, writeFile, mkdir } from "node:fs/promises";
+import { basename, extname, join, resolve } from "node:path";
+import { ANTHROPIC_URL, ANTHROPIC_VERSION, openAiBaseUrl, readApiKey } from "../server/proxy.js";
+import {
+  ANALYSIS_SCOPES, APP_VERSION, DEFAULT_STYLES, DEFAULT_TEMPLATE_B64, MAX_CONCURRENT_SCOPES, PROVIDERS,
+  addUsage, b64ToArrayBuffer, createAnalysisClient, documentKind, exportToCsv,
+  exportToHtml, exportToMarkdown, exportToTxt, exportToXlsx, exportWithTemplate, extractDocumentText, fetchDocumentText, formatDuration, formatTokens, formatUsd,
+  parseScopeLibrary, usageTotals, validateTemplate,
+} from "../src/core.js";
+
+// ─── release-lens CLI ─────────────────────────────────────────────────────────
+// Headless batch analysis for pipelines. Uses the same core as the browser app:
+// each input (file or URL) is extracted, every chosen scope is analysed, and the
+// report is written to the output directory in any of the export formats or .json.
+// Progress goes to stderr; stdout lists the files written, one per line.
+// Calls Anthropic directly with ANTHROPIC_API_KEY / ANTHROPIC_API_KEY_FILE, or
+// with --provider openai the endpoint in OPENAI_BASE_URL (OPENAI_API_KEY optional).
+
+const EXIT_OK       = 0;
+const EXIT_ANALYSIS = 1; // API or analysis failure
+const EXIT_USAGE    = 2; // bad arguments or configuration
+const EXIT_INPUT    = 3; // an input could not be read or had no text
+
+const DEFAULT_SCOPES  = ["new_features", "deprecated", "deployment_changes"];
+const FORMATS         = ["docx", "txt", "md", "html", "xlsx", "csv", "json"];
+const DEFAULT_FORMATS = ["docx", "txt", "json"];
+
+const USAGE = `release-lens ${APP_VERSION} — analyse release documentation from the command line
+
+Usage: release-lens [options] <file|url>...
+
+Options:
+  -s, --scopes <ids>     Comma-separated scope ids, or "all" (default: ${DEFAULT_SCOPES.join(",")})
+                         Built-in: ${ANALYSIS_SCOPES.map(s => s.id).join(", ")}
+      --library <file>   Scope library JSON exported from the app; its scopes are
+                         selectable by id or label and included in "all"
+      --custom <label>   Add a custom scope (repeatable)
+  -t, --template <docx>  Word template (default: the built-in template)
+  -o, --out <dir>        Output directory (default: release-lens-output)
+  -f, --format <list>    Any of ${FORMATS.join(",")} (default: ${DEFAULT_FORMATS.join(",")})
+  -p, --provider <id>    ${Object.keys(PROVIDERS).join(", ")} (default: $LLM_PROVIDER or anthropic)
+  -m, --model <name>     Model for every call (default: the provider's default)
+      --scope-model <id=model>
+                         Model for one scope, e.g. security=claude-opus-4-5-20251101 (repeatable)
+  -v, --version          Print the version
+  -h, --help             Show this help
+
+Inputs: .pdf, .docx, .html, .htm, .md, .markdown, .txt files or http(s) URLs.
+Exit codes: 0 ok · 1 API/analysis failure · 2 usage error · 3 unreadable input`;
+
+const usageError = message => Object.assign(new Error(message), { exitCode: EXIT_USAGE });
+const inputError = message => Object.assign(new Error(message), { exitCode: EXIT_INPUT });
+const log = line => process.stderr.write(`${line}\n`);
+
+function parseCommandLine(argv) {
+  try {
+    return parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        scopes:   { type: "string", short: "s" },
+        library:  { type: "string" },
+        custom:   { type: "string", multiple: true, default: [] },
+        template: { type: "string", short: "t" },
+        out:      { type: "string", short: "o", default: "release-lens-output" },
+        format:   { type: "string", short: "f", default: DEFAULT_FORMATS.join(",") },
+        provider: { type: "string", short: "p" },
+        model:    { type: "string", short: "m" },
+        "scope-model": { type: "string", multiple: true, default: [] },
+        version:  { type: "boolean", short: "v" },
+        help:     { type: "boolean", short: "h" },
+      },
+    });
+  } catch (e) {
+    throw usageError(e.message);
+  }
+}
+
+// Built-in ids, library ids/labels and --custom labels → the run's scope list
+async function resolveScopes(values) {
+  let library = [];
+  if (values.library) {
+    try {
+      library = parseScopeLibrary(await readFile(values.library, "utf8"));
+    } catch (e) {
+      throw usageError(`Could not read scope library ${values.library}: ${e.message}`);
+    }
+  }
+  const requested = values.scopes ? values.scopes.split(",").map(s => s.trim()).filter(Boolean) : DEFAULT_SCOPES;
+  const scopes = requested.includes("all")
+    ? [...ANALYSIS_SCOPES, ...library]
+    : requested.map(id => {
+        const scope = ANALYSIS_SCOPES.find(s => s.id === id)
+          || library.find(s => s.id === id || s.label.toLowerCase() === id.toLowerCase());
+        if (!scope) throw usageError(`Unknown scope: ${id}`);
+        return scope;
+      });
+  values.custom.forEach((label, i) => scopes.push({ id: `custom_${i + 1}`, label, color: "#F59E0B", icon: "◈" }));
+  if (!scopes.length) throw usageError("No scopes selected.");
+  return scopes;
+}
+
+// { buffer, styles } for exportWithTemplate
+async function loadTemplate(path) {
+  if (!path) return { buffer: b64ToArrayBuffer(DEFAULT_TEMPLATE_B64), styles: DEFAULT_STYLES };
+  let buffer, report;
+  try {
+    buffer = await readFile(path);
+    report = await validateTemplate(buffer);
+  } catch (e) {
+    throw usageError(`Could not read template ${path}: ${e.message}`);
+  }
+  if (!report.ok) throw usageError(`Template ${path}: ${report.errors.join("; ")}`);
+  report.warnings.forEach(w => log(`Template: ${w}`));
+  return { buffer, styles: report.styles };
+}
+
+// Direct download for URL sources — the CLI has no proxy in front of it
+async function download(url) {
+  const resp = await fetch(url, { headers: { "User-Agent": `ReleaseLens/${APP_VERSION} (release-lens CLI)` } });
+  if (!resp.ok) return resp;
+  return new Response(resp.body, {
+    headers: { "Content-Type": resp.headers.get("content-type") || "application/octet-stream", "X-Final-Url": resp.url || url },
+  });
+}
+
+async function loadInput(input, label) {
+  const isUrl = new RegExp("^https?://", "i").test(input);
+  let text;
+  try {
+    if (isUrl) {
+      text = await fetchDocumentText(input, msg => log(`${label} ${msg}`), download);
+    } else {
+      if (!documentKind(input)) throw new Error("unsupported file type. Use PDF, DOCX, HTML, Markdown or TXT.");
+      const file = new File([await readFile(input)], basename(input));
+      text = await extractDocumentText(file, (done, total) => { if (done === total) log(`${label} extracted ${total} pages`); });
+    }
+  } catch (e) {
+    throw inputError(`${input}: ${e.message}`);
+  }
+  if (!text.replace(new RegExp("\\[(Page|Section) \\d+\\]", "g"), "").trim()) {
+    throw inputError(`${input}: no readable text found${documentKind(input) === "pdf" ? " (scanned PDFs need the browser app for OCR)" : ""}.`);
+  }
+  return { text, isUrl };
+}
+
+// Same shape as a saved history run in the app
+function runRecord(input, isUrl, docTitle, scopes, resultMap, llm, usage) {
+  const totalFindings = scopes.reduce((n, s) => n + resultMap[s.id].length, 0);
+  return {
+    id: `run_${Date.now()}`,
+    title: docTitle.title || basename(input),
+    docTitle,
+    sourceName: isUrl ? input : basename(input),
+    sourceUrl: isUrl ? input : "",
+    sourceType: isUrl ? "url" : "file",
+    scopes: scopes.map(({ id, label, icon, color, prompt = "", layout = null }) => ({ id, label, icon, color, prompt, layout })),
+    resultMap,
+    deltaInfo: null,
+    totalFindings,
+    createdAt: Date.now(),
+    llm: { provider: llm.provider, model: llm.model || PROVIDERS[llm.provider].defaultModel, scopeModels: llm.scopeModels },
+    usage,
+  };
+}
+
+async function analyseInput(input, { llm, scopes, template, formats, outDir, stem }) {
+  const label = `[${basename(input)}]`;
+  log(`${label} reading…`);
+  const { text, isUrl } = await loadInput(input, label);
+  log(`${label} ${Math.round(text.length / 1000)}k chars · ${scopes.length} scopes`);
+
+  // One client per input, so its usage is this document's alone
+  let usage = {};
+  const client = createAnalysisClient({ ...llm, onUsage: u => { usage = addUsage(usage, u, llm.provider); } });
+  const est = client.estimateRun(scopes, text).total;
+  log(`${label} estimate: ${formatTokens(est.input)} input · ~${formatTokens(est.output)} output tokens · ${formatUsd(est.usd)} · ~${formatDuration(est.secs)}`);
+
+  const controller = new AbortController();
+  const docTitle = { title: "", subtitle: "", revision: "", ...(await client.extractDocTitle(text, controller.signal) || {}) };
+
+  // Up to MAX_CONCURRENT_SCOPES scopes side by side, as in the app
+  const resultMap = {};
+  const queue = [...scopes];
+  const worker = async () => {
+    while (queue.length) {
+      const scope = queue.shift();
+      resultMap[scope.id] = await client.callClaude(scope, text, {
+        signal: controller.signal,
+        onProgress: p => { if (p.total > 1 && p.done < p.total) log(`${label} ${scope.label}: chunk ${p.done + 1} of ${p.total}${p.pages ? ` (${p.pages})` : ""}`); },
+      });
+      log(`${label} ${scope.label}: ${resultMap[scope.id].length} findings`);
+    }
+  };
+  try {
+    await Promise.all(Array.from({ length: Math.min(MAX_CONCURRENT_SCOPES, scopes.length) }, worker));
+  } catch (e) {
+    controller.abort(); // stop the other workers too
+    throw e;
+  }
+
+  const used = usageTotals(usage);
+  log(`${label} used: ${formatTokens(used.input)} input · ${formatTokens(used.output)} output tokens · ${formatUsd(used.usd)}`);
+  const run = runRecord(input, isUrl, docTitle, scopes, resultMap, llm, usage);
+  const docName = run.sourceName;
+  const outputs = {
+    docx: async () => (await exportWithTemplate(template.buffer, scopes, resultMap, docName, docTitle, template.styles, null, run.llm)).data,
+    txt:  async () => exportToTxt(scopes, resultMap, docName, run.totalFindings, docTitle, null, run.llm).data,
+    md:   async () => exportToMarkdown(scopes, resultMap, docName, run.totalFindings, docTitle).data,
+    html: async () => exportToHtml(scopes, resultMap, docName, run.totalFindings, docTitle).data,
+    xlsx: async () => (await exportToXlsx(scopes, resultMap, docName, docTitle)).data,
+    csv:  async () => exportToCsv(scopes, resultMap, docName).data,
+    json: async () => JSON.stringify(run, null, 2),
+  };
+  const written = [];
+  for (const format of formats) {
+    const path = join(outDir, `${stem}.${format}`);
+    await writeFile(path, await outputs[format]());
+    written.push(path);
+  }
+  return written;
+}
+
+// "guide.pdf", "guide.html" → "guide", "guide_2"; URLs by their last path segment
+function outputStems(inputs) {
+  const seen = new Map();
+  return inputs.map(input => {
+    const name = new RegExp("^https?://", "i").test(input)
+      ? basename(new URL(input).pathname) || new URL(input).hostname
+      : basename(input);
+    const base = basename(name, extname(name)).replace(new RegExp("[^a-z0-9._-]", "gi"), "_") || "document";
+    const n = (seen.get(base) || 0) + 1;
+    seen.set(base, n);
+    return n > 1 ? `${base}_${n}` : base;
+  });
+}
+
+// --provider/--model/--scope-model → createAnalysisClient options
+function clientOptions(values) {
+  const provider = values.provider || process.env.LLM_PROVIDER || "anthropic";
+  if (!PROVIDERS[provider]) throw usageError(`Unknown provider: ${provider}. Use ${Object.keys(PROVIDERS).join(", ")}.`);
+
+  const scopeModels = {};
+  for (const pair of values["scope-model"]) {
+    const [id, model] = pair.split("=").map(part => part.trim());
+    if (!id || !model) throw usageError(`Bad --scope-model ${pair}. Use <scope id>=<model>.`);
+    scopeModels[id] = model;
+  }
+  const options = { provider, model: values.model, scopeModels, onStatus: log };
+
+  if (provider === "anthropic") {
+    const apiKey = readApiKey();
+    if (!apiKey) throw usageError("No Anthropic API key configured. Set ANTHROPIC_API_KEY or ANTHROPIC_API_KEY_FILE.");
+    return { ...options, endpoint: ANTHROPIC_URL, headers: { "x-api-key": apiKey, "anthropic-version": ANTHROPIC_VERSION } };
+  }
+  if (provider === "openai") {
+    const base = openAiBaseUrl();
+    if (!base) throw usageError("No OpenAI-compatible endpoint configured. Set OPENAI_BASE_URL (e.g. http://localhost:11434/v1).");
+    const key = (process.env.OPENAI_API_KEY || "").trim();
+    return { ...options, endpoint: `${base}/chat/completions`, headers: key ? { Authorization: `Bearer ${key}` } : {} };
+  }
+  return options;
+}
+
+async function main(argv) {
+  const { values, positionals } = parseCommandLine(argv);
+  if (values.help) { console.log(USAGE); return EXIT_OK; }
+  if (values.version) { console.log(APP_VERSION); return EXIT_OK; }
+  if (!positionals.length) throw usageError("No input files given.");
+
+  const formats = values.format.split(",").map(f => f.trim().toLowerCase()).filter(Boolean);
+  const badFormat = formats.find(f => !FORMATS.includes(f));
+  if (badFormat || !formats.length) throw usageError(`Unknown format: ${badFormat || values.format}. Use ${FORMATS.join(", ")}.`);
+
+  const llm = clientOptions(values);
+
+  const scopes   = await resolveScopes(values);
+  const template = await loadTemplate(values.template);
+  const outDir   = resolve(values.out);
+  await mkdir(outDir, { recursive: true });
+
+  // Every input is attempted; the exit code reports the first failure
+  const stems = outputStems(positionals);
+  let exitCode = EXIT_OK;
+  for (let i = 0; i < positionals.length; i++) {
+    try {
+      const written = await analyseInput(positionals[i], { llm, scopes, template, formats, outDir, stem: stems[i] });
+      written.forEach(path => console.log(path));
+    } catch (e) {
+      log(`release-lens: ${e.exitCode ? e.message : `analysis of ${positionals[i]} failed: ${e.message}`}`);
+      if (exitCode === EXIT_OK) exitCode = e.exitCode || EXIT_ANALYSIS;
+    }
+  }
+  return exitCode;
+}
+
+main(process.argv.slice(2)).then(
+  code => { process.exitCode = code; },
+  e => {
+    log(`release-lens: ${e.message}`);
+    if (e.exitCode === EXIT_USAGE) log("Run release-lens --help for usage.");
+    process.exitCode = e.exitCode || EXIT_ANALYSIS;
+  },
+);
@@ -0,0 +1,53 @@
+import { createServer } from "node:http";
+import { createReadStream, existsSync, statSync } from "node:fs";
+import { extname, join, normalize, resolve, dirname } from "node:path";
+import { fileURLToPath } from "node:url";
+import { createApiMiddleware } from "./proxy.js";
+
+// ─── Production server ────────────────────────────────────────────────────────
+// Serves the built SPA from dist/ and mounts the /api proxy alongside it.
+// Replaces `vite preview` in the Docker image — no dependencies beyond Node.
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), "..", "dist");
+const HOST = process.env.HOST || "0.0.0.0";
+const PORT = Number(process.env.PORT) || 4173;
+
+const MIME_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js":   "text/javascript; charset=utf-8",
+  ".css":  "text/css; charset=utf-8",
+  ".json": "application/json",
+  ".svg":  "image/svg+xml",
+  ".png":  "image/png",
+  ".ico":  "image/x-icon",
+  ".woff2":"font/woff2",
+};
+
+function serveStatic(req, res) {
+  let urlPath;
+  try {
+    urlPath = decodeURIComponent((req.url || "/").split("?")[0]);
+  } catch (e) {
+    // Malformed escape such as %E0%A4%A
+    res.writeHead(400);
+    return res.end();
+  }
+  // normalize() + the prefix check keep requests inside dist/
+  let filePath = join(ROOT, normalize(urlPath));
+  if (!filePath.startsWith(ROOT)) { res.writeHead(403); return res.end(); }
+  if (!existsSync(filePath) || statSync(filePath).isDirectory()) filePath = join(ROOT, "index.html");
+
+  const isAsset = filePath.includes(`${join(ROOT, "assets")}`);
+  res.writeHead(200, {
+    "Content-Type": MIME_TYPES[extname(filePath)] || "application/octet-stream",
+    "Cache-Control": isAsset ? "public, max-age=31536000, immutable" : "no-cache",
+  });
+  createReadStream(filePath).pipe(res);
+}
+
+const api = createApiMiddleware();
+
+createServer((req, res) => api(req, res, () => serveStatic(req, res)))
+  .listen(PORT, HOST, () => {
+    console.log(`ReleaseLens listening on http://${HOST}:${PORT}`);
+  });
@@ -0,0 +1,81 @@
+import { createServer } from "node:http";
+
+// ─── Mock issue tracker ───────────────────────────────────────────────────────
+// A local stand-in for Jira and GitHub Issues, for trying "Create tickets"
+// without touching a real tracker. It accepts the two create-issue calls the
+// adapters in trackers.js make, checks for an Authorization header, and keeps
+// every issue in memory. GET /issues lists them; DELETE /issues clears them.
+//
+//   npm run mock:tracker
+//   JIRA_BASE_URL=http://localhost:4010 JIRA_EMAIL=me@example.com JIRA_API_TOKEN=x JIRA_PROJECT_KEY=REL \
+//   GITHUB_API_URL=http://localhost:4010 GITHUB_TOKEN=x GITHUB_REPO=acme/platform npm start
+//
+// MOCK_TRACKER_FAIL=<n> makes every n-th issue fail with a 400, to see how
+// partial failures are reported.
+
+const HOST = process.env.HOST || "127.0.0.1";
+const PORT = Number(process.env.MOCK_TRACKER_PORT) || 4010;
+const FAIL_EVERY = Number(process.env.MOCK_TRACKER_FAIL) || 0;
+
+const issues = [];
+
+function sendJson(res, status, obj) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(obj));
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", c => chunks.push(c));
+    req.on("end", () => {
+      try { resolve(JSON.parse(Buffer.concat(chunks).toString("utf8") || "{}")); }
+      catch (e) { reject(e); }
+    });
+    req.on("error", reject);
+  });
+}
+
+const GITHUB_ISSUES = new RegExp("^/repos/([^/]+)/([^/]+)/issues$");
+
+async function handle(req, res) {
+  const path = (req.url || "/").split("?")[0];
+  if (path === "/issues" && req.method === "GET") return sendJson(res, 200, issues);
+  if (path === "/issues" && req.method === "DELETE") { issues.length = 0; return sendJson(res, 200, { ok: true }); }
+  if (req.method !== "POST") return sendJson(res, 404, { message: "Not Found" });
+
+  const isJira = path === "/rest/api/2/issue";
+  const github = path.match(GITHUB_ISSUES);
+  if (!isJira && !github) return sendJson(res, 404, { message: "Not Found" });
+  if (!req.headers.authorization) {
+    return isJira ? sendJson(res, 401, { errorMessages: ["You are not authenticated."], errors: {} }) : sendJson(res, 401, { message: "Requires authentication" });
+  }
+
+  let body;
+  try {
+    body = await readJson(req);
+  } catch (e) {
+    return sendJson(res, 400, { message: `Invalid JSON: ${e.message}` });
+  }
+  const n = issues.length + 1;
+  if (FAIL_EVERY && n % FAIL_EVERY === 0) {
+    issues.push({ rejected: true, tracker: isJira ? "jira" : "github", body });
+    return isJira ? sendJson(res, 400, { errorMessages: [], errors: { priority: "Priority name is not valid (mock failure)" } }) : sendJson(res, 422, { message: "Validation Failed (mock failure)" });
+  }
+
+  if (isJira) {
+    const f = body.fields || {};
+    if (!f.project?.key || !f.summary) return sendJson(res, 400, { errorMessages: [], errors: { summary: "You must specify a summary of the issue." } });
+    const key = `${f.project.key}-${n}`;
+    issues.push({ tracker: "jira", key, body });
+    return sendJson(res, 201, { id: String(10000 + n), key, self: `http://${req.headers.host}/rest/api/2/issue/${10000 + n}` });
+  }
+  if (!body.title) return sendJson(res, 422, { message: "Validation Failed" });
+  issues.push({ tracker: "github", key: `#${n}`, body });
+  return sendJson(res, 201, { number: n, html_url: `http://${req.headers.host}/${github[1]}/${github[2]}/issues/${n}` });
+}
+
+createServer((req, res) => handle(req, res).catch(e => sendJson(res, 500, { message: e.message })))
+  .listen(PORT, HOST, () => {
+    console.log(`Mock issue tracker listening on http://${HOST}:${PORT} (GET /issues to inspect)`);
+  });
@@ -0,0 +1,333 @@
+import { readFileSync } from "node:fs";
+import { Readable } from "node:stream";
+import { lookup as dnsLookup } from "node:dns";
+import { get as httpGet } from "node:http";
+import { get as httpsGet } from "node:https";
+import { BlockList, isIP } from "node:net";
+import { createTickets, listTrackers } from "./trackers.js";
+
+// ─── Anthropic API proxy ──────────────────────────────────────────────────────
+// The browser never sees the API key. It POSTs a Messages API body to
+// /api/analyze and this handler forwards it with the key attached.
+// The key is read on every request, so rotating it only needs a restart
+// (ANTHROPIC_API_KEY) or a file swap (ANTHROPIC_API_KEY_FILE) — no rebuild.
+
+export const ANTHROPIC_URL     = "https://api.anthropic.com/v1/messages";
+export const ANTHROPIC_VERSION = "2023-06-01";
+const MAX_BODY_BYTES    = 5 * 1024 * 1024;
+
+// Response headers worth passing back to the client (rate-limit info, ids)
+const FORWARD_HEADERS = new RegExp("^(content-type|retry-after|request-id|anthropic-ratelimit-.*)$", "i");
+
+export function readApiKey(env = process.env) {
+  if (env.ANTHROPIC_API_KEY_FILE) {
+    try { return readFileSync(env.ANTHROPIC_API_KEY_FILE, "utf8").trim(); }
+    catch (e) { /* fall through to the plain env var */ }
+  }
+  return (env.ANTHROPIC_API_KEY || "").trim();
+}
+
+function sendJson(res, status, obj, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(obj));
+}
+
+// Errors are shaped like Anthropic's own so the client parses them the same way
+function sendError(res, status, message, headers) {
+  sendJson(res, status, { type: "error", error: { type: "proxy_error", message } }, headers);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", c => {
+      if (size > MAX_BODY_BYTES) return;
+      size += c.length;
+      if (size > MAX_BODY_BYTES) {
+        chunks.length = 0;
+        reject(Object.assign(new Error(`Request body exceeds ${MAX_BODY_BYTES / 1024 / 1024} MB`), { status: 413 }));
+        return;
+      }
+      chunks.push(c);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+// Parses a JSON request body. On failure the error response is already sent
+// and undefined is returned. An oversized body gets its 413 with
+// `Connection: close`, and the socket is dropped once that is written
+// rather than reading the rest of the upload.
+async function readJsonBody(req, res) {
+  try {
+    return JSON.parse(await readBody(req));
+  } catch (e) {
+    if (e.status === 413) {
+      res.on("finish", () => req.destroy());
+      return sendError(res, 413, e.message, { Connection: "close" });
+    }
+    return sendError(res, 400, `Invalid request body: ${e.message}`);
+  }
+}
+
+async function handleAnalyze(req, res) {
+  const apiKey = readApiKey();
+  if (!apiKey) return sendError(res, 500, "Server has no Anthropic API key configured. Set ANTHROPIC_API_KEY.");
+
+  const body = await readJsonBody(req, res);
+  if (body === undefined) return;
+
+  // Abort the upstream call if the browser goes away (e.g. the user cancels)
+  const controller = new AbortController();
+  res.on("close", () => { if (!res.writableEnded) controller.abort(); });
+
+  let upstream;
+  try {
+    upstream = await fetch(ANTHROPIC_URL, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "x-api-key": apiKey,
+        "anthropic-version": ANTHROPIC_VERSION,
+      },
+      body: JSON.stringify(body),
+      signal: controller.signal,
+    });
+  } catch (e) {
+    if (e.name === "AbortError") return;
+    return sendError(res, 502, `Could not reach Anthropic API: ${e.message}`);
+  }
+
+  const headers = {};
+  upstream.headers.forEach((v, k) => { if (FORWARD_HEADERS.test(k)) headers[k] = v; });
+  res.writeHead(upstream.status, headers);
+  if (!upstream.body) return res.end();
+  // Pipe rather than buffer so streamed (SSE) responses pass straight through
+  Readable.fromWeb(upstream.body).on("error", () => res.end()).pipe(res);
+}
+
+// ─── OpenAI-compatible endpoint ───────────────────────────────────────────────
+// For documents that must not leave the network: /api/openai/* is forwarded to
+// OPENAI_BASE_URL (Ollama, llama.cpp server, vLLM, … e.g. http://localhost:11434/v1)
+// with OPENAI_API_KEY as a bearer token when set. The browser does the request
+// and response mapping (see PROVIDERS in src/core.js); this only relays.
+
+const OPENAI_TIMEOUT_MS = 10 * 60 * 1000; // local models can be slow on long chunks
+const OPENAI_PATHS      = ["/chat/completions", "/models"];
+
+export const openAiBaseUrl = (env = process.env) => (env.OPENAI_BASE_URL || "").trim().replace(new RegExp("/+$"), "");
+
+async function handleOpenAi(req, res, subpath) {
+  const base = openAiBaseUrl();
+  if (!base) return sendError(res, 500, "No OpenAI-compatible endpoint configured. Set OPENAI_BASE_URL (e.g. http://localhost:11434/v1).");
+  if (!OPENAI_PATHS.includes(subpath)) return sendError(res, 404, "Not found");
+  let body;
+  if (req.method === "POST") {
+    body = await readJsonBody(req, res);
+    if (body === undefined) return;
+  }
+
+  const controller = new AbortController();
+  res.on("close", () => { if (!res.writableEnded) controller.abort(); });
+  const timer = setTimeout(() => controller.abort(), OPENAI_TIMEOUT_MS);
+  const key = (process.env.OPENAI_API_KEY || "").trim();
+  let upstream;
+  try {
+    upstream = await fetch(`${base}${subpath}`, {
+      method: req.method,
+      headers: { "Content-Type": "application/json", ...(key ? { Authorization: `Bearer ${key}` } : {}) },
+      body: body === undefined ? undefined : JSON.stringify(body),
+      signal: controller.signal,
+    });
+  } catch (e) {
+    if (e.name === "AbortError" && res.destroyed) return;
+    return sendError(res, 502, `Could not reach the model endpoint at ${base}: ${e.message}`);
+  } finally {
+    clearTimeout(timer);
+  }
+  res.writeHead(upstream.status, { "Content-Type": upstream.headers.get("content-type") || "application/json" });
+  res.end(Buffer.from(await upstream.arrayBuffer()));
+}
+
+// ─── Document fetcher ─────────────────────────────────────────────────────────
+// GET /api/fetch?url=… downloads a documentation page or PDF server-side (no
+// CORS in the way) and returns the raw bytes; the browser does the extraction.
+// Private and loopback addresses are refused unless FETCH_ALLOW_PRIVATE=1,
+// so the server cannot be used to probe the network it runs in.
+
+const FETCH_TIMEOUT_MS = 20000;
+const MAX_FETCH_BYTES  = 25 * 1024 * 1024;
+const MAX_REDIRECTS    = 5;
+const FETCH_USER_AGENT = "ReleaseLens/1.x (documentation fetcher)";
+
+// Loopback, private, link-local, CGNAT, benchmarking, multicast and reserved
+// ranges. BlockList also matches IPv4-mapped IPv6 (::ffff:7f00:1) against the
+// IPv4 rules.
+const PRIVATE_RANGES = new BlockList();
+[["0.0.0.0", 8], ["10.0.0.0", 8], ["127.0.0.0", 8], ["169.254.0.0", 16], ["172.16.0.0", 12], ["192.168.0.0", 16], ["100.64.0.0", 10],
+ ["198.18.0.0", 15], ["224.0.0.0", 4], ["240.0.0.0", 4]]
+  .forEach(([net, prefix]) => PRIVATE_RANGES.addSubnet(net, prefix, "ipv4"));
+// ::/96 covers ::, ::1 and the old IPv4-compatible form (::7f00:1). NAT64
+// (64:ff9b::/96) and 6to4 (2002::/16) embed an IPv4 address that a gateway
+// would reach on our behalf, so they are refused as a whole.
+[["::", 96], ["fc00::", 7], ["fe80::", 10], ["fec0::", 10], ["ff00::", 8], ["64:ff9b::", 96], ["2002::", 16]]
+  .forEach(([net, prefix]) => PRIVATE_RANGES.addSubnet(net, prefix, "ipv6"));
+
+export function isPrivateAddress(ip) {
+  const family = isIP(ip);
+  return family !== 0 && PRIVATE_RANGES.check(ip, family === 4 ? "ipv4" : "ipv6");
+}
+
+const privateAddressError = host => Object.assign(new Error(`Refusing to fetch ${host}: private network address`), { status: 403 });
+
+// dns.lookup for the socket itself: the address that is checked is the one
+// connected to, so a name cannot resolve to a public address for the check
+// and a private one for the request (DNS rebinding).
+function publicLookup(env) {
+  return (hostname, options, callback) => {
+    dnsLookup(hostname, { ...options, all: true }, (err, addresses) => {
+      if (err) return callback(err);
+      if (env.FETCH_ALLOW_PRIVATE !== "1" && addresses.some(a => isPrivateAddress(a.address))) return callback(privateAddressError(hostname));
+      if (options.all) return callback(null, addresses);
+      callback(null, addresses[0].address, addresses[0].family);
+    });
+  };
+}
+
+// One GET through node:http(s) with publicLookup, shaped like the parts of a
+// fetch Response the handler uses. No Accept-Encoding, so bodies arrive as-is.
+function requestDocument(url, signal, env) {
+  const host = url.hostname.replace(new RegExp("^\\[|\\]$", "g"), "");
+  if (env.FETCH_ALLOW_PRIVATE !== "1" && isPrivateAddress(host)) return Promise.reject(privateAddressError(url.hostname));
+  return new Promise((resolve, reject) => {
+    const req = (url.protocol === "https:" ? httpsGet : httpGet)(url, {
+      signal,
+      lookup: publicLookup(env),
+      headers: { "User-Agent": FETCH_USER_AGENT, Accept: "text/html,application/xhtml+xml,application/pdf;q=0.9,text/plain;q=0.8,*/*;q=0.5" },
+    }, res => resolve({
+      status: res.statusCode,
+      ok: res.statusCode >= 200 && res.statusCode < 300,
+      headers: { get: name => { const v = res.headers[name.toLowerCase()]; return Array.isArray(v) ? v.join(", ") : v ?? null; } },
+      body: res,
+    }));
+    req.on("error", reject);
+  });
+}
+
+// Follow redirects by hand so every hop passes the address check
+async function fetchDocument(target, signal, env = process.env) {
+  let url = target;
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    if (!["http:", "https:"].includes(url.protocol)) throw Object.assign(new Error("Only http and https URLs can be fetched"), { status: 400 });
+    const resp = await requestDocument(url, signal, env);
+    const location = resp.headers.get("location");
+    if (resp.status >= 300 && resp.status < 400 && location) { resp.body.resume(); url = new URL(location, url); continue; }
+    return { resp, finalUrl: url.href };
+  }
+  throw Object.assign(new Error("Too many redirects"), { status: 502 });
+}
+
+async function handleFetch(req, res) {
+  let target;
+  try {
+    target = new URL(new URL(req.url, "http://localhost").searchParams.get("url") || "");
+  } catch (e) {
+    return sendError(res, 400, "Missing or invalid url parameter");
+  }
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+  res.on("close", () => { if (!res.writableEnded) controller.abort(); });
+  try {
+    const { resp, finalUrl } = await fetchDocument(target, controller.signal);
+    if (!resp.ok) return sendError(res, 502, `Source returned HTTP ${resp.status}`);
+    if (Number(resp.headers.get("content-length")) > MAX_FETCH_BYTES) return sendError(res, 413, "Document is too large to fetch");
+
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of resp.body) {
+      size += chunk.length;
+      if (size > MAX_FETCH_BYTES) { controller.abort(); return sendError(res, 413, "Document is too large to fetch"); }
+      chunks.push(chunk);
+    }
+    res.writeHead(200, {
+      "Content-Type": resp.headers.get("content-type") || "application/octet-stream",
+      "X-Final-Url": finalUrl,
+    });
+    res.end(Buffer.concat(chunks));
+  } catch (e) {
+    if (res.writableEnded || res.destroyed) return;
+    if (e.name === "AbortError") return sendError(res, 504, "Timed out fetching the document");
+    sendError(res, e.status || 502, e.status ? e.message : `Could not fetch document: ${e.message}`);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// ─── Issue tracker tickets ────────────────────────────────────────────────────
+// GET /api/trackers lists the adapters and whether each is configured;
+// POST /api/tickets creates (or, with dryRun, previews) issues — see trackers.js.
+
+async function handleTickets(req, res) {
+  const body = await readJsonBody(req, res);
+  if (body === undefined) return;
+  try {
+    sendJson(res, 200, await createTickets(body || {}));
+  } catch (e) {
+    sendError(res, e.status || 500, e.message);
+  }
+}
+
+// Connect-style middleware — used by both the production server and Vite dev
+export function createApiMiddleware() {
+  return (req, res, next) => {
+    const path = (req.url || "").split("?")[0];
+    if (path === "/api/health" && req.method === "GET") {
+      // LLM_PROVIDER picks the provider the UI starts with (e.g. openai where documents must stay local)
+      return sendJson(res, 200, {
+        ok: true,
+        keyConfigured: Boolean(readApiKey()),
+        providers: { anthropic: Boolean(readApiKey()), openai: Boolean(openAiBaseUrl()), mock: true },
+        defaultProvider: process.env.LLM_PROVIDER || "",
+      });
+    }
+    if (path === "/api/fetch") {
+      if (req.method !== "GET") return sendError(res, 405, "Method not allowed");
+      handleFetch(req, res).catch(e => {
+        if (!res.headersSent) sendError(res, 500, e.message);
+        else res.end();
+      });
+      return;
+    }
+    if (path === "/api/trackers" && req.method === "GET") {
+      return sendJson(res, 200, { trackers: listTrackers() });
+    }
+    if (path === "/api/tickets") {
+      if (req.method !== "POST") return sendError(res, 405, "Method not allowed");
+      handleTickets(req, res).catch(e => {
+        if (!res.headersSent) sendError(res, 500, e.message);
+        else res.end();
+      });
+      return;
+    }
+    if (path.startsWith("/api/openai/")) {
+      if (!["GET", "POST"].includes(req.method)) return sendError(res, 405, "Method not allowed");
+      handleOpenAi(req, res, path.slice("/api/openai".length)).catch(e => {
+        if (!res.headersSent) sendError(res, 500, e.message);
+        else res.end();
+      });
+      return;
+    }
+    if (path === "/api/analyze") {
+      if (req.method !== "POST") return sendError(res, 405, "Method not allowed");
+      handleAnalyze(req, res).catch(e => {
+        if (!res.headersSent) sendError(res, 500, e.message);
+        else res.end();
+      });
+      return;
+    }
+    next();
+  };
+}
@@ -0,0 +1,126 @@
+// ─── Issue tracker adapters ───────────────────────────────────────────────────
+// POST /api/tickets turns findings into tracker issues. The browser builds the
+// issues ({ title, body, labels, priority }); an adapter describes each one as
+// the REST request its tracker expects and reads the created issue back.
+// Credentials come from the environment, like the Anthropic key, and never
+// reach the browser. Adding a tracker means adding an entry to TRACKERS.
+//
+// Adapter shape:
+//   label              shown in the UI
+//   env                variables it needs; all must be set to create issues
+//   defaultPriorities  finding severity → tracker priority (editable in the UI)
+//   request(issue, cfg)  → { method, url, headers, body }
+//   created(data, cfg)   → { key, url } from the tracker's response
+
+const trimSlash = url => url.replace(new RegExp("/+$"), "");
+
+const jira = {
+  label: "Jira",
+  env: ["JIRA_BASE_URL", "JIRA_EMAIL", "JIRA_API_TOKEN", "JIRA_PROJECT_KEY"],
+  defaultPriorities: { Critical: "Highest", High: "High", Medium: "Medium", Low: "Low" },
+  // REST v2 takes a plain-text description (v3 would need Atlassian Document Format)
+  request(issue, cfg) {
+    return {
+      method: "POST",
+      url: `${trimSlash(cfg.JIRA_BASE_URL)}/rest/api/2/issue`,
+      headers: { Authorization: `Basic ${Buffer.from(`${cfg.JIRA_EMAIL}:${cfg.JIRA_API_TOKEN}`).toString("base64")}` },
+      body: {
+        fields: {
+          project: { key: cfg.JIRA_PROJECT_KEY },
+          issuetype: { name: cfg.JIRA_ISSUE_TYPE || "Task" },
+          summary: issue.title.slice(0, 255),
+          description: issue.body,
+          // Jira labels cannot contain spaces
+          labels: issue.labels.map(l => l.replace(new RegExp("\\s+", "g"), "-")),
+          ...(issue.priority ? { priority: { name: issue.priority } } : {}),
+        },
+      },
+    };
+  },
+  created: (data, cfg) => ({ key: data.key, url: `${trimSlash(cfg.JIRA_BASE_URL)}/browse/${data.key}` }),
+};
+
+const github = {
+  label: "GitHub Issues",
+  env: ["GITHUB_TOKEN", "GITHUB_REPO"],
+  // GitHub has no priority field — the priority becomes one more label
+  defaultPriorities: { Critical: "priority: critical", High: "priority: high", Medium: "priority: medium", Low: "priority: low" },
+  request(issue, cfg) {
+    return {
+      method: "POST",
+      url: `${trimSlash(cfg.GITHUB_API_URL || "https://api.github.com")}/repos/${cfg.GITHUB_REPO}/issues`,
+      headers: { Authorization: `Bearer ${cfg.GITHUB_TOKEN}`, Accept: "application/vnd.github+json", "X-GitHub-Api-Version": "2022-11-28" },
+      body: { title: issue.title.slice(0, 256), body: issue.body, labels: [...issue.labels, ...(issue.priority ? [issue.priority] : [])] },
+    };
+  },
+  created: data => ({ key: `#${data.number}`, url: data.html_url }),
+};
+
+export const TRACKERS = { jira, github };
+
+const MAX_ISSUES      = 100;
+const TRACKER_TIMEOUT = 20000;
+
+// Missing variables show up as <NAME> in a dry run, so the preview still reads
+function trackerConfig(adapter, env) {
+  const cfg = { ...env };
+  adapter.env.forEach(name => { if (!env[name]) cfg[name] = `<${name}>`; });
+  return cfg;
+}
+
+const missingEnv = (adapter, env) => adapter.env.filter(name => !env[name]);
+
+// For GET /api/trackers
+export function listTrackers(env = process.env) {
+  return Object.entries(TRACKERS).map(([id, a]) => ({
+    id, label: a.label, configured: !missingEnv(a, env).length, missing: missingEnv(a, env), defaultPriorities: a.defaultPriorities,
+  }));
+}
+
+function validIssue(issue) {
+  return issue && typeof issue.title === "string" && issue.title.trim() && typeof issue.body === "string" &&
+    Array.isArray(issue.labels) && issue.labels.every(l => typeof l === "string") && typeof (issue.priority ?? "") === "string";
+}
+
+// { tracker, issues, dryRun } → { dryRun, requests } or { results: [{ ok, key, url } | { ok: false, error }] }
+// Throws with a status for request-level errors; per-issue failures are results.
+export async function createTickets({ tracker, issues, dryRun }, env = process.env) {
+  const adapter = TRACKERS[tracker];
+  if (!adapter) throw Object.assign(new Error(`Unknown tracker: ${tracker}`), { status: 400 });
+  if (!Array.isArray(issues) || !issues.length) throw Object.assign(new Error("No issues to create"), { status: 400 });
+  if (issues.length > MAX_ISSUES) throw Object.assign(new Error(`At most ${MAX_ISSUES} issues per request`), { status: 400 });
+  if (!issues.every(validIssue)) throw Object.assign(new Error("Each issue needs a title, body, labels and priority"), { status: 400 });
+
+  const cfg = trackerConfig(adapter, env);
+  if (dryRun) {
+    // The exact requests, minus the Authorization headers
+    return { dryRun: true, requests: issues.map(issue => { const { method, url, body } = adapter.request(issue, cfg); return { method, url, body }; }) };
+  }
+  const missing = missingEnv(adapter, env);
+  if (missing.length) throw Object.assign(new Error(`${adapter.label} is not configured on the server. Set ${missing.join(", ")}.`), { status: 400 });
+
+  // One at a time: trackers rate-limit bursts, and order matches the selection
+  const results = [];
+  for (const issue of issues) {
+    const { method, url, headers, body } = adapter.request(issue, cfg);
+    try {
+      const resp = await fetch(url, {
+        method,
+        headers: { "Content-Type": "application/json", ...headers },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(TRACKER_TIMEOUT),
+      });
+      const data = await resp.json().catch(() => ({}));
+      if (!resp.ok) {
+        // Jira: { errorMessages, errors }; GitHub: { message }
+        const detail = data.message || [...(data.errorMessages || []), ...Object.values(data.errors || {})].join("; ");
+        results.push({ ok: false, title: issue.title, error: `${adapter.label} returned HTTP ${resp.status}${detail ? `: ${detail}` : ""}` });
+        continue;
+      }
+      results.push({ ok: true, title: issue.title, ...adapter.created(data, cfg) });
+    } catch (e) {
+      results.push({ ok: false, title: issue.title, error: `Could not reach ${adapter.label}: ${e.message}` });
+    }
+  }
+  return { results };
+}
@@ -0,0 +1,2962 @@
+// ─── ReleaseLens core ─────────────────────────────────────────────────────────
+// Everything that does not need React: document extraction, chunking, the
+// analysis client, findings handling and the Word/TXT builders. Shared by the
+// browser app (src/App.jsx) and the headless CLI (bin/release-lens.js), so it
+// must not touch React and only touch the DOM behind a `typeof document` check.
+
+// ─── API proxy (server/proxy.js attaches the Anthropic key server-side) ──────
+export const API_URL    = "/api/analyze";
+export const OPENAI_URL = "/api/openai";  // OpenAI-compatible endpoint configured on the server
+export const FETCH_URL  = "/api/fetch";   // server-side document download (no CORS)
+
+// ─── Constants ────────────────────────────────────────────────────────────────
+
+export const ANALYSIS_SCOPES = [
+  { id: "new_features",       label: "New & Changed Features",   icon: "✦", color: "#00D4FF" },
+  { id: "deprecated",         label: "Deprecated Features",       icon: "⊘", color: "#FF6B6B" },
+  { id: "deployment_changes", label: "Deployment Changes",        icon: "⟳", color: "#A78BFA" },
+  { id: "security",           label: "Security & Compliance",     icon: "⬡", color: "#34D399" },
+  { id: "breaking_changes",   label: "Breaking Changes",          icon: "⚡", color: "#FBBF24" },
+  { id: "migration_guide",    label: "Migration Guide",           icon: "→", color: "#F472B6" },
+];
+
+const SCOPE_PROMPTS = {
+  new_features:
+    "Identify and list every NEW feature, NEW section, NEW capability, or UPDATED/CHANGED behaviour documented. title: the feature name, 3-8 words, title-case — like 'RHEL Deployment Support' or 'Dual-Homing Deployment' or 'Access Configuration Requirements'. status: New or Updated. detail: what changed and why it matters operationally.",
+  deprecated:
+    "Identify every DEPRECATED, REMOVED, PROHIBITED, or SUPERSEDED feature, parameter, method, or document section. title: the item that is going away. status: how it is going away. replacement: what replaces it, where documented. detail: notes on the change and its impact.",
+  deployment_changes:
+    "Identify every change to deployment procedures, installation methods, scripts, parameters, environments, or topology options. component: the changed section name, e.g. 'Run deployment script (RHEL)'. title: a short name for the change. status: the nature of the change. detail: the operational impact, e.g. 'New deployment path requires RHEL-specific cert path and PRE_INSTALL_EPHEMERAL_STORAGE parameter.'",
+  security:
+    "Extract all security requirements, compliance mandates, credential rules, certificate requirements, encryption requirements, and security warnings or cautions. title: a short name for the requirement. severity: the documented or evident risk if the requirement is ignored. component: the affected component, where identifiable.",
+  breaking_changes:
+    "Identify changes that would BREAK existing deployments or workflows if teams follow previous documentation. Flag anything requiring immediate action or configuration changes. severity: how urgently teams must act. component: the affected component, where identifiable.",
+  migration_guide:
+    "Summarise what teams migrating from a previous version must do differently. component: a short area name (2-5 words), e.g. 'Access key & PIN'. title: a short name for the action. detail: the action required, e.g. 'Ensure only the Administrator account credentials are used, never deployment engineers.' severity: the priority — Critical, High or Medium.",
+};
+
+// Allowed status values per scope (the Word tables use them as-is)
+const SCOPE_STATUS = {
+  new_features:       ["New", "Updated"],
+  deprecated:         ["Deprecated", "Removed", "Replaced", "Prohibited", "Merged/Superseded"],
+  deployment_changes: ["New section added", "Updated", "Fully replaced", "Removed"],
+};
+
+// Scopes whose table layout needs a severity/priority on every finding
+const SEVERITY_SCOPES = ["security", "breaking_changes", "migration_guide"];
+const SEVERITIES      = ["Critical", "High", "Medium", "Low"];
+
+
+export const APP_VERSION = "1.4";
+
+// ─── Scope library ────────────────────────────────────────────────────────────
+// Reusable team scopes with their own prompt and Word layout. Shape:
+// { id: "lib_…", label, icon, color, prompt, layout: { type: "table"|"bullets", columns: [{ field, label }] } }
+// Shared between people as a JSON file (exportScopeLibrary / parseScopeLibrary).
+
+// Finding fields a table layout can show; w is the relative column width
+export const LAYOUT_FIELDS = [
+  { field: "title",       label: "Finding",     w: 2 },
+  { field: "detail",      label: "Details",     w: 4 },
+  { field: "severity",    label: "Severity",    w: 1 },
+  { field: "status",      label: "Status",      w: 1 },
+  { field: "component",   label: "Component",   w: 2 },
+  { field: "replacement", label: "Replacement", w: 2 },
+  { field: "pages",       label: "Source",      w: 1 },
+];
+
+// Used for custom scopes and library scopes without a layout of their own
+export const DEFAULT_SCOPE_LAYOUT = {
+  type: "table",
+  columns: [
+    { field: "title", label: "Finding" }, { field: "detail", label: "Details" },
+    { field: "severity", label: "Severity" }, { field: "pages", label: "Source" },
+  ],
+};
+
+export const LIBRARY_FILE_KIND = "release-lens/scope-library";
+
+// Scope text that goes into the system prompt
+export function scopeInstruction(scope) {
+  if (SCOPE_PROMPTS[scope.id]) return SCOPE_PROMPTS[scope.id];
+  if (scope.prompt && scope.prompt.trim()) return scope.prompt.trim();
+  return `Extract all findings specifically related to: "${scope.label}". For each finding, provide a specific, actionable observation with full technical context relevant to this topic. Focus only on content directly relevant to "${scope.label}".`;
+}
+
+// Coerce an imported/edited entry into a valid library scope (null if unusable)
+export function normaliseLibraryScope(raw) {
+  if (!raw || typeof raw !== "object" || !asText(raw.label)) return null;
+  const type = raw.layout?.type === "bullets" ? "bullets" : "table";
+  const columns = (Array.isArray(raw.layout?.columns) ? raw.layout.columns : [])
+    .filter(c => LAYOUT_FIELDS.some(f => f.field === c?.field))
+    .map(c => ({ field: c.field, label: asText(c.label) || LAYOUT_FIELDS.find(f => f.field === c.field).label }));
+  return {
+    id:     asText(raw.id).startsWith("lib_") ? asText(raw.id) : `lib_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`,
+    label:  asText(raw.label),
+    icon:   asText(raw.icon).slice(0, 2) || "◈",
+    color:  new RegExp("^#[0-9a-f]{6}$", "i").test(asText(raw.color)) ? asText(raw.color) : "#F59E0B",
+    prompt: asText(raw.prompt),
+    layout: type === "table" && columns.length ? { type, columns } : type === "bullets" ? { type, columns: [] } : DEFAULT_SCOPE_LAYOUT,
+  };
+}
+
+// Accepts the exported file ({ kind, scopes }) or a bare array of scopes
+export function parseScopeLibrary(text) {
+  const data = JSON.parse(text);
+  const list = Array.isArray(data) ? data : data?.scopes;
+  if (!Array.isArray(list)) throw new Error("No scopes found in this file.");
+  return list.map(normaliseLibraryScope).filter(Boolean);
+}
+
+// ─── Utilities ────────────────────────────────────────────────────────────────
+
+function loadScript(src) {
+  return new Promise((resolve, reject) => {
+    const s = document.createElement("script");
+    s.src = src;
+    s.onload = resolve;
+    s.onerror = () => reject(new Error(`Could not load ${src}`));
+    document.head.appendChild(s);
+  });
+}
+
+// Pages with less text than this are treated as scanned images and OCR'd
+const OCR_MIN_CHARS = 20;
+const OCR_SCALE     = 2; // render at 2× so small print stays legible
+
+// Tesseract.js (WASM) is bundled as a lazy chunk, loaded only when a PDF has
+// image-only pages. Its worker, core and English data are served by the app
+// from /tesseract/ (see vite.config.js), so OCR never reaches a CDN.
+async function createOcrWorker() {
+  const { createWorker } = await import("tesseract.js");
+  const base = new URL("/tesseract/", window.location.href).href;
+  return createWorker("eng", 1, { workerPath: `${base}worker.min.js`, corePath: base, langPath: base, workerBlobURL: false });
+}
+
+// Render one PDF.js page to a canvas and run OCR on it
+async function ocrPage(page, worker) {
+  const viewport = page.getViewport({ scale: OCR_SCALE });
+  const canvas   = document.createElement("canvas");
+  canvas.width   = viewport.width;
+  canvas.height  = viewport.height;
+  await page.render({ canvasContext: canvas.getContext("2d"), viewport }).promise;
+  const { data } = await worker.recognize(canvas);
+  canvas.width = canvas.height = 0; // release the bitmap
+  return data.text.replace(new RegExp("\\s+", "g"), " ").trim();
+}
+
+// Node has no CDN script tags: the CLI uses the same PDF.js release from npm.
+// Kept in a variable so Vite leaves the import alone in the browser bundle.
+const PDFJS_NODE_MODULE = "pdfjs-dist/legacy/build/pdf.js";
+
+async function loadPdfJs() {
+  if (typeof document === "undefined") return import(/* @vite-ignore */ PDFJS_NODE_MODULE).then(mod => mod.default || mod);
+  // Load PDF.js from CDN if not already present
+  if (!window.pdfjsLib) {
+    await loadScript("https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.min.js");
+    window.pdfjsLib.GlobalWorkerOptions.workerSrc =
+      "https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js";
+  }
+  return window.pdfjsLib;
+}
+
+// Extract all text from a PDF File using PDF.js (loaded once).
+// Returns a plain string with all page text concatenated.
+// This approach has NO page limit — we send text to Claude, not binary PDF.
+// Pages without a text layer (scanned guides) fall back to local OCR in the
+// browser — there is no canvas to render them to under Node;
+// onProgress(page, total, ocr) fires before each OCR pass and after every page.
+export async function extractPdfText(file, onProgress) {
+  const pdfjsLib = await loadPdfJs();
+  const arrayBuffer = await file.arrayBuffer();
+  const pdf = await pdfjsLib.getDocument({ data: new Uint8Array(arrayBuffer) }).promise;
+  const totalPages = pdf.numPages;
+  const texts = [];
+  let ocrWorker = null;
+
+  try {
+    for (let i = 1; i <= totalPages; i++) {
+      const page    = await pdf.getPage(i);
+      const content = await page.getTextContent();
+      let pageText  = content.items.map(item => item.str).join(" ");
+      const needsOcr = pageText.trim().length < OCR_MIN_CHARS && typeof document !== "undefined";
+      if (needsOcr) {
+        onProgress && onProgress(i, totalPages, true);
+        ocrWorker = ocrWorker || await createOcrWorker();
+        pageText = await ocrPage(page, ocrWorker);
+      }
+      texts.push(`[Page ${i}]\n${pageText}`);
+      onProgress && onProgress(i, totalPages, false);
+    }
+  } finally {
+    if (ocrWorker) await ocrWorker.terminate();
+  }
+
+  return texts.join("\n\n");
+}
+
+// ── Other input formats ──────────────────────────────────────────────────
+// DOCX, HTML, Markdown and plain text have no pages, so their adapters turn
+// the document into Markdown-style text ("# Heading", "- item", "a | b") and
+// sectionText() numbers it: every heading opens a "[Section N]" block, the
+// counterpart of the PDF's "[Page N]" markers for citations and chunking.
+
+export const DOCUMENT_ACCEPT = ".pdf,.docx,.html,.htm,.md,.markdown,.txt";
+export const DOCUMENT_KIND_LABELS = { pdf: "PDF", docx: "Word document", html: "HTML page", markdown: "Markdown", text: "Plain text" };
+
+// "pdf" | "docx" | "html" | "markdown" | "text" from the file name (null if unsupported)
+export function documentKind(name) {
+  const ext = (name || "").toLowerCase().split(".").pop();
+  return { pdf: "pdf", docx: "docx", html: "html", htm: "html", md: "markdown", markdown: "markdown", txt: "text" }[ext] || null;
+}
+
+// Split Markdown-style text into [Section N] blocks at headings (not inside code fences)
+function sectionText(md) {
+  const sections = [];
+  let current = [], fenced = false;
+  const flush = () => {
+    if (current.some(l => l.trim())) sections.push(current.join("\n").replace(new RegExp("\\n{3,}", "g"), "\n\n").trim());
+    current = [];
+  };
+  md.replace(new RegExp("\\r\\n?", "g"), "\n").split("\n").forEach(line => {
+    if (new RegExp("^\\s*(```|~~~)").test(line)) fenced = !fenced;
+    if (!fenced && new RegExp("^#{1,6}\\s+\\S").test(line)) flush();
+    current.push(line);
+  });
+  flush();
+  return sections.map((body, i) => `[Section ${i + 1}]\n${body}`).join("\n\n");
+}
+
+const HTML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'", nbsp: " ", ndash: "–", mdash: "—", hellip: "…", lsquo: "‘", rsquo: "’", ldquo: "“", rdquo: "”", bull: "•", copy: "©", reg: "®", trade: "™", rarr: "→", larr: "←" };
+
+function decodeEntities(text) {
+  return text.replace(new RegExp("&(#x[0-9a-f]+|#\\d+|[a-z]+);", "gi"), (m, e) => {
+    if (e[0] === "#") {
+      const code = e[1].toLowerCase() === "x" ? parseInt(e.slice(2), 16) : Number(e.slice(1));
+      return Number.isFinite(code) && code > 0 && code < 0x110000 ? String.fromCodePoint(code) : m;
+    }
+    return HTML_ENTITIES[e.toLowerCase()] ?? m;
+  });
+}
+
+// Remove every element matched by openPattern (an opening-tag regex source for
+// `tag`), including nested elements of the same tag inside it. An element whose
+// close tag never comes loses only its opening tag, so one unclosed <nav> does
+// not take the rest of the page with it.
+function removeElements(html, tag, openPattern) {
+  const open = new RegExp(openPattern, "gi");
+  const any  = new RegExp(`<(/?)${tag}(?=[\\s>/])[^>]*?(/?)>`, "gi");
+  let out = "", pos = 0, m;
+  while ((m = open.exec(html.slice(pos)))) {
+    const start = pos + m.index;
+    any.lastIndex = start;
+    const first = any.exec(html);
+    let end = first && first.index === start ? first.index + first[0].length : start + m[0].length;
+    if (first && first.index === start && !first[2]) {
+      let depth = 1, t;
+      while ((t = any.exec(html))) {
+        if (t[2]) continue; // self-closing
+        depth += t[1] ? -1 : 1;
+        if (depth === 0) { end = t.index + t[0].length; break; }
+      }
+    }
+    out += html.slice(pos, start);
+    pos = end;
+    open.lastIndex = 0;
+  }
+  return out + html.slice(pos);
+}
+
+// Saved web page → Markdown-style text: main content only, with scripts,
+// navigation, headers/footers, sidebars and forms stripped
+function htmlToMarkdown(html) {
+  let h = html.replace(new RegExp("<!--[\\s\\S]*?-->", "g"), "");
+  ["script", "style", "noscript", "template", "svg", "head", "iframe", "canvas"].forEach(tag => {
+    h = h.replace(new RegExp(`<${tag}\\b[\\s\\S]*?</${tag}>`, "gi"), "");
+  });
+  const main = h.match(new RegExp("<main\\b[^>]*>([\\s\\S]*)</main>", "i")) || h.match(new RegExp("<article\\b[^>]*>([\\s\\S]*)</article>", "i"));
+  if (main) h = main[1];
+  ["nav", "header", "footer", "aside", "form", "button"].forEach(tag => { h = removeElements(h, tag, `<${tag}(?=[\\s>/])`); });
+  ["div", "section", "ul"].forEach(tag => {
+    h = removeElements(h, tag, `<${tag}(?=[\\s>/])[^>]*\\brole=["']?(navigation|banner|contentinfo|complementary|search)\\b`);
+  });
+  return decodeEntities(h
+    .replace(new RegExp("<h([1-6])\\b[^>]*>([\\s\\S]*?)</h\\1>", "gi"), (m, n, inner) => `\n\n${"#".repeat(Number(n))} ${inner.replace(new RegExp("<[^>]+>|\\s+", "g"), " ").trim()}\n\n`)
+    .replace(new RegExp("<li\\b[^>]*>", "gi"), "\n- ")
+    .replace(new RegExp("</t[dh]>", "gi"), " | ")
+    .replace(new RegExp("<br\\s*/?>", "gi"), "\n")
+    .replace(new RegExp("</tr>", "gi"), "\n")
+    .replace(new RegExp("</(p|div|table|ul|ol|pre|blockquote|section|article|dd|dt|figure)>", "gi"), "\n\n")
+    .replace(new RegExp("<[^>]+>", "g"), ""))
+    .split("\n").map(l => l.replace(new RegExp("[ \\t\\u00a0]+", "g"), " ").replace(new RegExp("\\s*\\|\\s*$"), "").trim()).join("\n")
+    .replace(new RegExp("\\n{3,}", "g"), "\n\n").trim();
+}
+
+// Markdown: drop YAML front matter and setext underlines (turned into # headings)
+function normaliseMarkdown(md) {
+  const lines = md.replace(new RegExp("\\r\\n?", "g"), "\n").replace(new RegExp("^---\\n[\\s\\S]*?\\n---\\n"), "").split("\n");
+  const out = [];
+  lines.forEach(line => {
+    const prev = out[out.length - 1];
+    const setext = line.match(new RegExp("^(=+|-+)\\s*$"));
+    if (setext && prev && prev.trim() && !new RegExp("^(#|-|\\*|\\d+\\.|\\|)").test(prev.trim())) {
+      out[out.length - 1] = `${setext[1][0] === "=" ? "#" : "##"} ${prev.trim()}`;
+    } else out.push(line);
+  });
+  return out.join("\n");
+}
+
+// Plain text: underlined titles, numbered headings ("2.1 Installation") and
+// short ALL-CAPS lines after a blank line are treated as headings
+function textToMarkdown(text) {
+  const md = normaliseMarkdown(text).split("\n");
+  return md.map((line, i) => {
+    const t = line.trim();
+    const afterBlank = i === 0 || !md[i - 1].trim();
+    if (!afterBlank || !t || t.length > 80 || t.startsWith("#")) return line;
+    const numbered = t.match(new RegExp("^(\\d+(?:\\.\\d+)*)\\.?\\s+[A-Z]"));
+    if (numbered) return `${"#".repeat(Math.min(numbered[1].split(".").length, 6))} ${t}`;
+    if (new RegExp("^[A-Z0-9][A-Z0-9 &/,:()'-]{3,}$").test(t) && new RegExp("[A-Z]{3}").test(t)) return `# ${t}`;
+    return line;
+  }).join("\n");
+}
+
+// Word document → Markdown-style text. Heading levels come from the paragraph
+// style (name "heading N"/"Title" or an outline level in styles.xml), so
+// localised and template-specific style IDs are recognised too.
+async function docxToMarkdown(file) {
+  const JSZip = await loadJSZip();
+  const zip = await JSZip.loadAsync(await file.arrayBuffer());
+  const docXml = await zip.file("word/document.xml")?.async("string");
+  if (!docXml) throw new Error("Not a Word document (word/document.xml missing).");
+  const stylesXml = (await zip.file("word/styles.xml")?.async("string")) || "";
+
+  const headingLevels = {};
+  (stylesXml.match(new RegExp("<w:style\\b[\\s\\S]*?</w:style>", "g")) || []).forEach(st => {
+    const id   = (st.match(new RegExp("w:styleId=\"([^\"]+)\"")) || [])[1];
+    const name = ((st.match(new RegExp("<w:name w:val=\"([^\"]+)\"")) || [])[1] || "").toLowerCase();
+    const lvl  = (st.match(new RegExp("<w:outlineLvl w:val=\"(\\d)\"")) || [])[1];
+    const byName = name === "title" ? 1 : Number((name.match(new RegExp("^heading (\\d)$")) || [])[1]);
+    if (id && (byName || lvl !== undefined)) headingLevels[id] = byName || Number(lvl) + 1;
+  });
+
+  const runText = xml => decodeEntities((xml.match(new RegExp("<w:t(?: [^>]*)?>[^<]*</w:t>|<w:tab/>|<w:br[^>]*/>", "g")) || [])
+    .map(t => t.startsWith("<w:tab") ? "\t" : t.startsWith("<w:br") ? "\n" : t.replace(new RegExp("<[^>]+>", "g"), ""))
+    .join(""));
+  const paragraph = p => {
+    const text = runText(p).trim();
+    if (!text) return "";
+    const style = (p.match(new RegExp("<w:pStyle w:val=\"([^\"]+)\"")) || [])[1];
+    const outline = (p.match(new RegExp("<w:outlineLvl w:val=\"(\\d)\"")) || [])[1];
+    const level = headingLevels[style] || (outline !== undefined ? Number(outline) + 1 : 0);
+    if (level) return `${"#".repeat(Math.min(level, 6))} ${text.replace(new RegExp("\\s+", "g"), " ")}`;
+    return p.includes("<w:numPr") ? `- ${text}` : text;
+  };
+
+  const body = (docXml.match(new RegExp("<w:body>([\\s\\S]*)</w:body>")) || [])[1] || docXml;
+  const blocks = body.match(new RegExp("<w:tbl>[\\s\\S]*?</w:tbl>|<w:p[ >][\\s\\S]*?</w:p>", "g")) || [];
+  return blocks.map(b => {
+    if (!b.startsWith("<w:tbl>")) return paragraph(b);
+    return (b.match(new RegExp("<w:tr[ >][\\s\\S]*?</w:tr>", "g")) || [])
+      .map(row => (row.match(new RegExp("<w:tc>[\\s\\S]*?</w:tc>", "g")) || [])
+        .map(cell => (cell.match(new RegExp("<w:p[ >][\\s\\S]*?</w:p>", "g")) || []).map(runText).join(" ").trim())
+        .join(" | "))
+      .join("\n");
+  }).filter(Boolean).join("\n\n");
+}
+
+// Input adapter: any supported file → text with [Page N] or [Section N] markers
+export async function extractDocumentText(file, onProgress) {
+  switch (documentKind(file.name)) {
+    case "pdf":      return extractPdfText(file, onProgress);
+    case "docx":     return sectionText(await docxToMarkdown(file));
+    case "html":     return sectionText(htmlToMarkdown(await file.text()));
+    case "markdown": return sectionText(normaliseMarkdown(await file.text()));
+    case "text":     return sectionText(textToMarkdown(await file.text()));
+    default:         throw new Error(`Unsupported file type: ${file.name}. Use PDF, DOCX, HTML, Markdown or TXT.`);
+  }
+}
+
+// ── URL sources ──────────────────────────────────────────────────────────
+// Pages are downloaded through FETCH_URL and extracted here, so the scopes see
+// the exact source text. Multi-page doc sets are followed through their
+// "next" links (same site and path only); a URL that serves a PDF — or a
+// landing page that only links to one — goes through extractPdfText.
+
+const MAX_URL_PAGES = 20;
+
+// <a>/<link> elements as { href (absolute), rel, text, cls }
+function pageLinks(html, baseUrl) {
+  const links = [];
+  const re = new RegExp("<(a|link)\\b([^>]*)>(?:([\\s\\S]*?)</a>)?", "gi");
+  let m;
+  while ((m = re.exec(html))) {
+    const attr = name => (m[2].match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`, "i")) || [])[1] || "";
+    const href = attr("href");
+    if (!href || href.startsWith("#") || new RegExp("^(javascript|mailto):", "i").test(href)) continue;
+    try {
+      const url = new URL(decodeEntities(href), baseUrl);
+      url.hash = "";
+      links.push({ href: url.href, rel: attr("rel").toLowerCase(), cls: `${attr("class")} ${attr("aria-label")}`.toLowerCase(),
+        text: decodeEntities((m[3] || "").replace(new RegExp("<[^>]+>", "g"), " ")).replace(new RegExp("\\s+", "g"), " ").trim().toLowerCase() });
+    } catch (e) { /* unparseable href */ }
+  }
+  return links;
+}
+
+// The doc set is the start URL's directory: /docs/v2/intro.html → /docs/v2/
+function inDocSet(href, startUrl) {
+  const a = new URL(href), b = new URL(startUrl);
+  return a.origin === b.origin && a.pathname.startsWith(b.pathname.replace(new RegExp("[^/]*$"), ""));
+}
+
+// rel="next" first, then links labelled or classed as "next"
+function findNextPageLink(html, pageUrl, startUrl, visited) {
+  const candidates = pageLinks(html, pageUrl).filter(l => !visited.has(l.href) && inDocSet(l.href, startUrl));
+  const isNextText = new RegExp("^(next( page)?|next\\s*[›»→>]|[›»→])$");
+  return (candidates.find(l => l.rel.split(" ").includes("next"))
+    || candidates.find(l => isNextText.test(l.text))
+    || candidates.find(l => new RegExp("\\b(next|pagination-next|nav-next)\\b").test(l.cls)))?.href || null;
+}
+
+const isPdfUrl = href => new RegExp("\\.pdf$", "i").test(new URL(href).pathname);
+
+// Browser default: download through the server. The CLI passes its own
+// download(url) → Response, with the final URL in an X-Final-Url header.
+const proxyDownload = url => fetch(`${FETCH_URL}?url=${encodeURIComponent(url)}`);
+
+async function fetchSource(url, download = proxyDownload) {
+  const resp = await download(url);
+  if (!resp.ok) {
+    const e = await resp.json().catch(() => ({}));
+    throw new Error(e?.error?.message || `Could not fetch ${url} (HTTP ${resp.status})`);
+  }
+  const type = resp.headers.get("content-type") || "";
+  return { resp, finalUrl: resp.headers.get("x-final-url") || url, isPdf: type.includes("application/pdf") || (!type.includes("html") && isPdfUrl(url)) };
+}
+
+// URL → text with [Page N] (PDF) or [Section N] (HTML) markers.
+// onProgress receives a short status line for the analysis phase.
+export async function fetchDocumentText(url, onProgress, download = proxyDownload) {
+  const readPdf = async (resp, name) => extractPdfText(new File([await resp.blob()], name, { type: "application/pdf" }),
+    (done, total, ocr) => onProgress && onProgress(`Extracting text: page ${done} of ${total}${ocr ? " (OCR — scanned page)" : ""}…`));
+
+  const first = await fetchSource(url, download);
+  if (first.isPdf) return readPdf(first.resp, url);
+
+  const parts = [], visited = new Set([url, first.finalUrl]);
+  let page = first;
+  for (let n = 1; page; n++) {
+    const html = await page.resp.text();
+    const text = htmlToMarkdown(html);
+    // A landing page that is little more than a link to the PDF: read the PDF
+    if (n === 1 && text.length < 1500) {
+      const pdfLink = pageLinks(html, page.finalUrl).find(l => isPdfUrl(l.href));
+      if (pdfLink) {
+        onProgress && onProgress(`Downloading linked PDF: ${pdfLink.href}…`);
+        const pdf = await fetchSource(pdfLink.href, download);
+        if (pdf.isPdf) return readPdf(pdf.resp, pdfLink.href);
+      }
+    }
+    if (text) parts.push(text);
+    const next = n < MAX_URL_PAGES ? findNextPageLink(html, page.finalUrl, url, visited) : null;
+    if (!next) break;
+    visited.add(next);
+    onProgress && onProgress(`Fetching page ${n + 1}: ${next}…`);
+    page = await fetchSource(next, download);
+    visited.add(page.finalUrl);
+    if (page.isPdf) break; // a PDF is not a continuation of the HTML doc set
+  }
+  return sectionText(parts.join("\n\n"));
+}
+
+// Prompt overhead ~1.5k tokens, output ~1k tokens.
+// Safe content budget: ~10k tokens = ~40000 chars per call.
+// Large docs are split into budget-sized windows (map), each window is analysed
+// on its own and the per-window findings are merged and de-duplicated (reduce).
+// Pacing between calls is left to the rate limiter below.
+const CONTENT_BUDGET = 40000;
+
+// Location markers: "[Page N]" from PDFs, "[Section N]" from the other adapters
+const MARKER_SPLIT = "(?=\\[(?:Page|Section) \\d+\\]\\n)";
+const MARKER_HEAD  = "^\\[(?:Page|Section) (\\d+)\\]\\n";
+
+// "page" or "section" — what the markers in this text count
+const citationUnit = text => (new RegExp("(^|\\n)\\[Section \\d+\\]\\n").test(text) ? "section" : "page");
+
+// First/last [Page N] / [Section N] marker inside a piece of text (null when there are none)
+function pageRange(text) {
+  const nums = [...text.matchAll(new RegExp("\\[(?:Page|Section) (\\d+)\\]", "g"))].map(m => Number(m[1]));
+  return nums.length ? { firstPage: nums[0], lastPage: nums[nums.length - 1] } : { firstPage: null, lastPage: null };
+}
+
+// Split extracted text into windows of at most `budget` chars.
+// Text is cut on [Page N] / [Section N] markers so they stay whole; text without markers
+// (URL content) is cut on blank lines. A single oversized unit is hard-split,
+// repeating its page marker so every window still knows where it came from.
+export function splitIntoChunks(text, budget = CONTENT_BUDGET) {
+  if (text.length <= budget) return [{ text, ...pageRange(text) }];
+
+  let units = text.split(new RegExp(MARKER_SPLIT)).filter(u => u.trim());
+  const sep = units.length > 1 ? "" : "\n\n";
+  if (units.length <= 1) units = text.split(new RegExp("\\n{2,}")).filter(u => u.trim());
+
+  const pieces = [];
+  units.forEach(u => {
+    if (u.length <= budget) { pieces.push(u); return; }
+    const marker = (u.match(new RegExp(MARKER_HEAD)) || [""])[0];
+    const body   = u.slice(marker.length);
+    const step   = budget - marker.length;
+    for (let i = 0; i < body.length; i += step) pieces.push(marker + body.slice(i, i + step));
+  });
+
+  const chunks = [];
+  let current = "";
+  pieces.forEach(p => {
+    if (current && current.length + sep.length + p.length > budget) { chunks.push(current); current = ""; }
+    current = current ? current + sep + p : p;
+  });
+  if (current) chunks.push(current);
+  return chunks.map(c => ({ text: c, ...pageRange(c) }));
+}
+
+// The chunks one scope is analysed in, with the page range shown in progress
+// and the "part N of M" label the prompt gets when there is more than one
+function chunkPlan(text) {
+  const chunks = splitIntoChunks(text);
+  return chunks.map(({ text: chunk, firstPage, lastPage }, c) => {
+    const unit  = citationUnit(chunk);
+    const pages = firstPage ? (firstPage === lastPage ? `${unit} ${firstPage}` : `${unit}s ${firstPage}–${lastPage}`) : "";
+    return { text: chunk, pages, partLabel: chunks.length > 1 ? `part ${c + 1} of ${chunks.length}${pages ? ` (${pages})` : ""}` : "" };
+  });
+}
+
+// ── Findings ──────────────────────────────────────────────────────────────
+// Each scope reports its findings through the report_findings tool, so the
+// response is structured JSON rather than a numbered list. A finding is:
+// { title, detail, severity, status, replacement, component, pages, quote,
+//   verified, change, unit?, alsoIn?, mergedFrom? }
+// pages come from the [Page N] markers (section numbers when unit is "section");
+// verified is set once the quote is found verbatim in the extracted text (see
+// attachCitations); change is "added" | "removed" | "changed" in compare mode,
+// null otherwise. alsoIn (scope labels) and mergedFrom (a count) are set when
+// findings from several scopes were consolidated into this one.
+
+const FINDINGS_TOOL_NAME = "report_findings";
+
+// Tool definition for one scope — status/severity/change become required enums
+// where the scope's export layout depends on them.
+function findingsTool(scopeId, compare) {
+  const statuses = SCOPE_STATUS[scopeId];
+  const required = ["title", "detail", "pages", "quote"];
+  if (statuses) required.push("status");
+  if (SEVERITY_SCOPES.includes(scopeId)) required.push("severity");
+  if (compare) required.push("change");
+  return {
+    name: FINDINGS_TOOL_NAME,
+    description: "Report every finding for the requested analysis scope, one entry per finding.",
+    input_schema: {
+      type: "object",
+      properties: {
+        findings: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              title:       { type: "string", description: "Short name of the item, 3-8 words." },
+              detail:      { type: "string", description: "One complete sentence, 15-45 words, specific and technical." },
+              severity:    { type: "string", enum: SEVERITIES, description: "Severity or priority of the finding." },
+              status:      statuses ? { type: "string", enum: statuses } : { type: "string", description: "Status of the item, if the document states one." },
+              replacement: { type: "string", description: "What replaces the item, where documented. Empty string if none." },
+              component:   { type: "string", description: "Affected component, section or area. Empty string if not identifiable." },
+              pages:       { type: "array", items: { type: "integer" }, description: "Page or section number(s) from the [Page N] / [Section N] markers the finding is based on. Empty if there are no markers." },
+              quote:       { type: "string", description: "Short verbatim quote (5-20 words) copied exactly from the document." },
+              change:      { type: "string", enum: ["added", "removed", "changed"], description: "Compare mode only: what kind of change this finding describes." },
+            },
+            required,
+          },
+        },
+      },
+      required: ["findings"],
+    },
+  };
+}
+
+const asText = v => (typeof v === "string" ? v.trim() : "");
+
+// Case-insensitive match against an enum; returns the canonical value or null
+function pickEnum(value, allowed) {
+  const v = asText(value).toLowerCase();
+  return allowed.find(a => a.toLowerCase() === v) || null;
+}
+
+// Validate the tool input. Valid entries are normalised into findings; every
+// problem is described in errors so it can be sent back for one repair attempt.
+function validateFindings(input, scopeId, compare) {
+  if (!input || !Array.isArray(input.findings)) {
+    return { findings: [], errors: ['"findings" must be an array of finding objects'] };
+  }
+  const statuses = SCOPE_STATUS[scopeId];
+  const needSeverity = SEVERITY_SCOPES.includes(scopeId);
+  const findings = [], errors = [];
+  input.findings.forEach((raw, i) => {
+    const at = `findings[${i}]`;
+    if (!raw || typeof raw !== "object") { errors.push(`${at} must be an object`); return; }
+    const errs = [];
+    const title  = asText(raw.title);
+    const detail = asText(raw.detail);
+    const severity = raw.severity ? pickEnum(raw.severity, SEVERITIES) : null;
+    const status   = statuses ? pickEnum(raw.status, statuses) : asText(raw.status) || null;
+    const change   = raw.change ? pickEnum(raw.change, ["added", "removed", "changed"]) : null;
+    const pages    = Array.isArray(raw.pages) ? raw.pages.map(Number).filter(n => Number.isInteger(n) && n > 0) : null;
+
+    if (!title) errs.push(`${at}.title is required`);
+    if (detail.length < 10) errs.push(`${at}.detail must be a complete sentence`);
+    if (raw.severity ? !severity : needSeverity) errs.push(`${at}.severity must be one of: ${SEVERITIES.join(", ")}`);
+    if (statuses && !status) errs.push(`${at}.status must be one of: ${statuses.join(", ")}`);
+    if (raw.change ? !change : compare) errs.push(`${at}.change must be one of: added, removed, changed`);
+    if (!pages) errs.push(`${at}.pages must be an array of page numbers`);
+
+    if (errs.length) { errors.push(...errs); return; }
+    findings.push({
+      title, detail, severity, status, change,
+      replacement: asText(raw.replacement),
+      component:   asText(raw.component),
+      pages: [...new Set(pages)].sort((x, y) => x - y),
+      quote: asText(raw.quote).replace(new RegExp('^["“”\']+|["“”\']+$', "g"), "").trim(),
+      verified: false,
+    });
+  });
+  return { findings, errors };
+}
+
+// Runs saved before findings were structured stored { text } only
+export function normaliseFinding(f) {
+  if (typeof f === "string") f = { text: f };
+  return {
+    title: "", detail: f.text || "", severity: null, status: null, replacement: "", component: "",
+    pages: [], quote: "", verified: false, change: null,
+    ...f,
+  };
+}
+
+// "Title — detail" for bullets, clipboard and plain-text exports
+export function findingSummary(f) {
+  return f.title ? `${f.title} — ${f.detail}` : f.detail;
+}
+
+// "Severity: High · Status: Removed · …" — empty when no field is set
+function findingMeta(f) {
+  return [
+    f.severity    && `Severity: ${f.severity}`,
+    f.status      && `Status: ${f.status}`,
+    f.component   && `Component: ${f.component}`,
+    f.replacement && `Replacement: ${f.replacement}`,
+  ].filter(Boolean).join(" · ");
+}
+
+// "p. 12" / "pp. 12, 14" ("§ 3" / "§§ 3, 5" for sections) — empty when unknown
+export function formatPages(pages, unit = "page") {
+  if (!pages || !pages.length) return "";
+  const prefix = unit === "section" ? ["§ ", "§§ "] : ["p. ", "pp. "];
+  return prefix[pages.length === 1 ? 0 : 1] + pages.join(", ");
+}
+
+// "p. 12 — “quote”" for export suffixes and Source lines
+function formatSource(f) {
+  const pg = formatPages(f.pages, f.unit);
+  const q  = f.quote ? `“${f.quote}”` : "";
+  return [pg, q].filter(Boolean).join(" — ");
+}
+
+const normaliseForMatch = t => t.toLowerCase().replace(new RegExp("[\\s\u00a0]+", "g"), " ").trim();
+
+// Per-page (or per-section) normalised text, built once per document for quote lookups
+function indexPages(docText) {
+  return docText.split(new RegExp(MARKER_SPLIT))
+    .map(chunk => {
+      const m = chunk.match(new RegExp(MARKER_HEAD));
+      return m ? { page: Number(m[1]), norm: normaliseForMatch(chunk.slice(m[0].length)) } : null;
+    })
+    .filter(Boolean);
+}
+
+// Check every quote against the source text. A quote found verbatim marks the
+// finding verified. The model's page numbers are kept when they include the
+// page the quote sits on (a finding may span pages); otherwise that page wins.
+// Findings from sectioned documents are tagged unit: "section".
+function attachCitations(findings, docText) {
+  const pageIndex = indexPages(docText);
+  const docNorm   = pageIndex.length ? null : normaliseForMatch(docText);
+  return tagCitationUnit(findings, docText).map(f => {
+    const q = normaliseForMatch(f.quote || "");
+    if (q.length < 12) return f;
+    if (docNorm !== null) return docNorm.includes(q) ? { ...f, verified: true } : f;
+    const hit = pageIndex.find(p => p.norm.includes(q));
+    if (!hit) return f;
+    const pages = f.pages.includes(hit.page) ? f.pages : [hit.page];
+    return { ...f, pages, verified: true };
+  });
+}
+
+function tagCitationUnit(findings, docText) {
+  return citationUnit(docText) === "section" ? findings.map(f => ({ ...f, unit: "section" })) : findings;
+}
+
+// Word-set overlap (Jaccard) of two finding texts — 1 means the same words
+function bulletSimilarity(a, b) {
+  const words = t => new Set(t.toLowerCase().replace(new RegExp("[^a-z0-9 ]", "g"), " ").split(" ").filter(w => w.length > 2));
+  const wa = words(a), wb = words(b);
+  if (!wa.size || !wb.size) return 0;
+  let shared = 0;
+  wa.forEach(w => { if (wb.has(w)) shared++; });
+  return shared / (wa.size + wb.size - shared);
+}
+
+// Drop near-duplicate findings; the kept finding inherits the duplicate's pages
+function deduplicateBullets(findings, threshold = 0.75) {
+  const out = [];
+  for (const f of findings) {
+    const i = out.findIndex(o => bulletSimilarity(findingSummary(o), findingSummary(f)) >= threshold);
+    if (i === -1) { out.push(f); continue; }
+    const kept = out[i];
+    out[i] = {
+      ...kept,
+      pages: [...new Set([...kept.pages, ...f.pages])].sort((a, b) => a - b),
+      quote: kept.quote || f.quote,
+      verified: kept.verified || f.verified,
+      change: kept.change || f.change,
+    };
+  }
+  return out;
+}
+
+// Reduce step: windows overlap in topic (intro, summary, repeated warnings),
+// so the same finding often comes back from several chunks.
+function reduceChunkFindings(lists) {
+  return deduplicateBullets(lists.flat());
+}
+
+// ─── Cross-scope consolidation ────────────────────────────────────────────────
+// One change often lands in several scopes in different words: a removed flag is
+// a Breaking Change, a Deployment Change and a Migration Guide step. findOverlaps
+// groups such findings by word similarity; the analysis client's
+// findOverlapsWithModel asks the model as well. applyConsolidation keeps one
+// finding per group, in its primary scope, and lists the other scopes in its
+// alsoIn. Findings are addressed by "scopeId:index" keys into resultMap.
+
+// Where a merged finding lives by default — the most actionable scope first
+export const PRIMARY_SCOPE_ORDER = ["breaking_changes", "migration_guide", "deprecated", "security", "deployment_changes", "new_features"];
+
+const OVERLAP_THRESHOLD = 0.42;
+
+export const findingKey = (scopeId, i) => `${scopeId}:${i}`;
+const keyScope = key => key.slice(0, key.lastIndexOf(":"));
+
+// Similarity of two findings: summary words, or title words when both titles
+// say more than a word or two; a shared component pushes it up
+function overlapScore(a, b) {
+  const titled = a.title.split(" ").length > 2 && b.title.split(" ").length > 2;
+  const score = Math.max(bulletSimilarity(findingSummary(a), findingSummary(b)), titled ? bulletSimilarity(a.title, b.title) : 0);
+  const sameComponent = a.component && b.component && a.component.toLowerCase() === b.component.toLowerCase();
+  return score + (sameComponent ? 0.15 : 0);
+}
+
+export function defaultPrimaryScope(keys, scopeList) {
+  const ids = [...new Set(keys.map(keyScope))];
+  const rank = id => (PRIMARY_SCOPE_ORDER.includes(id) ? PRIMARY_SCOPE_ORDER.indexOf(id) : PRIMARY_SCOPE_ORDER.length + scopeList.findIndex(s => s.id === id));
+  return ids.sort((x, y) => rank(x) - rank(y))[0];
+}
+
+// Union of key groups that share a finding — local and model groups combined
+export function mergeOverlapGroups(scopeList, ...groupLists) {
+  const parent = new Map();
+  const find = k => { while (parent.get(k) !== k) k = parent.get(k); return k; };
+  groupLists.flat().forEach(g => {
+    g.keys.forEach(k => { if (!parent.has(k)) parent.set(k, k); });
+    g.keys.slice(1).forEach(k => parent.set(find(k), find(g.keys[0])));
+  });
+  const byRoot = new Map();
+  [...parent.keys()].forEach(k => byRoot.set(find(k), [...(byRoot.get(find(k)) || []), k]));
+  const order = new Map(scopeList.map((s, i) => [s.id, i]));
+  return [...byRoot.values()]
+    .filter(keys => new Set(keys.map(keyScope)).size > 1)
+    .map(keys => {
+      keys.sort((x, y) => order.get(keyScope(x)) - order.get(keyScope(y)) || Number(x.split(":").pop()) - Number(y.split(":").pop()));
+      return { keys, primary: defaultPrimaryScope(keys, scopeList) };
+    });
+}
+
+// Groups of findings from two or more scopes that describe the same thing
+export function findOverlaps(scopeList, resultMap, threshold = OVERLAP_THRESHOLD) {
+  const items = scopeList.flatMap(s => (resultMap[s.id] || []).map((f, i) => ({ key: findingKey(s.id, i), scopeId: s.id, f })));
+  const pairs = [];
+  items.forEach((a, i) => items.slice(i + 1).forEach(b => {
+    if (a.scopeId !== b.scopeId && overlapScore(a.f, b.f) >= threshold) pairs.push({ keys: [a.key, b.key] });
+  }));
+  return mergeOverlapGroups(scopeList, pairs);
+}
+
+// groups: [{ keys, primary }]. The first finding from the primary scope is kept
+// and inherits the others' pages; the rest are dropped from their scopes.
+export function applyConsolidation(scopeList, resultMap, groups) {
+  const label = id => scopeList.find(s => s.id === id)?.label || id;
+  const replace = new Map();
+  const drop = new Set();
+  groups.forEach(({ keys, primary }) => {
+    const keep = keys.find(k => keyScope(k) === primary);
+    if (!keep) return;
+    const at = k => resultMap[keyScope(k)][Number(k.split(":").pop())];
+    const others = keys.filter(k => k !== keep);
+    const kept = at(keep);
+    replace.set(keep, {
+      ...kept,
+      pages: [...new Set([kept, ...others.map(at)].flatMap(f => f.pages))].sort((a, b) => a - b),
+      alsoIn: [...new Set([...(kept.alsoIn || []), ...others.map(k => keyScope(k)).filter(id => id !== primary).map(label)])],
+      mergedFrom: (kept.mergedFrom || 0) + others.reduce((n, k) => n + 1 + (at(k).mergedFrom || 0), 0),
+    });
+    others.forEach(k => drop.add(k));
+  });
+  return Object.fromEntries(Object.entries(resultMap).map(([id, list]) => [
+    id,
+    list.flatMap((f, i) => (drop.has(findingKey(id, i)) ? [] : [replace.get(findingKey(id, i)) || f])),
+  ]));
+}
+
+// For findOverlapsWithModel: the model reports groups of keys, nothing else
+const OVERLAPS_TOOL = {
+  name: "report_overlaps",
+  description: "Report groups of findings from different scopes that describe the same underlying change.",
+  input_schema: {
+    type: "object",
+    properties: {
+      groups: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: { keys: { type: "array", items: { type: "string" }, description: "The [scope:index] keys of the findings in this group, two or more." } },
+          required: ["keys"],
+        },
+      },
+    },
+    required: ["groups"],
+  },
+};
+
+// "Also in: Deployment Changes, Migration Guide." — empty when not merged
+export const crossRefText = f => (f.alsoIn && f.alsoIn.length ? `Also in: ${f.alsoIn.join(", ")}.` : "");
+
+// ─── Version comparison ───────────────────────────────────────────────────────
+// Compare mode diffs two extracted documents sentence by sentence and feeds
+// only the changed passages to the scope prompts. Hunks are located by the
+// target (newer) document's pages, so citations point into the new version.
+
+export const CHANGE_TYPES = [
+  { id: "added",   label: "Added",   icon: "+", color: "#34D399" },
+  { id: "changed", label: "Changed", icon: "~", color: "#FBBF24" },
+  { id: "removed", label: "Removed", icon: "−", color: "#FF6B6B" },
+];
+
+// Sentence-level units with their page; the key is what the diff compares
+function diffUnits(text) {
+  const units = [];
+  let page = null;
+  text.split(new RegExp(MARKER_SPLIT)).forEach(block => {
+    const m = block.match(new RegExp(MARKER_HEAD));
+    if (m) page = Number(m[1]);
+    const body = m ? block.slice(m[0].length) : block;
+    body.split(new RegExp("(?<=[.!?:;])\\s+|\\n+")).forEach(raw => {
+      const t = raw.replace(new RegExp("\\s+", "g"), " ").trim();
+      if (t.length > 2) units.push({ text: t, key: t.toLowerCase(), page });
+    });
+  });
+  return units;
+}
+
+// Patience diff: anchor on keys that occur exactly once on both sides, keep
+// the longest increasing run of anchors, recurse into the gaps. Small gaps
+// fall back to a plain LCS table; large unanchored gaps count as replaced.
+function diffKeys(a, b) {
+  const ops = [];
+  const lcs = (aLo, aHi, bLo, bHi) => {
+    const n = aHi - aLo, m = bHi - bLo;
+    if (!n || !m || n * m > 40000) {
+      for (let i = aLo; i < aHi; i++) ops.push({ type: "del", a: i });
+      for (let j = bLo; j < bHi; j++) ops.push({ type: "add", b: j });
+      return;
+    }
+    const t = Array.from({ length: n + 1 }, () => new Uint16Array(m + 1));
+    for (let i = n - 1; i >= 0; i--)
+      for (let j = m - 1; j >= 0; j--)
+        t[i][j] = a[aLo + i] === b[bLo + j] ? t[i + 1][j + 1] + 1 : Math.max(t[i + 1][j], t[i][j + 1]);
+    let i = 0, j = 0;
+    while (i < n && j < m) {
+      if (a[aLo + i] === b[bLo + j]) { ops.push({ type: "same", a: aLo + i, b: bLo + j }); i++; j++; }
+      else if (t[i + 1][j] >= t[i][j + 1]) { ops.push({ type: "del", a: aLo + i }); i++; }
+      else { ops.push({ type: "add", b: bLo + j }); j++; }
+    }
+    for (; i < n; i++) ops.push({ type: "del", a: aLo + i });
+    for (; j < m; j++) ops.push({ type: "add", b: bLo + j });
+  };
+  const walk = (aLo, aHi, bLo, bHi) => {
+    while (aLo < aHi && bLo < bHi && a[aLo] === b[bLo]) { ops.push({ type: "same", a: aLo, b: bLo }); aLo++; bLo++; }
+    let aEnd = aHi, bEnd = bHi;
+    while (aEnd > aLo && bEnd > bLo && a[aEnd - 1] === b[bEnd - 1]) { aEnd--; bEnd--; }
+
+    const seen = new Map();
+    for (let i = aLo; i < aEnd; i++) { const e = seen.get(a[i]); seen.set(a[i], e ? { ...e, ac: e.ac + 1 } : { ai: i, ac: 1, bc: 0 }); }
+    for (let j = bLo; j < bEnd; j++) { const e = seen.get(b[j]); if (e) { e.bc++; e.bj = j; } }
+    const pairs = [...seen.values()].filter(e => e.ac === 1 && e.bc === 1).sort((x, y) => x.ai - y.ai);
+
+    // Longest increasing subsequence of b positions (patience sorting)
+    const tails = [], prev = new Array(pairs.length);
+    pairs.forEach((p, k) => {
+      let lo = 0, hi = tails.length;
+      while (lo < hi) { const mid = (lo + hi) >> 1; if (pairs[tails[mid]].bj < p.bj) lo = mid + 1; else hi = mid; }
+      prev[k] = lo > 0 ? tails[lo - 1] : -1;
+      tails[lo] = k;
+    });
+    const anchors = [];
+    for (let k = tails.length ? tails[tails.length - 1] : -1; k !== -1; k = prev[k]) anchors.unshift(pairs[k]);
+
+    if (!anchors.length) lcs(aLo, aEnd, bLo, bEnd);
+    else {
+      let ai = aLo, bj = bLo;
+      anchors.forEach(p => {
+        walk(ai, p.ai, bj, p.bj);
+        ops.push({ type: "same", a: p.ai, b: p.bj });
+        ai = p.ai + 1; bj = p.bj + 1;
+      });
+      walk(ai, aEnd, bj, bEnd);
+    }
+    for (let k = 0; aEnd + k < aHi; k++) ops.push({ type: "same", a: aEnd + k, b: bEnd + k });
+  };
+  walk(0, a.length, 0, b.length);
+  return ops;
+}
+
+// Diff two extracted documents. Returns the hunks, per-type counts and the
+// diff text handed to the scope prompts (with target [Page N] markers).
+export function diffDocuments(baseText, targetText) {
+  const A = diffUnits(baseText), B = diffUnits(targetText);
+  const ops = diffKeys(A.map(u => u.key), B.map(u => u.key));
+
+  const hunks = [];
+  let cur = null, lastB = 0;
+  const flush = () => {
+    if (!cur) return;
+    cur.type = cur.removed.length && cur.added.length ? "changed" : cur.added.length ? "added" : "removed";
+    cur.page = cur.added.length ? B[cur.added[0]].page : (B[lastB] || B[B.length - 1] || {}).page ?? null;
+    cur.basePage = cur.removed.length ? A[cur.removed[0]].page : null;
+    hunks.push(cur);
+    cur = null;
+  };
+  ops.forEach(op => {
+    if (op.type === "same") { flush(); lastB = op.b + 1; return; }
+    if (!cur) cur = { removed: [], added: [] };
+    if (op.type === "del") cur.removed.push(op.a); else cur.added.push(op.b);
+  });
+  flush();
+
+  const lines = [];
+  const marker = citationUnit(targetText) === "section" ? "Section" : "Page";
+  const loc = (text, n) => formatPages([n], citationUnit(text));
+  let page = null;
+  hunks.forEach(h => {
+    if (h.page !== page && h.page !== null) { lines.push("", `[${marker} ${h.page}]`); page = h.page; }
+    const where = [h.basePage ? `previous ${loc(baseText, h.basePage)}` : "", h.page ? `new ${loc(targetText, h.page)}` : ""].filter(Boolean).join(" → ");
+    lines.push(`@@ ${h.type.toUpperCase()}${where ? ` (${where})` : ""}`);
+    h.removed.forEach(i => lines.push(`- ${A[i].text}`));
+    h.added.forEach(i => lines.push(`+ ${B[i].text}`));
+  });
+
+  const counts = { added: 0, changed: 0, removed: 0 };
+  hunks.forEach(h => { counts[h.type]++; });
+  return { hunks, counts, text: lines.join("\n").trim() };
+}
+
+// Findings per change type across all scopes — { added, changed, removed }
+export function countByChange(scopeList, resultMap) {
+  const counts = { added: 0, changed: 0, removed: 0 };
+  scopeList.forEach(s => (resultMap[s.id] || []).forEach(f => { if (f.change) counts[f.change]++; }));
+  return counts;
+}
+
+// ─── Streaming (SSE) ──────────────────────────────────────────────────────────
+// Scope calls use stream: true so findings show up while Claude is still writing.
+
+// Read a Messages API event stream, calling onEvent(type, data) per event
+async function readEventStream(resp, onEvent) {
+  const reader  = resp.body.getReader();
+  const decoder = new TextDecoder();
+  let buf = "";
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buf += decoder.decode(value, { stream: true });
+    let idx;
+    while ((idx = buf.indexOf("\n\n")) !== -1) {
+      const raw = buf.slice(0, idx);
+      buf = buf.slice(idx + 2);
+      let type = "message", data = "";
+      raw.split("\n").forEach(line => {
+        if (line.startsWith("event:")) type = line.slice(6).trim();
+        else if (line.startsWith("data:")) data += line.slice(5).trim();
+      });
+      if (data) onEvent(type, JSON.parse(data));
+    }
+  }
+}
+
+// Rebuild the final message from its events. onInputDelta receives every
+// partial_json fragment of tool input as it arrives.
+async function collectStreamedMessage(resp, onInputDelta) {
+  const content = [], json = {};
+  let stopReason = null, usage = null;
+  await readEventStream(resp, (type, data) => {
+    if (type === "message_start") {
+      usage = data.message?.usage || null;
+    } else if (type === "content_block_start") {
+      content[data.index] = { ...data.content_block };
+      if (data.content_block.type === "tool_use") json[data.index] = "";
+    } else if (type === "content_block_delta") {
+      const d = data.delta;
+      if (d.type === "input_json_delta") { json[data.index] += d.partial_json; onInputDelta && onInputDelta(d.partial_json); }
+      else if (d.type === "text_delta") content[data.index].text = (content[data.index].text || "") + d.text;
+    } else if (type === "content_block_stop" && data.index in json) {
+      // Truncated input (max_tokens) fails to parse — {} lets validation ask for a repair
+      try { content[data.index].input = JSON.parse(json[data.index] || "{}"); }
+      catch (e) { content[data.index].input = {}; }
+    } else if (type === "message_delta") {
+      stopReason = data.delta?.stop_reason || stopReason;
+      // Output counts are cumulative; input is repeated or only on message_start
+      if (data.usage) usage = { ...usage, ...data.usage };
+    } else if (type === "error") {
+      throw new Error(data.error?.message || "Stream error");
+    }
+  });
+  return { content: content.filter(Boolean), stop_reason: stopReason, usage };
+}
+
+// Pull complete finding objects out of streamed tool input
+// ({"findings": [{…}, {…}, …) as soon as each closing brace arrives.
+function createFindingsStreamParser() {
+  let buf = "", pos = 0, inArray = false, depth = 0, inString = false, escaped = false, start = -1;
+  return chunk => {
+    buf += chunk;
+    const out = [];
+    for (; pos < buf.length; pos++) {
+      const ch = buf[pos];
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (ch === "\\") escaped = true;
+        else if (ch === '"') inString = false;
+        continue;
+      }
+      if (ch === '"') { inString = true; continue; }
+      if (!inArray) { if (ch === "[") inArray = true; continue; }
+      if (ch === "{") { if (depth === 0) start = pos; depth++; }
+      else if (ch === "}") {
+        depth--;
+        if (depth === 0 && start !== -1) {
+          try { out.push(JSON.parse(buf.slice(start, pos + 1))); } catch (e) { /* malformed item — final validation reports it */ }
+          start = -1;
+        }
+      } else if (ch === "]" && depth === 0) inArray = false;
+    }
+    return out;
+  };
+}
+
+// ─── LLM providers ────────────────────────────────────────────────────────────
+// Every request is built as an Anthropic Messages body (system, messages, tools,
+// tool_choice, stream). A provider decides where it goes and how it is mapped:
+// anthropic sends it as is; openai translates it to an OpenAI-compatible
+// /chat/completions call (Ollama, llama.cpp server, vLLM…) and the answer back;
+// mock answers offline from the document itself. Whatever ran, send() resolves
+// with an Anthropic-shaped Response — JSON, or an SSE stream when the body asks
+// for one — so nothing after fetchWithRetry knows which provider it was.
+//
+// Provider shape:
+//   label, endpoint (browser default), rateLimited (uses the Anthropic budget)
+//   models        [{ id, label, price, outputPerSec }] to choose from; empty means free text
+//   defaultModel
+//   profile(model) → { price: { input, output } | null, outputPerSec } for estimates
+//   send(body, { endpoint, headers, signal }) → Response
+//
+// price is USD per million tokens (null when unknown); outputPerSec is a rough
+// generation speed used to estimate wall time.
+
+export const ANTHROPIC_MODELS = [
+  { id: "claude-haiku-4-5-20251001",  label: "Haiku 4.5",  price: { input: 1, output: 5 },  outputPerSec: 150 },
+  { id: "claude-sonnet-4-5-20250929", label: "Sonnet 4.5", price: { input: 3, output: 15 }, outputPerSec: 70 },
+  { id: "claude-opus-4-5-20251101",   label: "Opus 4.5",   price: { input: 5, output: 25 }, outputPerSec: 50 },
+];
+
+const LOCAL_OUTPUT_PER_SEC = 25; // a mid-size model on one consumer GPU
+
+const jsonResponse = (obj, status = 200) => new Response(JSON.stringify(obj), { status, headers: { "content-type": "application/json" } });
+
+// A complete message replayed as the event stream Anthropic would have sent
+function streamResponse(message) {
+  const events = [["message_start", { type: "message_start", message: { ...message, content: [] } }]];
+  message.content.forEach((block, index) => {
+    const start = block.type === "tool_use" ? { ...block, input: {} } : { type: "text", text: "" };
+    const delta = block.type === "tool_use"
+      ? { type: "input_json_delta", partial_json: JSON.stringify(block.input) }
+      : { type: "text_delta", text: block.text };
+    events.push(["content_block_start", { type: "content_block_start", index, content_block: start }]);
+    events.push(["content_block_delta", { type: "content_block_delta", index, delta }]);
+    events.push(["content_block_stop", { type: "content_block_stop", index }]);
+  });
+  events.push(["message_delta", { type: "message_delta", delta: { stop_reason: message.stop_reason }, usage: message.usage }]);
+  events.push(["message_stop", { type: "message_stop" }]);
+  const text = events.map(([type, data]) => `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`).join("");
+  return new Response(text, { headers: { "content-type": "text/event-stream" } });
+}
+
+const asMessage = (body, message) => (body.stream ? streamResponse(message) : jsonResponse(message));
+
+// ── OpenAI-compatible mapping ──
+const blockText = content => (typeof content === "string" ? content : content.filter(b => b.type === "text").map(b => b.text).join("\n"));
+
+function toOpenAiMessages(m) {
+  if (typeof m.content === "string") return [{ role: m.role, content: m.content }];
+  const toolUses    = m.content.filter(b => b.type === "tool_use");
+  const toolResults = m.content.filter(b => b.type === "tool_result");
+  if (toolUses.length) {
+    return [{ role: "assistant", content: blockText(m.content) || null, tool_calls: toolUses.map(b => ({ id: b.id, type: "function", function: { name: b.name, arguments: JSON.stringify(b.input) } })) }];
+  }
+  if (toolResults.length) {
+    return toolResults.map(b => ({ role: "tool", tool_call_id: b.tool_use_id, content: typeof b.content === "string" ? b.content : blockText(b.content) }));
+  }
+  return [{ role: m.role, content: blockText(m.content) }];
+}
+
+function toOpenAiRequest(body) {
+  return {
+    model: body.model,
+    max_tokens: body.max_tokens,
+    stream: false,
+    messages: [...(body.system ? [{ role: "system", content: body.system }] : []), ...body.messages.flatMap(toOpenAiMessages)],
+    ...(body.tools ? { tools: body.tools.map(t => ({ type: "function", function: { name: t.name, description: t.description, parameters: t.input_schema } })) } : {}),
+    ...(body.tool_choice?.type === "tool" ? { tool_choice: { type: "function", function: { name: body.tool_choice.name } } } : {}),
+  };
+}
+
+const parseJsonObject = text => {
+  try {
+    const v = typeof text === "string" ? JSON.parse(text.replace(new RegExp("```json|```", "g"), "").trim()) : text;
+    return v && typeof v === "object" && !Array.isArray(v) ? v : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+// Small local models sometimes answer a forced tool with plain JSON text —
+// that is taken as the tool input
+function fromOpenAiResponse(data, body) {
+  const choice = data.choices?.[0] || {};
+  const msg = choice.message || {};
+  const calls = (msg.tool_calls || []).map((tc, i) => ({
+    type: "tool_use", id: tc.id || `call_${i}`, name: tc.function?.name, input: parseJsonObject(tc.function?.arguments) || {},
+  }));
+  const forced = body.tool_choice?.type === "tool" ? body.tool_choice.name : null;
+  const fallback = forced && !calls.length && parseJsonObject(msg.content || "");
+  const content = fallback
+    ? [{ type: "tool_use", id: "call_0", name: forced, input: fallback }]
+    : [...(msg.content ? [{ type: "text", text: msg.content }] : []), ...calls];
+  const stop = choice.finish_reason === "length" ? "max_tokens" : content.some(b => b.type === "tool_use") ? "tool_use" : "end_turn";
+  return {
+    id: data.id || "msg_openai", type: "message", role: "assistant", model: data.model || body.model, content, stop_reason: stop,
+    usage: { input_tokens: data.usage?.prompt_tokens || 0, output_tokens: data.usage?.completion_tokens || 0 },
+  };
+}
+
+// ── Mock: findings from the document's own sentences, no network ──
+function mockMessage(body) {
+  const tool = body.tools?.[0];
+  const text = blockText(body.messages[body.messages.length - 1].content);
+  const message = content => ({
+    id: "msg_mock", type: "message", role: "assistant", model: body.model, content, stop_reason: tool ? "tool_use" : "end_turn",
+    usage: { input_tokens: Math.ceil(JSON.stringify(body).length / 4), output_tokens: Math.ceil(JSON.stringify(content).length / 4) },
+  });
+
+  if (!tool) {
+    const first = text.replace(new RegExp("\\[(Page|Section) \\d+\\]", "g"), "").split("\n").map(l => l.replace(new RegExp("^#+\\s*"), "").trim()).find(Boolean) || "Mock document";
+    return message([{ type: "text", text: JSON.stringify({ title: first.slice(0, 80), subtitle: "Mock analysis", revision: "" }) }]);
+  }
+  if (tool.name !== FINDINGS_TOOL_NAME) return message([{ type: "tool_use", id: "toolu_mock", name: tool.name, input: { groups: [] } }]);
+
+  // Sentences with the page they sit on; the scope prompt picks where to start
+  const doc = text.slice(text.indexOf("DOCUMENT CONTENT:") + 17);
+  const sentences = [];
+  let page = null;
+  doc.split(new RegExp("(\\[(?:Page|Section) \\d+\\])")).forEach(part => {
+    const marker = part.match(new RegExp("^\\[(?:Page|Section) (\\d+)\\]$"));
+    if (marker) { page = Number(marker[1]); return; }
+    part.split("\n").filter(l => !l.trim().startsWith("#")).join(" ").split(new RegExp("(?<=[.!?])\\s+")).map(t => t.replace(new RegExp("\\s+", "g"), " ").trim())
+      .filter(t => t.length >= 40 && t.split(" ").length >= 6).forEach(t => sentences.push({ text: t, page }));
+  });
+  const seed = [...(body.system || "")].reduce((h, ch) => (h * 31 + ch.charCodeAt(0)) >>> 0, 7);
+  const picked = Array.from({ length: Math.min(3, sentences.length) }, (_, i) => sentences[(seed + i * 7) % sentences.length]);
+  const props = tool.input_schema.properties.findings.items;
+  const findings = [...new Set(picked)].map(({ text: t, page: p }) => ({
+    title: t.split(" ").slice(0, 5).join(" ").replace(new RegExp("[,.;:]$"), ""),
+    detail: t.split(" ").slice(0, 45).join(" "),
+    severity: "Medium",
+    status: props.properties.status.enum ? props.properties.status.enum[0] : "",
+    replacement: "",
+    component: "",
+    pages: p ? [p] : [],
+    quote: t.split(" ").slice(0, 10).join(" "),
+    ...(props.required.includes("change") ? { change: "changed" } : {}),
+  }));
+  return message([{ type: "tool_use", id: "toolu_mock", name: tool.name, input: { findings } }]);
+}
+
+export const PROVIDERS = {
+  anthropic: {
+    label: "Anthropic",
+    endpoint: API_URL,
+    rateLimited: true,
+    models: ANTHROPIC_MODELS,
+    defaultModel: ANTHROPIC_MODELS[0].id,
+    // Unlisted model ids (e.g. from the CLI) have no known price
+    profile: model => {
+      const m = ANTHROPIC_MODELS.find(am => am.id === model);
+      return m ? { price: m.price, outputPerSec: m.outputPerSec } : { price: null, outputPerSec: ANTHROPIC_MODELS[0].outputPerSec };
+    },
+    send: (body, { endpoint, headers, signal }) => fetch(endpoint, {
+      method: "POST", headers: { "Content-Type": "application/json", ...headers }, signal, body: JSON.stringify(body),
+    }),
+  },
+  openai: {
+    label: "OpenAI-compatible (local)",
+    endpoint: `${OPENAI_URL}/chat/completions`,
+    rateLimited: false,
+    models: [],
+    defaultModel: "llama3.1:8b",
+    profile: () => ({ price: { input: 0, output: 0 }, outputPerSec: LOCAL_OUTPUT_PER_SEC }),
+    async send(body, { endpoint, headers, signal }) {
+      const resp = await fetch(endpoint, {
+        method: "POST", headers: { "Content-Type": "application/json", ...headers }, signal, body: JSON.stringify(toOpenAiRequest(body)),
+      });
+      const data = await resp.json().catch(() => ({}));
+      // Errors keep their status, reshaped like Anthropic's so retries and messages work the same
+      if (!resp.ok) return jsonResponse({ type: "error", error: { message: data.error?.message || data.error || `Model endpoint returned HTTP ${resp.status}` } }, resp.status);
+      return asMessage(body, fromOpenAiResponse(data, body));
+    },
+  },
+  mock: {
+    label: "Mock (offline)",
+    endpoint: "",
+    rateLimited: false,
+    models: [{ id: "mock", label: "Mock", price: { input: 0, output: 0 }, outputPerSec: Infinity }],
+    defaultModel: "mock",
+    profile: () => ({ price: { input: 0, output: 0 }, outputPerSec: Infinity }),
+    send: async (body, { signal }) => {
+      if (signal?.aborted) throw new DOMException("Aborted", "AbortError");
+      return asMessage(body, mockMessage(body));
+    },
+  },
+};
+
+// "Anthropic · Haiku 4.5 (Security & Compliance: Opus 4.5)" — for reports
+export function describeModels(llm, scopeList = []) {
+  if (!llm) return "Not recorded";
+  const p = PROVIDERS[llm.provider] || PROVIDERS.anthropic;
+  const name = id => p.models.find(m => m.id === id)?.label || id;
+  const overrides = scopeList
+    .filter(s => llm.scopeModels?.[s.id] && llm.scopeModels[s.id] !== llm.model)
+    .map(s => `${s.label}: ${name(llm.scopeModels[s.id])}`);
+  return `${p.label} · ${name(llm.model)}${overrides.length ? ` (${overrides.join("; ")})` : ""}`;
+}
+
+// ─── Rate limiting ────────────────────────────────────────────────────────────
+// One token bucket per Anthropic limit (requests, input tokens, output tokens).
+// Buckets start from tier-1 Haiku limits and are corrected from the
+// anthropic-ratelimit-* headers on every response; retry-after pauses all
+// callers. Requests wait in FIFO order until their estimated cost fits.
+
+const DEFAULT_RATE_LIMITS  = { requests: 50, input: 50000, output: 10000 }; // per minute
+export const MAX_CONCURRENT_SCOPES = 3;
+
+// Rough token estimate for a Messages API body (~4 chars per token)
+function estimateCost(body) {
+  return { requests: 1, input: Math.ceil(JSON.stringify(body).length / 4), output: body.max_tokens || 0 };
+}
+
+export function createRateLimiter(defaults = DEFAULT_RATE_LIMITS) {
+  const buckets = {};
+  Object.entries(defaults).forEach(([name, limit]) => {
+    buckets[name] = { limit, tokens: limit, inFlight: 0, updatedAt: Date.now() };
+  });
+  let blockedUntil = 0;
+  let queue = Promise.resolve();
+
+  // Tokens refill continuously: the whole limit over one minute
+  const refill = now => Object.values(buckets).forEach(b => {
+    b.tokens = Math.min(b.limit, b.tokens + (now - b.updatedAt) * b.limit / 60000);
+    b.updatedAt = now;
+  });
+
+  const budget = () => {
+    refill(Date.now());
+    return Object.fromEntries(Object.entries(buckets).map(([n, b]) => [n, { remaining: Math.floor(b.tokens), limit: b.limit }]));
+  };
+
+  const waitFor = async (cost, signal, onWait) => {
+    for (;;) {
+      if (signal?.aborted) throw new DOMException("Aborted", "AbortError");
+      const now = Date.now();
+      refill(now);
+      let waitMs = Math.max(0, blockedUntil - now);
+      Object.entries(buckets).forEach(([n, b]) => {
+        const need = Math.min(cost[n] || 0, b.limit); // a request larger than the limit still gets through once full
+        if (need > b.tokens) waitMs = Math.max(waitMs, (need - b.tokens) * 60000 / b.limit);
+      });
+      if (waitMs <= 0) {
+        Object.entries(buckets).forEach(([n, b]) => { b.tokens -= cost[n] || 0; b.inFlight += cost[n] || 0; });
+        return;
+      }
+      onWait && onWait(Math.ceil(waitMs / 1000), budget());
+      await new Promise(r => setTimeout(r, Math.min(waitMs, 1000)));
+    }
+  };
+
+  return {
+    budget,
+    // Resolves once the request may be sent; its cost is reserved until settle()
+    acquire(cost, signal, onWait) {
+      const turn = queue.then(() => waitFor(cost, signal, onWait));
+      queue = turn.catch(() => {});
+      return turn;
+    },
+    // Release the reservation and adopt the server's view of the limits
+    settle(cost, headers) {
+      const now = Date.now();
+      refill(now);
+      Object.entries(buckets).forEach(([n, b]) => { b.inFlight = Math.max(0, b.inFlight - (cost[n] || 0)); });
+      if (!headers) return;
+      const read = (name, field) => {
+        const v = headers.get(`anthropic-ratelimit-${name}-${field}`);
+        return v === null || v === "" ? null : Number(v);
+      };
+      [["requests", "requests"], ["input", "input-tokens"], ["output", "output-tokens"], ["input", "tokens"]].forEach(([n, h]) => {
+        const limit = read(h, "limit"), remaining = read(h, "remaining");
+        if (limit === null || remaining === null || (h === "tokens" && read("input-tokens", "limit") !== null)) return;
+        const b = buckets[n];
+        b.limit = limit;
+        // Requests still in flight have not been counted by the server yet
+        b.tokens = Math.max(0, Math.min(limit, remaining - b.inFlight));
+      });
+      const retryAfter = Number(headers.get("retry-after"));
+      if (retryAfter > 0) blockedUntil = Math.max(blockedUntil, now + retryAfter * 1000);
+    },
+    // Pause every caller (e.g. after a 429/529 without retry-after)
+    block(secs) {
+      blockedUntil = Math.max(blockedUntil, Date.now() + secs * 1000);
+    },
+  };
+}
+
+// "12.4k/50k input tokens · 41/50 requests left"
+function describeBudget(b) {
+  const k = n => (n >= 1000 ? `${(n / 1000).toFixed(n >= 10000 ? 0 : 1)}k` : String(n));
+  return `${k(b.input.remaining)}/${k(b.input.limit)} input tokens · ${k(b.output.remaining)}/${k(b.output.limit)} output · ${b.requests.remaining}/${b.requests.limit} requests left`;
+}
+
+// Shared by every run in this tab (or CLI process) — the budget belongs to the API key, not the run
+export const rateLimiter = createRateLimiter();
+
+// ─── Cost and time estimates ─────────────────────────────────────────────────
+// Before a run: input tokens are the limiter's own estimate of each request
+// (~4 chars per token, prompt and tool schema included). Output is a typical
+// findings call — the limiter reserves the full max_tokens, but a call rarely
+// uses it. After a run: the real usage reported by every response.
+
+const EXPECTED_OUTPUT_TOKENS = 1200; // ~10-15 findings
+const EXPECTED_TITLE_TOKENS  = 60;
+const CALL_OVERHEAD_SECS     = 2;    // connection, queueing and reading the prompt
+
+// Replay the calls of a run through the token buckets in `budget` (as returned
+// by rateLimiter.budget(), null for no limits): the title call first, then the
+// scopes MAX_CONCURRENT_SCOPES at a time, each scope's chunks one after another.
+// Requests are granted in the order they become ready, like the limiter's
+// FIFO queue; each reserves max_tokens of output and hands back the unused
+// part when it finishes. → { total, scopes: { [id]: seconds from start to end } }
+function simulateSchedule(title, scopePlans, budget) {
+  const buckets = budget && Object.fromEntries(Object.entries(budget).map(([n, b]) => [n, { tokens: b.remaining, limit: b.limit }]));
+  const refunds = []; // { at, output }
+  let clock = 0;
+
+  const advance = to => {
+    if (buckets) {
+      refunds.sort((a, b) => a.at - b.at);
+      const refill = t => {
+        Object.values(buckets).forEach(b => { b.tokens = Math.min(b.limit, b.tokens + (t - clock) * b.limit / 60); });
+        clock = t;
+      };
+      while (refunds.length && refunds[0].at <= to) {
+        const r = refunds.shift();
+        refill(Math.max(clock, r.at));
+        buckets.output.tokens = Math.min(buckets.output.limit, buckets.output.tokens + r.output);
+      }
+      refill(Math.max(clock, to));
+    } else {
+      clock = Math.max(clock, to);
+    }
+  };
+
+  // Returns when the call finishes
+  const run = (call, readyAt) => {
+    advance(readyAt);
+    for (;;) {
+      if (!buckets) break;
+      const waitSecs = Math.max(0, ...Object.entries(buckets).map(([n, b]) => (Math.min(call.cost[n] || 0, b.limit) - b.tokens) * 60 / b.limit));
+      if (waitSecs < 0.001) break; // float dust would otherwise never settle
+      const nextRefund = Math.min(...refunds.map(r => r.at).filter(at => at > clock));
+      advance(Math.min(clock + waitSecs, nextRefund));
+    }
+    if (buckets) {
+      Object.entries(buckets).forEach(([n, b]) => { b.tokens -= call.cost[n] || 0; });
+      refunds.push({ at: clock + call.secs, output: call.cost.output - call.output });
+    }
+    return clock + call.secs;
+  };
+
+  const start = run(title, 0);
+  const times = {};
+  const queue = scopePlans.filter(sp => sp.calls.length);
+  const active = queue.splice(0, MAX_CONCURRENT_SCOPES).map(sp => ({ sp, next: 0, readyAt: start, startedAt: start }));
+  let end = start;
+  while (active.length) {
+    const job = active.reduce((a, b) => (b.readyAt < a.readyAt ? b : a));
+    job.readyAt = run(job.sp.calls[job.next++], job.readyAt);
+    if (job.next < job.sp.calls.length) continue;
+    times[job.sp.id] = job.readyAt - job.startedAt;
+    end = Math.max(end, job.readyAt);
+    active.splice(active.indexOf(job), 1);
+    if (queue.length) active.push({ sp: queue.shift(), next: 0, readyAt: job.readyAt, startedAt: job.readyAt });
+  }
+  return { total: end, scopes: times };
+}
+
+// Fold one onUsage report into a run's usage: { [scopeId | "_run"]: { calls, input, output, usd } }.
+// usd is null once any call's model has no known price.
+export function addUsage(usage, { scopeId, model, input, output }, provider = "anthropic") {
+  const key = scopeId || "_run";
+  const price = (PROVIDERS[provider] || PROVIDERS.anthropic).profile(model).price;
+  const prev = usage[key] || { calls: 0, input: 0, output: 0, usd: 0 };
+  const usd = price && prev.usd !== null ? prev.usd + (input * price.input + output * price.output) / 1e6 : null;
+  return { ...usage, [key]: { calls: prev.calls + 1, input: prev.input + input, output: prev.output + output, usd } };
+}
+
+export function usageTotals(usage) {
+  return Object.values(usage || {}).reduce((t, u) => ({
+    calls: t.calls + u.calls, input: t.input + u.input, output: t.output + u.output, usd: t.usd === null || u.usd === null ? null : t.usd + u.usd,
+  }), { calls: 0, input: 0, output: 0, usd: 0 });
+}
+
+// 48213 → "48.2k", 0.0913 → "$0.09", 75 → "1m 15s"
+export const formatTokens = n => (n >= 1000 ? `${(n / 1000).toFixed(n >= 100000 ? 0 : 1)}k` : String(Math.round(n)));
+export const formatUsd = usd => (usd === null ? "unknown" : usd === 0 ? "$0" : usd < 0.01 ? "<$0.01" : `$${usd.toFixed(2)}`);
+export function formatDuration(secs) {
+  const s = Math.round(secs);
+  if (s < 60) return `${s}s`;
+  return s < 3600 ? `${Math.floor(s / 60)}m ${String(s % 60).padStart(2, "0")}s` : `${Math.floor(s / 3600)}h ${String(Math.floor(s / 60) % 60).padStart(2, "0")}m`;
+}
+
+// ─── Analysis client ──────────────────────────────────────────────────────────
+// The model calls behind a run. The browser posts to the /api proxy; the CLI
+// points endpoint at the provider and passes credentials in headers. model is
+// the default for every call, scopeModels overrides it per scope id. onStatus
+// gets the short status lines (rate-limit waits, repairs) the UI shows as the phase;
+// onUsage gets { scopeId, model, input, output } from every response's usage
+// (scopeId is null for the title and overlap calls).
+
+// Providers without Anthropic's limits skip the shared budget
+const UNLIMITED = { acquire: async () => {}, settle: () => {}, block: () => {} };
+
+export function createAnalysisClient({
+  provider = "anthropic", endpoint, headers = {}, model, scopeModels = {}, limiter = rateLimiter, onStatus = () => {}, onUsage = () => {},
+} = {}) {
+  const llm = PROVIDERS[provider];
+  if (!llm) throw new Error(`Unknown provider: ${provider}`);
+  const target = endpoint ?? llm.endpoint;
+  const defaultModel = model || llm.defaultModel;
+  const modelFor = scope => scopeModels[scope.id] || defaultModel;
+  if (!llm.rateLimited) limiter = UNLIMITED;
+
+  // Cache writes and reads are billed as input too
+  const reportUsage = (scopeId, body, usage) => usage && onUsage({
+    scopeId,
+    model: body.model,
+    input: (usage.input_tokens || 0) + (usage.cache_creation_input_tokens || 0) + (usage.cache_read_input_tokens || 0),
+    output: usage.output_tokens || 0,
+  });
+
+  // ── POST through the rate limiter, retrying on 429/529 ─────────────────
+  // Resolves with the raw Response so callers can read JSON or an event stream.
+  // Waits are driven by the limiter's budget and the server's retry-after.
+  const fetchWithRetry = async (body, signal) => {
+    const cost = estimateCost(body);
+    const onWait = (secs, budget) => onStatus(`Rate budget: ${describeBudget(budget)} — next request in ${secs}s…`);
+    let lastErr;
+    for (let attempt = 0; attempt < 4; attempt++) {
+      await limiter.acquire(cost, signal, onWait);
+      let resp;
+      try {
+        resp = await llm.send(body, { endpoint: target, headers, signal });
+      } catch (e) {
+        limiter.settle(cost, null);
+        throw e;
+      }
+      limiter.settle(cost, resp.headers);
+      if (resp.status === 429 || resp.status === 529) {
+        const e = await resp.json().catch(() => ({}));
+        lastErr = e?.error?.message || "Rate limit exceeded";
+        // No retry-after (e.g. 529 overloaded): fall back to 15s, 30s, 45s
+        if (!resp.headers.get("retry-after")) limiter.block((attempt + 1) * 15);
+        continue;
+      }
+      if (!resp.ok) {
+        const e = await resp.json().catch(() => ({}));
+        throw new Error(e?.error?.message || `API error ${resp.status}`);
+      }
+      return resp;
+    }
+    throw new Error(lastErr);
+  };
+
+  // ── Extract human-readable title from the first ~3000 chars of doc ────────
+  const titleRequest = text => ({
+    model: defaultModel,
+    max_tokens: 200,
+    system: "Extract the document title information from the beginning of this vendor document. Respond ONLY with a JSON object with exactly these keys: title (main product/document title, e.g. \"Dell Automation Platform 1.x\"), subtitle (document type/subtitle, e.g. \"Deployment Guide — Release Analysis & Change Summary\"), revision (revision and date string, e.g. \"A03 | February 2026\" — empty string if not found). No markdown, no explanation, just the JSON object.",
+    messages: [{ role: "user", content: text.slice(0, 3000) }],
+  });
+
+  const extractDocTitle = async (text, signal) => {
+    try {
+      const request = titleRequest(text);
+      const resp = await fetchWithRetry(request, signal);
+      const data = await resp.json();
+      reportUsage(null, request, data.usage);
+      const raw = data.content?.map(c => c.text || "").join("") || "";
+      const clean = raw.replace(new RegExp("```json|```","g"), "").trim();
+      const parsed = JSON.parse(clean);
+      if (parsed.title) return parsed;
+    } catch (e) {
+      if (e.name === "AbortError") throw e;
+      /* otherwise silent — fall back to filename */
+    }
+    return null;
+  };
+
+  // ── Ask the model which findings in different scopes are the same change ──
+  // Returns [{ keys }] for mergeOverlapGroups; unknown keys and groups that stay
+  // within one scope are dropped.
+  const findOverlapsWithModel = async (scopeList, resultMap, signal) => {
+    const items = scopeList.flatMap(s => (resultMap[s.id] || []).map((f, i) => ({ key: findingKey(s.id, i), line: `[${findingKey(s.id, i)}] (${s.label}) ${findingSummary(f)}` })));
+    const known = new Set(items.map(it => it.key));
+    const request = {
+      model: defaultModel,
+      max_tokens: 2048,
+      system: `You review findings extracted from one release document by several analysis scopes. The same change is often reported by more than one scope in different words. Group findings from different scopes that describe the same underlying change, and report the groups with the ${OVERLAPS_TOOL.name} tool. Leave out findings that are merely related or about the same component but a different change.`,
+      tools: [OVERLAPS_TOOL],
+      tool_choice: { type: "tool", name: OVERLAPS_TOOL.name },
+      messages: [{ role: "user", content: `FINDINGS:\n${items.map(it => it.line).join("\n")}` }],
+    };
+    const data = await (await fetchWithRetry(request, signal)).json();
+    reportUsage(null, request, data.usage);
+    const input = data.content?.find(c => c.type === "tool_use")?.input;
+    return (Array.isArray(input?.groups) ? input.groups : [])
+      .map(g => ({ keys: [...new Set((Array.isArray(g.keys) ? g.keys : []).map(String).filter(k => known.has(k)))] }))
+      .filter(g => new Set(g.keys.map(keyScope)).size > 1);
+  };
+
+  // ── Call Claude for one scope; findings come back as report_findings tool input ──
+  // The response is streamed: onFinding fires for each finding as soon as its
+  // JSON object is complete. The returned list is the final, validated one.
+  const scopeRequest = (scope, textContent, { compare = false, partLabel = "" } = {}) => {
+    const systemPrompt = `You are a senior technical release analyst specialising in vendor documentation.
+Extract precise, actionable findings from vendor documentation and report them by calling the ${FINDINGS_TOOL_NAME} tool once, with one entry per finding.
+detail: one complete sentence, 15-45 words, specific and technical.
+pages: the number(s) from the [Page N] or [Section N] markers the finding is based on; an empty array if the content has no markers.
+quote: a short verbatim quote (5-20 words) copied exactly from the document.
+Leave replacement and component as empty strings when they do not apply.
+Scope: ${scopeInstruction(scope)}${compare ? `
+The content is a DIFF between two versions of the same document, not the whole document.
+Each "@@" block is one change: "-" lines exist only in the previous version, "+" lines only in the new version; a CHANGED block shows the old text followed by its replacement.
+Report only what the diff shows changed, and set change to added, removed or changed on every finding.` : ""}`;
+
+    return {
+      model: modelFor(scope),
+      max_tokens: 2048,
+      system: systemPrompt,
+      tools: [findingsTool(scope.id, compare)],
+      tool_choice: { type: "tool", name: FINDINGS_TOOL_NAME },
+      messages: [{ role: "user", content: `Analyse the following vendor documentation and extract findings for the defined scope.${partLabel ? `\nThis is ${partLabel} of the document — report only what appears in this part.` : ""}\n\nDOCUMENT CONTENT:\n${textContent}` }],
+    };
+  };
+
+  const callClaudeWithText = async (scope, textContent, { signal, compare = false, partLabel = "", onFinding = null } = {}) => {
+    const request = scopeRequest(scope, textContent, { compare, partLabel });
+
+    const parseItems = createFindingsStreamParser();
+    const streamResp = await fetchWithRetry({ ...request, stream: true }, signal);
+    const data = await collectStreamedMessage(streamResp, fragment => {
+      parseItems(fragment).forEach(raw => {
+        validateFindings({ findings: [raw] }, scope.id, compare).findings.forEach(f => onFinding && onFinding(f));
+      });
+    });
+    reportUsage(scope.id, request, data.usage);
+    const toolUse = data.content?.find(c => c.type === "tool_use" && c.name === FINDINGS_TOOL_NAME);
+    const first   = validateFindings(toolUse?.input, scope.id, compare);
+    if (!first.errors.length) return first.findings;
+
+    // One repair attempt: hand the validation errors back as a tool error
+    onStatus("Repairing malformed findings…");
+    const repairMessages = toolUse
+      ? [
+          ...request.messages,
+          { role: "assistant", content: data.content },
+          { role: "user", content: [{ type: "tool_result", tool_use_id: toolUse.id, is_error: true,
+              content: `The findings did not match the schema: ${first.errors.slice(0, 20).join("; ")}. Call ${FINDINGS_TOOL_NAME} again with every finding, corrected.` }] },
+        ]
+      : [
+          ...request.messages,
+          { role: "assistant", content: data.content?.length ? data.content : "…" },
+          { role: "user", content: `You must report the findings by calling the ${FINDINGS_TOOL_NAME} tool.` },
+        ];
+    const repaired   = await (await fetchWithRetry({ ...request, messages: repairMessages }, signal)).json();
+    reportUsage(scope.id, request, repaired.usage);
+    const repairUse  = repaired.content?.find(c => c.type === "tool_use" && c.name === FINDINGS_TOOL_NAME);
+    const second     = validateFindings(repairUse?.input, scope.id, compare);
+    // Keep whichever attempt produced more valid findings; fail only if neither did
+    const best = second.findings.length >= first.findings.length ? second : first;
+    if (!best.findings.length && best.errors.length) {
+      throw new Error(`The model returned malformed findings: ${best.errors.slice(0, 3).join("; ")}`);
+    }
+    return best.findings;
+  };
+
+  // ── Analyse one scope — map over budget-sized chunks, then reduce ───────
+  // onFindings receives the merged list while findings stream in, onProgress
+  // the chunk position. When the call is aborted and keepPartial() is true
+  // (the user pressed Stop), whatever has arrived is returned as the result.
+  const callClaude = async (scope, docText, { signal, compare = false, onFindings = null, onProgress = null, keepPartial = () => false } = {}) => {
+    const chunks = chunkPlan(docText);
+    const perChunk = [];
+    const publish = live => onFindings && onFindings(tagCitationUnit(reduceChunkFindings([...perChunk, live]), docText));
+    const progress = p => onProgress && onProgress(p);
+    for (let c = 0; c < chunks.length; c++) {
+      const { text, pages, partLabel } = chunks[c];
+      progress({ done: c, total: chunks.length, pages });
+      const live = [];
+      try {
+        perChunk.push(await callClaudeWithText(scope, text, { signal, compare, partLabel, onFinding: f => { live.push(f); publish(live); } }));
+        publish([]);
+        progress({ done: c + 1, total: chunks.length, pages });
+      } catch (e) {
+        if (e.name !== "AbortError" || !keepPartial()) throw e;
+        perChunk.push(live);
+        break;
+      }
+    }
+    return attachCitations(reduceChunkFindings(perChunk), docText);
+  };
+
+  // ── Estimate a run before making it ─────────────────────────────────────
+  // Builds the exact requests the run would send (same chunks, same prompts)
+  // and prices them with each model's profile. Wall time replays the calls
+  // through the current rate budget, MAX_CONCURRENT_SCOPES scopes at a time.
+  // titleText is the text the title is read from (the new version in compare mode).
+  const estimateRun = (scopes, docText, { compare = false, titleText = docText } = {}) => {
+    const chunks = chunkPlan(docText);
+    const plan = (request, expectedOutput) => {
+      const profile = llm.profile(request.model);
+      const cost = estimateCost(request);
+      const output = Math.min(cost.output, expectedOutput);
+      return {
+        cost, input: cost.input, output,
+        usd: profile.price ? (cost.input * profile.price.input + output * profile.price.output) / 1e6 : null,
+        secs: profile.outputPerSec === Infinity ? 0 : CALL_OVERHEAD_SECS + output / profile.outputPerSec,
+      };
+    };
+    const title = plan(titleRequest(titleText), EXPECTED_TITLE_TOKENS);
+    const scopePlans = scopes.map(scope => ({
+      id: scope.id,
+      model: modelFor(scope),
+      calls: chunks.map(c => plan(scopeRequest(scope, c.text, { compare, partLabel: c.partLabel }), EXPECTED_OUTPUT_TOKENS)),
+    }));
+    const budget = limiter.budget ? limiter.budget() : null;
+    const timed = simulateSchedule(title, scopePlans, budget);
+    const free  = budget ? simulateSchedule(title, scopePlans, null) : timed;
+    const sum = (calls, field) => calls.reduce((n, c) => n + c[field], 0);
+    const usdOf = calls => (calls.some(c => c.usd === null) ? null : sum(calls, "usd"));
+    const scopeRows = scopePlans.map(sp => ({
+      id: sp.id, model: sp.model, calls: sp.calls.length, input: sum(sp.calls, "input"), output: sum(sp.calls, "output"),
+      usd: usdOf(sp.calls), secs: timed.scopes[sp.id],
+    }));
+    const all = [title, ...scopePlans.flatMap(sp => sp.calls)];
+    return {
+      chunks: chunks.length,
+      scopes: scopeRows,
+      total: { calls: all.length, input: sum(all, "input"), output: sum(all, "output"), usd: usdOf(all), secs: timed.total, pauseSecs: Math.max(0, timed.total - free.total) },
+    };
+  };
+
+  return { fetchWithRetry, extractDocTitle, callClaudeWithText, callClaude, findOverlapsWithModel, estimateRun };
+}
+
+// ─── Issue tracker tickets ────────────────────────────────────────────────────
+// Findings → issues for POST /api/tickets ({ tracker, issues, dryRun }). The
+// server adapters (server/trackers.js) turn each issue into a Jira or GitHub
+// request; here we only decide what goes in it. Findings are addressed by
+// "scopeId:index" keys into resultMap.
+
+export const TICKETS_URL  = "/api/tickets";
+export const TRACKERS_URL = "/api/trackers";
+
+export const ticketKey = (scopeId, i) => `${scopeId}:${i}`;
+
+// Preselection: everything in Breaking Changes, Critical/High from the Migration Guide
+export function defaultTicketSelection(resultMap) {
+  const keys = new Set();
+  (resultMap.breaking_changes || []).forEach((f, i) => keys.add(ticketKey("breaking_changes", i)));
+  (resultMap.migration_guide || []).forEach((f, i) => { if (f.severity === "Critical" || f.severity === "High") keys.add(ticketKey("migration_guide", i)); });
+  return keys;
+}
+
+// "release-lens" plus a slug of the scope label, e.g. "breaking-changes"
+export function defaultScopeLabels(scope) {
+  return ["release-lens", scope.label.toLowerCase().replace(new RegExp("[^a-z0-9]+", "g"), "-").replace(new RegExp("^-|-$", "g"), "")].filter(Boolean);
+}
+
+// labels: string[] for this scope; priorities: { Critical: "Highest", … } for the tracker
+export function buildTicket(scope, f, { labels = [], priorities = {}, docName = "" } = {}) {
+  const meta = [
+    f.severity && `Priority: ${f.severity}`,
+    f.status && `Status: ${f.status}`,
+    f.component && `Component: ${f.component}`,
+    f.replacement && `Replacement: ${f.replacement}`,
+    f.change && `Change: ${f.change}`,
+    f.alsoIn && f.alsoIn.length && `Also in: ${f.alsoIn.join(", ")}`,
+    formatSource(f) && `Source: ${formatSource(f)}${docName ? ` in ${docName}` : ""}`,
+  ].filter(Boolean);
+  return {
+    title: `[${scope.label}] ${f.title || f.detail.slice(0, 80)}`,
+    // "- " lists render in both GitHub Markdown and Jira wiki markup
+    body: [f.detail, meta.map(m => `- ${m}`).join("\n"), `Found by ReleaseLens (${scope.label}).`].filter(Boolean).join("\n\n"),
+    labels,
+    priority: (f.severity && priorities[f.severity]) || "",
+  };
+}
+
+// ─── Export Functions ─────────────────────────────────────────────────────────
+
+// Default template embedded as base64 (General_Release_Summary_Template.docx)
+export const DEFAULT_TEMPLATE_B64 = "UEsDBBQAAAAIAIpyWlytUqWRlQEAAMoGAAATAAAAW0NvbnRlbnRfVHlwZXNdLnhtbLWVTU/bQBCG7/0Vli8+IHtDDxWq4nAocCyRGkSvm/U4Wdgv7UwC+ffMOolV0VCHBi6RnJn3fR7bsj2+fLYmW0NE7V1dnFejIgOnfKPdoi7uZjflRZEhSddI4x3UxQawuJx8Gc82ATDjsMM6XxKF70KgWoKVWPkAjietj1YSH8aFCFI9ygWIr6PRN6G8I3BUUurIJ+MraOXKUHb9zH93IvlDgEWe/dguJlada5sKuoE4mIlg8FVGhmC0ksRzsXbNK7NyZ1VxstvBpQ54xgtvENLkbcAud8tXM+oGsqmM9FNa3hJqheTtb2uEJrDT6AOeV/9uO6Dr21YraLxaWY5UfWnqg0gaevdDDpzrwIIpJ7MhXZQGmjK8j618hPfD9/cppY8kPvnYiF731NNNbcxVgMgPhjVVP7FSu0GPlskzOTf/cepDIn31oIRb2TlETn28RF89KIFAxHv48Q775mEF2hj4DIGu90j8vabldduComNMLJYpW/2VHaQRv5Fh+3v6C6erGUQ+wfzXp93lP8r3IqL7FE1eAFBLAwQUAAAACACKclpceSZLQPgAAADeAgAACwAAAF9yZWxzLy5yZWxzrZLNSgMxEIDvPkXIJadutlVEpNleROhNpD7AmMzupm5+SKbavr1RRF1YFsEe5+/jY2bWm6Mb2CumbINXYlnVgqHXwVjfKfG0u1/cCJYJvIEheFTihFlsmov1Iw5AZSb3NmZWID4r3hPFWymz7tFBrkJEXyptSA6ohKmTEfQLdChXdX0t028Gb0ZMtjWKp6255Gx3ivg/tnRIYIBA6pBwEVOZTmQxFzikDklxE/RDSefPjqqQuZwWuvq7UGhbq/Eu6INDT1NeeCT0Bs28EsQ4Z7Q8p9G440fmLSQjzVd6zmZ13oNRf3DPHuwwsZfvWrWP2H0IydFbNu9QSwMEFAAAAAgAinJaXIiGC1NpAQAA0QIAABEAAABkb2NQcm9wcy9jb3JlLnhtbJ2Sy07DMBBF93xF1E1WifMQCEVJKgHqikpIFIHYufY0NU1sy542zd/jpG1aoCt2Ht87x/NwPt03tbcDY4WShR+Hke+BZIoLWRX+22IW3PueRSo5rZWEwu/A+tPyJmc6Y8rAi1EaDAqwngNJmzFdTNaIOiPEsjU01IbOIZ24Uqah6EJTEU3ZhlZAkii6Iw0g5RQp6YGBHomTI5KzEam3ph4AnBGooQGJlsRhTM5eBNPYqwmDcuFsBHYarlpP4ujeWzEa27YN23Swuvpj8jF/fh1aDYTsR8VgUuacZSiwBjIc7Xb5BQwPATNAUZlSd7hWMuCK7XNycd/PdgNdqwy3hwwOlhmh0e2orECCoQjcW3beb8SlscfU1OLcLXMlgD90ZLgzsBP9tss4J5dhfpzdoQ7Hdz1nhwmdlPf08Wkxm5RJFKdBnARJukjSLL7Nouizf/9H/hnYHCv4N/EEGOpnDl4p03dD/vzC8htQSwMEFAAAAAgAinJaXPTb2xfrAQAAbAQAABAAAABkb2NQcm9wcy9hcHAueG1snVTLbtswELz7KwRddIppB0FRGJKC1kHRQ90asJKct9TKIkqRBLkx4n59+YgVOYYv9Yk7szv7tMr710FmB7ROaFUVy/miyFBx3Qq1r4rH5tvN5yJzBKoFqRVWxRFdcV/Pyq3VBi0JdJlXUK7KeyKzYszxHgdwc08rz3TaDkDetHumu05wfND8ZUBF7Hax+MTwlVC12N6YUTBPiqsD/a9oq3mozz01R+P16lmWlQ0ORgJh/TMEy3mraSjZiEYXTSAbMWC98MxoBGoLe3T1smTpEaBnbVsXPNMjQOseLHDy0wz4xArkF2Ok4EB+0PVGcKud7ijbABeKtOuzIFOyqVeI8o3tkL9YQcegOTUD/UMojMnSI5VqYW/B9BGfWIHccZC49rOpO5AOS/YOBPo7Qtj8FkQq2kMHWh2Qk7aZE3+xym/z7Dc4DJOt8gNYAYry5PvmnbATlEBpHNm6ESR9ztE+RbHLsKtK4i6sIT2uxicklh37Yh8bK2Mp7lfn50PXWl1OW40VnzUaEXYl4YV+uQHlbycFlGs9GFBHdlriH/doGv0QLvFtMefg+XU9C+p3Bjh+uLMJHpftCWz9yYzLHoG4bN+XlT7NV98kO4ecF1V7bE+Rl8TbST+lT0e9vJsv/C8e8Amb+fMb/9X17B9QSwMEFAAAAAgAinJaXJt/lRhUAgAA3wYAABEAAAB3b3JkL2RvY3VtZW50LnhtbKVVXW/aMBR936+I8sJTG6egFKKGqqIBIbEWAdu7cUxi1bEt25CxX78bhwDTNsTKi+17fe+5x8dfT88/Su7tqDZMiqQT3qOORwWRGRN50vm2Gt/1O56xWGSYS0GTzp6azvPwy1MVZ5JsSyqsBwjCxJUiiV9Yq+IgMKSgJTb3JSNaGrmx90SWgdxsGKFBJXUWPKAQuZHSklBjoNwIix02/gGulNehlZi0wweE+mAzccT4k5FUVMDkRuoSWzB1Dhn6Y6vuAFNhy9aMM7uvsaIjzC7xt1rEB4y7I486JwYC8a7kbbC8FNsQPXRthr6GZJPyepDc0Qs05UBYClMwddLts2gwWbQgFxd8tthKhb3bNv1V4wq6E+A19LMmqeQN88uIIbpiR2qIY8Y1FH6v2TI5P3zV56Q5Fze/TduJllt1QmO3oU3FxxELHoL/wTrs0fnSzG1klgVWcIFKEk9zITVec2AEinv1ifSH8DqtZbave+WauXbd0u459ap4h3nir5jl1A+GT8ExwDV2uEhn6csy9aZvq3Q2m07St1HqLdL5+2JVB1uXopvEyzWW27X9Z5nvVGRSe+01dHfZexGY7w0zfy8U1K2hxM41lIBHO1skPkLjUTTojv3WNde1E0Uo6o5a5xKSnLfbi8LISaTy5U+YhfMehgPUqyMLGEf97sAPmoCvuK5jJVzLsBc+OjCWF/ZkrqW1sjzZnG7OZguKMwpsHh9QbW6ktGdmvrXORE05IrkBr1GY0CbGueGfmWiW1dhM0DmzBFh2I3TQtFHDDZs9D05f0/AXUEsDBBQAAAAIAIpyWlxugBsSMgEAAMsEAAAcAAAAd29yZC9fcmVscy9kb2N1bWVudC54bWwucmVsc62UQU+DMBiG7/4KwoWTFKZuixnsoia7KkavpXyFRtqS9kPl31vdZCxD4oHj9zZ9nydt0832U9beOxgrtEqCOIwCDxTThVBlEjxnD5frwLNIVUFrrSAJOrDBNr3YPEJN0e2xlWis50qUTfwKsbklxLIKJLWhbkC5Fa6NpOhGU5KGsjdaAllE0ZKYYYefnnR6uyLxza648r2sa+A/3ZpzweBOs1aCwhEEsdjVYF0jNSVg4u/n0PX4ZBx//QdeCma01RxDpuWB/E1cjRJfBFb3nAPDM/hgacrjZtZjAER3v0OXQzKlsJxT4QPypzOLQTglsppThGuFGc1rOGr00ZTEek4JdHsHAj/jPoynHOI5HVhrUctXR+s9wvCYEoEgJ20Wc9qoVuZg3Es42vTRrwQ5+YPSL1BLAwQUAAAACACKclpcbcY1pHEwAADwWQUADwAAAHdvcmQvc3R5bGVzLnhtbO19XXPjNrL2/fkVLt/kKmuJpCgpdWZPSSK5k6psNmdnNu+1LGvG3MiSjyTvJPn1L0lRMj8AEmg0SYBsuyoZUxKa7C88Twto/Pf//P6yu/vP9ngKD/sP343/MvrubrvfHJ7C/dcP3/3rc/D97Lu703m9f1rvDvvth+/+2J6++5+//td/f/vhdP5jtz3dRZ/fn3542Xy4fz6fX394eDhtnrcv69NfDq/bffTil8PxZX2O/jx+fXhZH397e/1+c3h5XZ/Dx3AXnv94sEYj9z4d5igyyuHLl3Cz9Q6bt5ft/px8/uG43UUjHvan5/D1dB3tm8ho3w7Hp9fjYbM9naJnftldxntZh/vbMGOnNNBLuDkeTocv579ED5PeUTJU9PHxKPnXy+7+7mXzw49f94fj+nG3/XAfDXT/10hzT4eNt/2yftudT/Gfx1+O6Z/pX8n/gsP+fLr79sP6tAnDz5HUaICXMBrr42J/Cu+jV7br03lxCtfZF/30Wvz6c/xG5ic3p3Pm8jJ8Cu8fYqGnP6MX/7Pefbi3rOuV1al4bbfef71e2+6//9en7M1kLj1G4364Xx+//7SIP/iQPttD8Ylfi38lgl/XmzCRs/5y3kZ+EZklHnQXRl54b03d6x//fItVu347H1Ihr6mQ7LAPJaVH7hI5z6eLD0evbr/8dNj8tn36dI5e+HCfyIou/uvHX47h4Rj56Yf7+Ty9+Gn7En4Mn562+w/34+sb98/h0/b/PW/3/zptn96v/2+Q+Fo64ubwtj9fbj+5idOT//tm+xp7bvTqfh3b5Of4A7v43aeMnOTjb+H73VwuFKQmF//vKnKc2osl5Xm7jmP8blwraI4jyGKOKzWErT6Eoz7ERH0IV32IqfoQM/Uh5vAhzofNxfmyH7fnNZ8oeVHtJ0pOU/uJko/UfqLkErWfKHlA7SdKBq/9RMm+tZ8ombPyE5t18nfpMxNhH/gcnnfb2gQ0Vkx1adq/+2V9XH89rl+f7+K5tSSlYoRPb49nsVsdq93qp/PxsP9aK8ay1MT4L6/P61N4qhekqPrPMfC5+9sxfKoVNeHMM/zBf9mtN9vnw+5pe7z7vP39LPv5nw93ny4oo96uamr4Kfz6fL779JwkzVphLkfpdeP/FJ7O9YNzHqVucCEbuhy/5A/+9+1T+PZyVY0AGnFtRRFWvQgHKCI2gMgjTFTGF7h/Fzh+bGOR+5+qjC9w/zOV8e368aUzjRfxVrHwmkrH7uqwOxy/vO2E08NUOoJvIsQeQTqIb+MLJYmpdATn0ufdYrOJmJuInyrkUQkpCglVQopyZpWQpZxiJWSp5VoJQdJJ95/b/4SnK76VMu8pgzVrb8zmaEAUW/zv2+FcD0wtRRb/4/683Z+2d2LSbEXYmJvvJGysNvFJCFKbASUEqU2FEoLgc6K4EPXJUUKW2iwpIUhtupQQhDNvCuAvhHlTQArCvCkgBW3eFJCFNm82zlEkBKmRFQlBOMlbQBBO8m6cx0gIUk/e9ULwkreALJzkLSAIJ3kLCMJJ3gLkFiF5C0hBSN4CUtCSt4AstOQtIAsneQsIwkneAoJwkreAIJzkLSAIJ3k3Wo0SF4KXvAVk4SRvAUE4yVtAEE7ydlpJ3gJSEJK3gBS05C0gCy15C8jCSd4CgnCSt4AgnOQtIAgneQsIwkneAoLUk3e9ELzkLSALJ3kLCMJJ3gKCcJL3pJXkLSAFIXkLSEFL3gKy0JK3gCyc5C0gCCd5CwjCSd4CgnCSt4AgnOQtIEg9edcLwUveArJwkreAIJzkLSAIJ3m7rSRvASkIyVtAClryFpCFlrwFZOEkbwFBOMlbQBBO8hYQhJO8BQThJG8BQerJu14IXvIWkIWTvAUE4SRvAUHSuSFeZ7vb3gkvTx0jrWoQXw+rur738oD/3H7ZHrf7jcBKCkWB1yeUkKi4tnh5OPx2J7aw2+Y4iLCo8HEXHpJlNn+Uxp5WLUv+x+ru4/a23K6w4r0k/uFbbrtQPGyy+S164/mP12i81+xqn6fLcvN00XDyxh+fbtt64g/HN3GXbqBKLyf3mkpN/n08RaGWvmc0Clbu3A4u7yptkHrcfjkct6ni0t1SY2uU3nn6dua2sii017vw8ZhsCku2i71fSWQ93m7h8ndY+Lu4YSyzxyt58BpV3ZQTG2N7LCnn+XL5civryDv+sWfpbRfuf7tev4y0el6nH3u37fUd83RPQ97vGEr33fFsmVf6ef14Sv9/fV+cDKN7jP58PZw+3DvuLNVN5j3HGMXd3jK33atxruOVdrsltkz3ujm3P7h73TjK3kRqWG/S29u8nc6Hl8SFi76ZUVrRBJeX7t4VWrBDurnitt4t2VrBsUqdRXjql/Wm4HA4M7zpy+WyjDddRiJvkvKmjNKKJri8pOpNQcaQzXtTOlGMmdnpsmmhzqX229/PIokrFlPpbIB54rft9vXnSP7D9Y+fItOfHthTiO0yJpFvPxzezrHD/PSfXS7/18wu163H639XbFqOX+RuWs598n3Tcnw52bQsPo9d/rs6MWexTYxv35Voj2bT4vRms/ZDz1SnvEj5FtetLEy3sgTcipHCmvO0NA+lnjbjOtq4x442GS3KOMplOJqL4Gg219FsTEeztXO0UdbRuH5maeFnDB/K+YwTzMZLL/5w8tGEmEdTeMLIxwhO4nCdxMF0EkfASd6Zo7Y+Y+vqM+Hlv1140ITrQRNMD5r0w4McfTwo5yWWYwcXKMjykuvluMYZDTQNEPzG5fqNi+k3bj/8ZqKP31Tkmva9aMr1oimmF0374UWuEV7kjOLfohedI128+9DnMG6rtMRwoRnXhWaYLjTrhwtN9XEhOZiT41w3FpbhXCMEX5pzfWmO6UvzfvjSTB9fQkxHWI6Wq75yvmNilk+LLshph8Rxn7GY+/Dv+xy3AKq456RFUOWXY3fJW+rKvfUOfn7cpXX3x92P+9i/v6Wl8cudPv2+vr++cbXd7f6+vrz78Mp/62775Xx5dTyaMV5/PJzPhxf+55NaPn+Ah/zNPNwegq/v/dvL4/aYfrPJ/S4y6QRSVvelQ4iipmWT5c+Haxsmxg1dX6p2T+A3p5192XYr9Bef+OP1OwWMb9ySby2qpwW+svSpZuTSr+1OgvmYN7EXOAUjA8/gdXxJA1uVBraQDGz1zcByyE2hWi5pTrvSnDaSOe3BmRMKsS9LjIr2uFzFwNbJSFXAejwCzD2vy6djDhckb407T6frpf6McfDdZZLaxgXCu1ShYqq8jl+a48Zu7SyXQexjx7l9ZbWPse3bepfOxMnVf2+ut54uWNABud/JfUkn/i3wTZfvtbeY9BxvvvU+q9zcnjHPTASXSIkmpncPZUaBakbKhBLf+fXMRzlTjqcRZiiFTezUFhcvACw+YawQELU4O8Pdus4WzXt7ASPPXQerTHUQmB0Rkcs/wl356/zbi9XLGJ3rwgDDE04h1VSUF3KrAvJuOJ4IwR8HN8vk/IPniaq5Ju/RfAfUM92ofN0qYmUHbmV2ZolZ/nuHwqJRCw0M65JM2Vq2A0gXYVKRiesp8RaFCvRRz8TZD708PP2RtIkuPm/8wqWBdN2jZl32OhzK4tDFYuzNvOoqxfjSjPs9TdanwA7Wd4umlZz6uBZRzSs3m9cYiGcNqI+VV/W9P1L9uj7WE1Qv4GvAzy5MIZ6Ay0wBtR6Wf8IKvWE5A79k0pA3lJfevT9V/eI71iNUr7LD9gZWonnPDGMGCBkj12Dyz12hTSwf4ddhanwEWUH8+Zs5bQMmaxVvyc7Z6dLx5/X+a3x22H26LQF3Do+fsZxb0774DT67bbnBfFSJV1p59nImSZ69Pok09+zj0aylh1++7XZbtt/fpa+1q4YbiY3+8ePtrZIUV0Rb+sC7OutwgvPyYusxyjaQVTRQM47KidVUFW2HLFsVdtOq+Dn5NpqtifQ1HfQwaUcPnOi4vNhsdFhz1557Aqpw21EFJzpSVTQaHcKqmDatilU0Xrh/K1d4E13cXm1XFzwKUIZ7jczy16fmxMr15dajRUwtjVSusmrhxM1NLW1HjphaEpCIrpe/rzfHA7Ok9xK/UmZ3tw+g0GeGNhg7umMFxHedbNaeTFMuyHvDeHz9Hon7jun1uyfeOyx75NS8Y8bYVp57h+1Mau7UGdlXIHV56nqweng7hheqfwWr6ZUiGMVaJllRUci7QtF/kldRKpDvPipVUMj6VpfqZAfe5RSgotIuV+vSj8h3kslIVTFqSe2ETxVY+a1b/MNe1Ivqdu9PxtSeqrdlTMBXmhGKyu0ULerquurKQVp15XCDM42c/IpXPb+FfLz8t5UtoJJWnFRacYJkxUkfrNj8BjpJ27mVtnORbOf2wXZtb4WUtOS00pJTJEtOe25J/O2IkmacVZpxhmTGWR/M2M2WQEl7zivtOUey57wP9tRwWx6bIK3WScPJklU36XUoSWKstZow7ae6v/O9rCO4L+rmGHkYCo/AMWMF9RiyU+d9JeP5eGBsMksvy0UYg11ZAEqaVRb0sW7Na4sPdntB+dGkdjowSCQ0jNLutexyQ/5IYoyyQ1ZcVfXBbmrnx+U0E6ydH+zt19aMUZ+d20k752Q36uWv+tDWg2GWbFbpJqqTac4ha7xDKvhbVWdubfduy00gxXbcqnlkjFy1m41m6eKTujkfxKiKPsbVU6mNuHLCldpvoZk7vbca5/jT+xtU9WRD9HSKcv8uAmgMzaxGk5HD0cx11Wghc6u7FV9f5ebtygpTBSmq6mPvrEJUatx+nr01NNOYXlmNNrIaWWoBb4z9x+ra276ogmzfe5YO8k0DJEhIM01myi1i5llcItBz5F0p8ZX4+IqyTuJXkpMtmCrJtifhPP2k9nsVjMYTcv1Llofj0/Z4+S466V9SgzZHGbR5lXzrbgL6rCjOZX/62hcF9OFwH1li+1Ht47/CPv5QUr/JzWTKgZQcSJUebsNYipI5fAsaTm4tfsYJp+N1TZfg15vXi7m9wg+3cbLRmTCVfx6+Ldf7p0/hnzf9jG/xmbwjGp7/DowIn3GcteZbXPH2BBKDmhgY76b65Xj70JfweDpHxr1nuiJriTfIL1mlofTGLi6wSa9sGvWE7BSwD3eNuUch5d9EFXJ54fqvhesPOX08XLX0kDUkx6y7NVm1f1ZNgjW6q/saG4h6CNJQj1HaH/+6PV5WLtaYn2ksfL1G9n2+Tbib3XZ9LMKb6M8v4S4hevHvzepBcjE/S8bXLrUXO7jJklLPx8Pxz8GrBwrNvl+k5ZxKiHY9y499go3mWA3QCc5MtCbwtRkkdYuUAQmxaTe3C3gD2uwuIItQG1mWkJsx0MSzvcD3C9CkOGcOGbuhKkgRvbG2wDHQG3snnObobe7Yru3wvivqEXoT+FIMksBrhyX0puMcL+ANaHO8gCxCb2RZQm/GgBM/iODJ++yYBSf5q0NFb6gKUkRvrJ36DPTG3rCvOXqbunPLXrETkN0n9DZfLpeTOe9BwQm8dlhCbzrO8QLegDbHC8gi9EaWJfRmDjhxfd+bMMGJnbs6WPSGqSBF9FY+CZ2J3tjHomuO3iaBM58u2AnovSTXA/Q2G7nOwuI9KDiB1w5L6E3HOV7AG9DmeAFZhN7IsoTejAEnXuDN/BkTnDi5q0NFb6gKUkRvEzH0NjERvdnjmTNfshPQO3juAXpzlovVyuU9KDiB1w5L6E3HOV7AG/BWR9XLIvRGliX0Zg44sfxFkF/AVZ4zB43eMBWkiN5cMfTmmojefNtdjTi1t/e81AP0FkznrsPJtC48gdcOS+hNxzlewBvQ5ngBWYTeyLKE3owBJ4HnO15xQ2VxzhwyekNVkDR64xxHGeuDeyilCEyrPfQbv6+O7qhKame/vs1AKhv8UIOR1oFfgaQEyU9R04/rzW9fj4e3KFMyaEkuXQonroJNs1vlZVO4GaDq6fD2+O7qLoU5JMwHDM5oxtDClaTwItmsbZuBIGxNz5TknEXlhimEaVX7HujdNAXk89SKpY/YtmDVfCuBIaNbCnihgCeUS3OIHi7VLNol2yHZTgX18nrNZFEvvNEME/WuliPXdYaKeiX7RejdbAbk9dTCpo+ot2DVfAuGIaNeCnihgCfUS3OIHi7VLOol2yHZTgX18nr0ZFEvvEEPoV7VPht6N+kBeT21/ukj6i1YNd+6YsiolwJeKOAJ9dIcoodLNYt6yXZItlNBvbzeRlnUC29sRKhXtT+J3s2NQF5PLZP6iHoLVs23/Bgy6qWAFwp4Qr00h+jhUs2iXrIdku1UUC+vJ1QW9cIbQhHqVe3rondTKNi6Hmo11UPUW7BqvlXKkFEvBbxQwBPqpTlED5dqeF0v2Q7Hdiqol9dLK4t64Y20CPWq9sPRu5kWyOupRVcfUW/BqvkWM0NGvRTwQgFPqJfmED1cqlnUS7ZDsp006v3bMXzioN3kJSjIva5wJpBLDUpExiz0/EMd9VfUUQmIywHKY3DYn0/xIKdNGH6OVfrh/mX978Px4yIyTzzKNsIYi1O4zr7op9fi15/jNzI/uTmdM5eX4VOYKlIRxZoZ0WOdQ5rXxrPrrlTt0Cojo4D67g0lCFiMURuXBdJUbe6//xOPRiGnynGpp2TXNpOor65G8e9t3Gwn3Oy1djqck0eYQN209TOL/KyffoZaq6vptxq/Rb3fKhXvqN8aZFRQEU94XMkYpf6wVMIwObq5xTxdwlutltFk600q6VGzYQqH/Pyga3GMinsUfG0GA7XU1sp2EkUYz/YC37+NnD8aIHtV03If+UanVE9jn2uu9Ec+p4nPNVEE5LWfzxYB4e3nqQhYsjm1nxUYFVQEFB5XMkqpXT4VPUyObm4RUJfwVqt6NNmJnIqAdPYChUN+ftC1iEZFQAq+NoOBThjRynYSBRk/8GyP3T0zf1XTIiD5RqdUT2Ofa64ISD6nic81UQTkncaTLQLCT+OhImDJ5tSNX2BUUBFQeFzJKKXTg6joYXJ0c4uAuoS3WtWjyYNZqAioWATUMR4oHKgIqOH9D2My0iz4tC0Cku0kbSdTkHF935vcRs4fHJm9qmkRkHyjU6qnsc81VwQkn9PE55ooAvIOJ8wWAeGHE1IRsGRzOpxIYFRQEVB4XMkopcMUqehhcnRzi4C6hLda1aPJc+qoCKhYBNQxHigcqAio4f0PYzLSLPi0LQKS7SRtJ1GQ8QJv5s9uI+fP0c5e1bQISL7RKdXT2OeaKwKSz2nic00UAXlnNWeLgPCzmqkIWN4CTmc11o8K6wkoOq7spn06W5qKHgZHN78noCbhrdgErcFje6kIqNoTUMN4oHCgIqCG9z+MyUiz4NO2CEi2k7SdTEHG8hdBvhPb+8DZq5oWAck3OqV6Gvtcgz0Byef08LkmioCuQBHwevgxFQERioB0dLXAqKAioPC4klEqdNQ2FQF7XvQwN7q5RUBdwlut6iEUnlQE7KYIqGM8UDhQEVDD+x/GZKRZ8GlbBCTbSdpOoiATeL7jjW4jZwsybu6qpkVA8o1OqZ7GPtdcEZB8ThOfwygC/n37FL69fHpeP0V3WD4a+PLyXfq6wrnA173XVP57L/mO4t+itfNHg19SwDIA19alZYBK7dJSIJV3aSGw9YOSYqjiJ1fhyPKdVOlXAwXJT1H1j+vNb1+Ph7cIRt03u1CC4rHVeOQVN9LrYHw1Sn4K+OpyX7JAqp2iX0uL8Mi99XVv5dobYhkMOlRdFUQ4gFej+JcZwNlr7VDylpJWG88sTAmb8GQ4KUmXJ9STk+siBWIpiCxlulyMVtzDKrEmDogUyNQBkQOYPCBiQGxFXhDxlb7wFYrMbiKzKQhQOBY4f2D0kJkLOboBjk4MpvWz33XjMJqdeK8liykfvM5jMfDj14nFlLLhKpgup5xGuxbaFAKRAjrpDCAHcvQZQAzsCHdpQcRi+sJiKDK7iczmCpm5cw3zJ14OmcWQoxvg6MRi9D0wuaUEptmRvVqymPLJsTwWAz8/llhMKRsu7dVqxukUaKNNIRApkCkEIgcwhUDEgFiMvCBiMX1hMRSZ3URmUyCgcDBT/siuIbMYcnQDHJ1YjL4nPrbFYvQ6c1BLFlM++o7HYuAH4BGLKWXDeTBbLDk1HQdtCoFIAR04CZADOYESIAbEYuQFEYvpC4uhyOwmMpsCAYWTJfJnjgyZxZCjG+DoxGL0PbKqrRVleh2apCWLKZ/dw2Mx8BN8iMWU19fOViPPYWfDCdoUApECWpQMkANZlAwQA9sXIy2IWExfWAxFZjeR2di+mHxr7HzT9CGzGHJ0AxydWIy+Z260xWL0OvVBSxZTPnyAx2LgRxAQiyl3nJsvR1NONnTRphCIFFC3P4AcSPs/gBjYMQbSgojF9IXFUGR2E5lNgYBCb89819chsxhydAMcnViMvk3D20pgerWt1orF1O7qh2/md4ZLWrinFV1vH3jYUebpCSwbBZYFPCILDW5JQclNChN0IdNQO9uim+QcI/OuhvBjj01fiKqL6ctBhYfM2orqm8J6ZzLkaO3KVky79EWxUsc16acJbxb/VmSF7CsxAN3Gn0HnILrd734bwyWlE296Ay/kFPftpjjWDE7QrmtyKdoA21JvgE1sk9gmsc2+pSSZxVbmNSEmvollfOKbxpkMPV6JcTaiWuKcxDn7DTKIc+qne2XOWf/Fpnq7cuKcxDmJc/YtJUlM1ga2jCbOiWV84pzGmQw9XolzNqJa4pzEOfsNMohz6qd7Zc5Z21zeUm8uT5yTOCdxzr6lJInJ2sAG38Q5sYxPnNM4k6HHK3HORlRLnJM4Z79BBnFO/XSvzDlrjwKw1I8CIM5JnJM4Z99SksRkbWA7duKcWMYnzmmcydDjlThnI6olzkmcs98ggzinfrpX5py1BzdY6gc3EOckzkmcs28pSWYTk3nN84lzYhmfOKdxJkOPV+KcjaiWOCdxzn6DDOKc+ulemXPWHrNhqR+zQZyTOCdxzr6lJBnaYd5RB8Q50YxPnNM4k2HHK3HORlRLnJM4Z79BBnFO/XQvzzl/Ck/8ZrXxiwoNaiftkEuWQxU6kKcOlW1BnnUlzZgpz6NqHgp2CFa9pnrIYlPjH4PD/nyK/e60CcPP8fN/uH9Z//tw/LiIojCWuI0g0uIUrrMv+um1+PXn+I3MT25O58zlZfgUKqPZhuwLzOlZtlePHseBM596rPuwcJK7blFjzoFsg9c52mlzq1H8W4ChlzvMXmvsrLkubhSIOeoa5V+wh3qXfAIhuCCk0Gk3fahMq11YcNcOS0DEcCAiZOF+Q5EuY2fIcMRAvaNBEs/2At9nVjV1AyWot6oGS7i9lPOwBN5ImWAJLiwpNGPMxaIFD/HaYQmWGA5LhCzcb1jSZewMGZYYqHc0WOIH0WzP3lSav9o9LEG9VTVYwm23mYcl8F6bBEtwYUmhX1cuFm14iNcOS7DEcFgiZOF+w5IuY2fIsMRAvePBEtf3vQlzrrd1gyWYt6oGS7gd2fKwBN6OjWAJLiwptHTJxaIDD/HaYQmWGA5LhCzcb1jSZewMGZYYqHe8L3ECb+YXlzdf71EvWIJ6q2qwhNu0Jw9L4B17CJYgry3J7/rPxeIEHuK1wxIsMRyWCFm437Cky9gZMiwxUO94sMTyF0F+acb7PWoGSzBvVQ2WcPs65GEJvKkDwRJcWFLYGJqLRRce4rXDEiwxHJYIWbjfsKTL2BkyLDFQ72iwJPB8xytubrneo16wBPVWYbCkeqkrfIWr2yoK6WA6GQL0qd3Il90vr+/ewMIefNoZXYfOTn9edWWl0Xr6c3XKX1OCU9J9FiwHxfTGt1jK4j5s0CAV7Ryr6dG/ptnOVs34O1tzSJYzVe9ZAK2o9kamp566u+Htq7rehy9ZTeibejLdnlS4EbZTn6puq8ZkYrwWyMCEeiFY6r0QiJL1gJIJbGaWn/W62iENAjvD7hVhEDWTNb/xsKlJciYZ90TPNKJnArYzVfOtEzTpqaqnLm84Reu+L4nmJK15BRFNA9G0mi/M1HvDEE3rAU0TaO4gP/d11TECBHqG3TvHIJoma37joVOTNE0y7ommaUTTBGxnquZbp2nSU1VPXd5wmtZ9nybNaVrzCiKaBqJp1b2yLPVeWUTTekDTBJrdyM99XXXQAYGeYfcSM4imyZrfeOjUJE2TjHuiaRrRNAHbmar51mma9FTVU5c3naZ13rdOd5rWuIKIpoFoWnXvQEu9dyDRtB7QNIHmX/JzX1cdxUCgZ9i9FQ2iabLmNx46NUnTJOOeaJpGNE3AdqZqvnWaJj1V9dTlDadp3ffx1JymNa8gomkgmlbdS9VS76VKNK0HNE2gGSJgwX9HHRZhOz0G3WvWIJoma37joVOje9Pk4p5omkY0TcB2pmq+/b1pslNVT13edJrWeV9j3Wla4woimgaiadW9pS313tJE03pA0wSaw8rPfV11nAWBnmH33jaIpsma33jo1CRNk4x7omka0TQB25mq+dZpmvRU1VOXN5ymdd/nXXOa1ryCiKYJ07S/HcMnbofH+EWFxo7TdliZSRzHGcW/bOJ2vXhx+2UALvdJywB9USUtBVIFlhZSyGHNivm1WTGGsj3ZPKvS91eYXD5enhp0VI7AUHBWNMb0FnPOFsIAgsIeNhvFv4IeNu3w4B3EGwVCgbqmzxdIoN70mbBBKeCny8VoxW0hiYUOIFIg+AAiB4AQIGJAGAEuSBIlyAsaCE5Qaz3ZY6QA8xjCCkwvW0yXgSfuZV2iBdRbVcML3O6jebwA7z5KeKHcyyyYLqecTfIWM+xBHdMAUkDdPgFyIM30AGJAeAEuSBIvyAsaCF5Q64HWY7wA8xjCC5y9QYvpwhX2si7xAuqtquEFbhu8PF6At8EjvFAK+6W9Ws04uzVtZthD8AJECgQvQOQA8AJEDAgvwAVJ4gV5QUPBC0rNeHqMF2AeQ3iB/W2X53mLlbCXdYkXUG9VDS9w+zHl8QK8HxPhhXITvmC2WHJogsMMe1CrP4AUUJtagBxIF0iAGBBegAuSxAvyggaCF9S6QvQYL8A8hvAC08uWwXLMWS3J8rIu8QLqrarhBW5jkDxegDcGIbxQ/hpythp5DjvsJ8ywB61fAEgBrV8AyIGsXwCIga1fAAuSXb8gLWgoeEFpe3KP8QLMYwgvsBcFTLyJz/7Wi+Vlna5fwLxVNbzA3aGexwvwHeqEF8r73ebL0ZQT9i4z7EG76gBSQDvCAXIgGy4BYkB4AS5IEi/ICxoIXlDbJ9djvADzGMILbC9brhYL9iTM8rIu8QLqrcLwQvU6R/jyxlk78IAa2DQJaGoeCoJeaoeEQJXaQQG4pHZMEAgRHFUScdQ73xDgRevbLpVSAGzG8N34V/AZx3Ppqa0GA+E9sSBisjAy04Ab7HRiQ/VePcYbgQWMbxq/v1qjcIXsUkrpyY9oSrelzdSbDdk59VYiE7cRZAIcFewYTeu7+4Y7QDontN3dUt/uTvyuB/zOCWbjJXefLZDhCQwKas9TPyykH0/9qLAGPKLjynbcqRt3IFyvg63zXbA9L7AC9oI84nvE94jvaWME4nsodvGW/oSzokg3xtd9Ww11zqeKUsDjgh2kea2bzvxqvtBTb1xCzK8HzG81mowcToRaUOYnMCiokUr9sJC+KfWjwtqkiI4r2xWlbtyBML8OmqB0wPyCme/5nvBTEvMzANwS8+ujEYj54djF8pbeUjytd8j8um+QpM78VFEKeFx4aaBxrZvO/KpbUFnqLaiI+fWA+c2Xy+WEs5fdhjI/gUFBLS7qh4V0tKgfFdbAQnRc2X4VdeMOhfm1386qC+Y3ibgfu8LJekpifiaAW2J+PTQCMT8Uu8Q9BDx2qYuZ1jtkft23ulNnfqooBTwufBFw41o3nflVNxO01JsJEvPrAfObjVwns9s0F6EOlPkJDAphfgLDApifwKgg5ic8riTzqx13IMyvg8aEXTA/yw8CdoWT9ZTE/AwAt8T8+mgEYn44zG/iBT4b2DPTeofMr/umperMTxWlgMcFO0jzWjed+VW3hbXU28IS8+sB83OWi9XKZUfoBMr8BAYF7fOrHxayz69+VNg+P9FxZff51Y07FObXfovZbvb5ucFc+CmJ+RkAbon59dEIxPxQ7OItfD+wxdN6l/v8Om8/jbDPTxGlgMeF7/NrXOumM7/qBt+WeoNvYn49YH7BdO46nAh1ocxPYFBQw/H6YSH9xetHhbUTFx1Xtnt43bgDYX4dNAvv4js/P3A4JXDWUxLzMwDcEvProxGI+eHYxfPnHrvUxUzrHTK/7g8SUGd+qigFPC7cQRrXuqnMr3p/H3xb37wdomcUbcobN3XvgnVB1ElsYBB9EhsaQqHERoYlKJmxZZOUyNgDoVMdHI4QFsBQWA2PRK2lSEBMDHnLMSTmeagRUSYYWBTgdzYC0Dm1nq6v6kY03ZHr19ciOvX9xly0wo9Uw6ol5o2c//T1gbr6CK71dCyyIJq6rprSX9Bl+sSj6kRaHWlDntU5g0cZWytYhOjhwIqe0Gk9tvppPVTiowRBJb6el/g6ORNHF6RvftBTkQ9hSi+cPJGPASrz6ev9pkx5g3F+KvSZWuhDz4H6egGV+lCNTcU+U6cfVTfS7DQz8q3O2Xz/yn2oPq5W8Ks+pM1WP6SNCn6UIqjg1/OCXydHoemC980Peir4IUzqhQOH8jFABT99vd+UKW8wzk8FP1MLfug5UF8voIIfqrGp4Gfq9KPcgUmvQyzJtzpn8/0r+KH6uFrBr2bvrvrZnFTwoxRBBb++F/y6OAFTF7xvftBTwQ9hUi+cM5ePASr46ev9pkx5g3F+KviZWvBDz4H6egEV/FCNTQU/U6cf5bqxXmcXk291zub7V/BD9XG1gl/1kcy2+pHMVPCjFEEFv54X/Do5+FgXvG9+0FPBD6VLR+540XwMUMFPX+83ZcobjPNTwc/Ugh96DtTXC6jgh2psKviZOv2oupFmR9aTb3XO5vtX8EP1cbWC30Ss4Hc9GZ0KflTw0zBFUMGP8Xrfz7vXBe+bH/RU8MNoY5Y/VTofA1Tw09f7TZnyBuP8VPAzteCHngP19QIq+KEamwp+pk4/yj38Jt7EZ9eNWdyBCn499K2+F/xQfVyt4OeKFfxcKvhRwU/fFEEFP8brLRb8As93ON9gsI47p4KfXkFPBT+EST2Yzl2HzX9cKvhp7P2mTHmDcX4q+Jla8EPPgfp6ARX8UI1NBT9Tpx9lN1quFpyFoizuQAW/HvpW3wt+qD4uU/Dz1sfffgpP51KVL37hLnkFWNibjtop7KWzsfJM3mJtsIcFnlHyU3DgyyHTypUcNMh1u1iVEseYObFtyCVoBtkKA3RKVNWlgPH0gLoVes9e+/S8ftqCIEqO8jYTBmxN4hpUS3Ms5c2RpZ6oPFBVweYHB8AaUG6oHh39VCWACg1blRDEnX6/PuYj7+t369fQJghOEBzjjFwC4QTC+wjCLccOXPYiA4LhXcBw250Ec/Y2LwLiHQRIC/YYDhRvS5mDAOO4ylSA4+Ujq0twHHxcNcHxIcFx4RPsCI4THO8jHHcty7FsTgAQHO/gPAXHdm1H3CAEx423x3DgeFvKHAQcx1WmAhwvHyhZguPgwyQJjg8JjgufL0NwnOB4H+G447tji91k32bldILjDRtk6s4tW+QYF4LjfbHHcOB4W8ocBBzHVaYCHC8f91SC4+CjngiODwmOC3d/JzhOcLyPcNwO7PGE/Y2nw8rpBMcbNsgkcObThbhBCI4bb4/hwPG2lDkIOI6rTAU4Xj6MoQTHwQcxEBwfEhwX7s1KcJzgeB/huDWazNwpJwAIjnewdnw8c+ZLcYMQHDfeHsOB420pcxBwHFeZCnC83Cq5BMfBbZIJjg8Jjgt3TiM4TnC8j3B8PnWmI14AEBxvH477trsasWteTIMQHDfeHsOB420pcxBwHFeZMnA8id8vb8nAUQIoofHr63fXN0Cx+BWZdIDFC4AkTVlZRNIRClfq/l7YK5k+VWazZFV65w1ao6pq1AoetGKqB49Z2QwVpfE3pxmq0tgPJb/oJVfz3fiXSRGy1y6NW8dz0+ibSsx2230876MXu7D69UIIHLPdvHLRBMAIlQ8faqF32nwurWvWCQ/tqLc5wKU+GVwv5vTacWM8gHEZ5zaYbtsO6k/SUBpE8sQrNsmP4DToAs9/qCBQEiuP41/BGwXUlfbbGFdwnVsQwAtJ+taAJAXCxe1oWSRe6o0tiYGZwMAKHSlzgypwMIFhASxMYFTiYTrzMC+wAvb+VmJixMR6ysSslbOasjt1EBdT5WIF5RamhOvlZtlYCwYmPqaTNdAY2XK2Wvki99o9J1tMl4HnC98qsTJ5VlZubMpjZfD+psTKTGBlAoNCWJksCkUblViZxqwsmPmez+uCW87sxMqIlfWAlU2n1spir4Fh9k8kViaRXgvKLQTW9XKzrKwFAxMr08kaaKzMnyxnS/ZGQ9aE2CUr84LFdMFehM26VWJl8qys3N+Wx8rgbW6JlSGzskLvqtwE5EBZWaE/bW5Qm5V60YYFsDKBUYmV6czKJhEvY9fb8g0Fe8fKBGKXWFlPWdnEn05s9vmAzDaaxMok0mtBuYUp4Xq5WVbWgoGJlelkDTRW5rm+vRTpsNs9K1t5nrcQv9VqVqbOYMotgXkMBt4ZmBgMMoMRwO/yDEYAWkEYjCxiQxuVGIzODMbyg4Bdm8oveegdg5Fl9MRg+sNgnJW9dHld03Eg1XAZTEG5hSnherlZBtOCgYnB6GQNNAazWq1GHvt8M9aE2CWDWQbLsccmhqxbpe+V5FlZuTM0j5XBG0QTK0NmZYWub7kJyIWyskJn59ygE1bqRRsWsgerflRiZRqzMt8L3IA9CeVbcfaOlQnELrGynrIya+oupuyKLLMBLbEyifRaUG5hSrhebngPVvMGJlamkzXw9mC5nuezNyWzJsRO92BNvInPJrusWyVWJs/Kyg3CeawM3iecWBkyKxPgJPKsTAAuQliZLApFG5VYmcasLPADx2dPmPlv0HrHymSrFMTK+sPKlu7EHbGhF7MPMbEyifRaUG5hSrhebpaVtWBgYmU6WQONlQVLz1myO2OwJsQuWVmwXC0456SzbpVYmQgri09k4lOx5FUo/bru7Cb61esDmlpv+t3oxFN5fJPVCXqb+/bCZk8nzC29q1XDWLlwQznEU9p1frsbReTMVX59rGtCSFgQmUUUgWgMOtRwzrZZjeJfwUxl4x9sI7OAKfoRvVG76kahmKC+gXH2LEd492ICCcMACe13pCWYQDCBYALBBGmLerYXcDoC6AYUvKU/Ccbit9okVKjoqpmFCvCWmgQVBgEVOmiTSFCBoAJBBYIK8ge8BhFYYH8lwcpVXUKFwPKW3lL8VpuEChWt3rJQAd7njaDCMKBC+727hgYVoojxZxL7PhuHCoUbykGF0tZkggoEFXSBCq7vexPhXNUlVPAXwdhjMzDmrTYJFSp6KmWhAryhEkGFYUCF9pvkDA0qTP35ypFoctc4VCjcUA4qlPowElQgqKAJVPACb8bZKcfKVZ1ChYkXcPZTMG+1SahQ0egjCxXgXT4IKgwCKnTQuWFoUCGwpvaIfUoJc4V841ChcEPVmzgIKhBU0AUqWDFZF85Vna5VWPh+YIvfapNQoWL3eRYqwLeeE1QYBFToYDvx0KCC7cy8Bbtuymxx0jhUKNxQDiqUuvAQVCCooAlUCDzf4bQaZeWqTtcqeP6c08CVeavoUOFvx/CJDxGSV6HIwCZkUNWUprnuKQ9FUf2EJCp7h0CApGpyE1+RmPwI3jVgE7rcFC8XKHo+cfMNOYQftaBO3qOmkGkpP/E03ptCn0dFa/wwG8W/gv4H6KWABgYQbxQKBeo3Q8bvUt8MSdiAsEGT2EBtu1B36GA5W618dpOa3uKD5p9ZI4Rgu5NgLuKYfcAILTwsGkpYTJcRGRf2wi5xAuqtKiKFir2QWaQA3wtJSIGQQpNIQW23UHdIwZ8sZ8up8H33Aik0/8waIYW5Y7s2GxYxt64ajRRaeFi8Y6ODxXTBXmDN8sIukQLqrSoihYqtkFmkAN8KSUiBkEKTSEFts1B3SKH5Y+71QwrNP7NGSGHqzi1b5GH7gBRaeFi841k9z1uIe2GXSAH1VhWRQsVOyCxSgO+EJKRASKFRpKC0V6g7pND8cdL6IYXmn1kjpDAJnPmUvRuF2ePCaKTQwsPiHRnY+Onoeh7krogUKjZCZpECfCMkIQVCCk0iBbWtQt0hheaPONUPKTT/zBohBXs8c+bsr8WYm1GMRgotPCzeOoXGT+zV83BhRaRQsQ8yixTg+yAJKRBSaBIpqO0U6g4pNH/snn5Iofln1ggp+La7kulwYTRSaOFhEQ+8bPoUST0PvOQjhdf1cf31uH59Tm7k7RTl9uRT8ZyWxQ/JfP9xG1nwWIIN2ddYWCELE0pT/uP2y+EYibvM8ykAiP5gTfHH4LA/n+K3nTZhGOGV9S58PIbxB58X0Wz6fuXhPeWFtzR3X059aZgkL5z+vF61RtnoQFLe5yifslWXvKKV4goqK6qwXlPXf53++v8BUEsDBBQAAAAIAIpyWlxgeYLTOTUAAHOvBgAaAAAAd29yZC9zdHlsZXNXaXRoRWZmZWN0cy54bWztfV2Xo0ay7fv5FbXqxU+elgAhyct9zhICxl7L4/GZ9vg+q6vUXZqukupKKrftX39An4ASyI9IyITtfpgpQBmQuTNzxw6I+P5//nh5vvt9ud2tNuv33wz/Nvjmbrl+2Dyu1p/ff/PvX+NvJ9/c7faL9ePiebNevv/mz+Xum//57//6/ut3u/2fz8vdXfL79e67r68P7++f9vvX79692z08LV8Wu7+9rB62m93m0/5vD5uXd5tPn1YPy3dfN9vHd85gODj8v9ft5mG52yXG5ov174vd/am5lw1fay+Lh/P/dQaDSfL3an1p4/aONq/LdXLy02b7stgnf24/J7/Yfnl7/TZp83WxX31cPa/2f6Zt+Zdmfn9//7Zdf3dq49vLfaS/+S65ge9+f3k+X7ypuvZ4o6f/Of9iy3OTx5+Em4e3l+V6f7i9d9vlc3LDm/XuafV67TfZ1pKTT+dGKh8487BfX4ee2qCH28XX5H+uDfLc/uPxRy/PxzuvbnE44BiRtInLL3huIW/zfCdZ8H2V65ps535W69u/bzdvr9fWVmqt/bj+cmkrWQZE2jqNUfbRdmo38+Fp8ZpMoJeH7378vN5sFx+fkztKevwuReT9f//X3V2yPD1uHsLlp8Xb836XHjkc2/6yPR07HjofPP91/DverPe7u6/fLXYPq9Wvyf0lrb+sEkM/zNa71X1yZrnY7We71SJ7MjodS88/pRcyf/mw22cOB6vH1f27nPXdX8lVvy+e3987zs2p+a705PNi/fl8crn+9t8fsveZOfQxMfn+frH99sPs2sL37zLdcPoj11GJgVdW370W+m73unhYHW5k8Wm/TNa2ZPhTq8+rFDTO2D//8a+3dMwWb/tN/i5es3eRN5keKQzq4bn3ySL24bgXJRcsP/20efiyfPywT068vz9YTw7++8dftqvNNlnc399Pp6eDH5Yvqx9Wj4/L9fv74fnC9dPqcfn/npbrf++Wj9fj/xsf5v+pxYfN23p/fKBLBz3vHqM/Hpav6aKcXLJepMP8c/qr5/Qnu4yxQxtvq+stHQ8UTB8O/v+z3eG5o8pMPS0X6a59N6y1NiW05jAbF2/HJWrHI2pnRNSOT9TOmKidCVE7U8V29puHI1KzbbhTnp/dQI7vZzcI4/vZDaD4fnaDH76f3cCF72c36OD72Q0Y+H52M/b1P3tYHP6++eFIDDW/rvbPy9r1bUixnJ72mbtfFtvF5+3i9eku5QU3puqa+fD2cc9300OCm/6w325S9ltjy3EIbEUvr0+L3WpXb41iOH5NWd7d37erx1p7o5L9rcbCL8+Lh+XT5vlxub37dfnHXqqRnzd3H44cqH7ACXrlp9Xnp/1dwocfeSz6JQPBZeSn1W5fb6HkobgscA2uXwLdGgv/WD6u3l7OPcXBkXyXwo5Tb8dTsZMOCs/DjJSNcDyJr2IkHXyeJxkrG+F4komyEbfeiNwqFS62X/jm4lhuts83z5vtp7dn7lVlLDfnL3b4HkZu2l+McK0tY7k5n1uE72YPD4lDygNl1dVYwJTqsixgimZ9FjBIs1ALGCRYsQWsyS3d/1r+vtqdCbf4uO8yvLf2Ft2SDhFiMv/7ttnXk2SHQrr4cb1frnfLOz6TLgV7ze2kAoNPsKUKWCPYWwWsEWyyAtYUd1t+S0TbroBBgv1XwBrBRixgjXBH5uB9VDsyhymqHZnDFO2OzGGQdkduxocSsEbgTAlYI9wCOKwRbgHN+FkC1oi2gHpLxFsAh0HCLYDDGuEWwGGNcAvg8MqptgAOU1RbAIcp2i2AwyDtFsBhkHAL4LBGuAVwWCPcAjisEW4BHNYItwD9mhu/JeItgMMg4RbAYY1wC+CwRrgFeM1tARymqLYADlO0WwCHQdotgMMg4RbAYY1wC+CwRrgFcFgj3AI4rBFuARzWiLaAekvEWwCHQcItgMMa4RbAYY1wCxg1twVwmKLaAjhM0W4BHAZptwAOg4RbAIc1wi2AwxrhFsBhjXAL4LBGuAVwWCPaAuotEW8BHAYJtwAOa4RbAIc1wi3Ab24L4DBFtQVwmKLdAjgM0m4BHAYJtwAOa4RbAIc1wi2AwxrhFsBhjXAL4LBGtAXUWyLeAjgMEm4BHNYItwAOa3KrSfoO9vPyjvuF5SHlWyb8r0mTvAB+fNR/LT8tt8v1A8frLRRWz88qYJbiDfRgs/lyx/dJgFuCHDF7q4/Pq83hpag/bwyMa99g/+f87ofl5Z3KwvcTjBtJP3jLft52OHb67jq5fP/na9Lqa/Y1rcfjNwund8sPF/74ePkI7XJ76f3cnb4VPJ273vvpLq4Htrtkip6uHgziuT914+sNHozU39nlXk49MGTfzfUbtqv9j4tkrP65Lr3h9fKPfenJ59X6y/nk2fT8abHNXHIdiPOFU7nuOJzOfBGZ/PVluXz9Obm/d4VjP63Wy1324PXDyY/LT5tt0n3e5IDO03eUlzXucPXmbZ9+RPnT78+XO7ncQu4jytzXrd+Xfdu6+E/Ft63pydJvW3O/vH7bmh7Of9uajmPuj3nu8R/S/eD8LK4/iqcHBB/aO+wV7+8Xh03iejjdGNM5GeeMZD6fnRROZD6enWR769RDCmB2qsHsaASzIwTm/PpnAMhPnwdzgnzYIZB78WQYhGUgL4G0Xw5pnxbSbjWkXY2QdvsEaadvkKaBp1cNT08jPD0heF5JaWcg69oN2VXuDzPgPKqG80gjnEd9h7NnPpxzsHQ8Nz6K0xzseBzTAtWvBqqvEah+34E6Mh+o3GtrqyAeV4N4rBHE476D2O8QiL1B+q8I4n3SjVcI/7pK80QFxAieVCN4ohHBk74jeGw+gtWFhkHhREZoGNBCeVoN5alGKE/7DuWJ+VDWuhhrRf1DAq7FQzIOFYGZU46py6f2hwxTzPlQko2qCrxDcfBWP9E+TcFU8TSHFE31saa7w3XV80524u0/Puegm/z94zqdeV9Pwb7jkzz+scgNdXLZfPn8/I9FPpvlfvNa/dPjyrL8tD9eNhxMqi78uNnvNy8cLW4Pb/bUNJmOVfG+T8d44Ll+e/m43J5ikaVxw0NulpKxPCZuoR5Gma3k580551bZrZ7P884XtQX8JgvqYbRPOVC9yx+3OVAz67DA4vLwtktwdYgRF0cwF/Jkds4P54jrXWE3LOy2zKWqcnsdcm+tNZ1rzm5kdQhTEDNOPWYccsw4PcZM+xFBQYS49QhxyRHiAiHVCFF0y46vUzEH9XhKgz92aLjWGRtm3/NT26Bfg8c807tQs8Pv0xzzp3fK/kq9pLvjlp6+lHMYzmO/887Xd3l7LH7gDngZwgkU69SxeVs8n3iN8W5cDsbDcbI93nRc+kRO3dZ46bi8In5ykbcXLN7snJefOKUL5sjRtmBeAV4+sehWyuI8rZlK1qyTHQURex2+5I1mIuZyVsNqfG67fkGm85gSb7RQSWL1zHjv69iVmYvNXfFoXzNgAXc4KoGn45XC0/G0rXE52FSClm6lY0yDGphas9h1Bj/s5S3Vjq4ZRplwKWQh5V/pbiHgemQr1eogJ6aaX/rxy6CwQdXyMpm+CjaPfx4S0jO7KT17zFfP30PZOXRuvT4YwvPaZb4vZ7NhOAn5dbKhw3qPnWZ9yj1ndU/SLVCXoePu2PIOVIFOyRvq1ycWeUed9YAc76E3A5+LG3X6fqIhoTXfD3WdTQ+wGuFMP8JKXhi/PrTIK+OsJ+R4LbytBYpBHa676bBcohvqk+jyvVY3NPR4rJHp+PDYYL+Ws5RycqJESejBmmUm7vHluqfF+nNayPXwdwNMJe2Vkq3mVESk4S5zHT+eDri6bOy01mUla+ehy0SWzaa7bDiYtNZnwdvz87Jict6dLjCr9251juTIj5fflwsdzXRn1dw9XmHcFK7pUaflHq2a2qceNW2G1/So21qP/nx4ZaWiQ08XWNWdo5a7s2rKH69ofso7U9+dlhOdmh71W+7Rqil/6tHGp7xaj45b69F50vRq/VYSBTl06eUSs7q0ynVk0vWGeNO5u6rm/fka42a+UKc2pM5mO7Vq6l861bTJL9SpB8rfQK/+Y/Gw3ZSL3i/p6RIJ4vJTHYJRTV/uFx93uXU0OXD+cdqB6TO+bnbJtj/ObFOVVw6H2XBz9aXjbMi68lLHHXi8l06yQ155qeuNeB/LS3hTflu59p1IVDfNJfa2XR0FsUO07Xokrw9dXAJ9r/lXCHJ5VDJBfbiEOABxnUeSetwN4E0eDPZacqzzx+zy4yn+9Zj7JYpDw7ULkKOSaSo/ENzx4sHhP/aHMrrAf+2N8lGgw3xxUGv6vTvdnMtQwuzp83u5Hvl7uV71ApM5y/oQxJrXMj7m/jAis4ggOkb16BiRo2PUD3Q0muNAcNz9+nH3ycfd78e4G5P3QhAT43pMjMkxMQYmmksjIQiIST0gJuSAmPQDEIZlZRBExrQeGVNyZEz7gQx7kxywHe754pD5mo2Wh9NJIqeb8bLvqAYXerJ2XGVUsQ+9GViscjKUV5Fh+UfFQ8WPiq/fAuy3m7Kv8U/nZFcJhjOfjVKoiSglHa/YG5cKAMz+uJwl7BGVLyW59A7FBeJUL6BCmDtXFNAm0GVvoVanc1v69NTT+OkpO2WQMymP/UzdQ4WOQ3aS41/Kq5nhkskNSOqxSseBcpOEG50U650xQ5P7uOx5Wb2QFqu80K2nwxZk+slgcnq7so7qqcoERbRX9/JNWRvCbUvle1KrgX2tm1OF7OtVdH3u0vX5LtlsnxPqX96h88Fo4JV0aP6T6rfCfkgK8Jrevi1mRNjd2rkq+VBUfi6vZ5zSuk4VeUgyZZ8IR8Ztb2TKulg1lcs/5+d6U8x+zBakKu1IRjIvUX+8nSyat+kup9l+5Xo36ZLx8Nqn6ZG0aF1Jl6anD0Xtyns0myaxqt9GAkFq+vxzh4bk0ykGm+3jclt4F+qQTrHGzRlk3Jx84psjQT4mW1RrhNflqmnmnKZRrZXVOhna5Q9E7fym0s4pfWRh7L7vZX7M26l/qLd7KsdZ9p5nptSw+gLgC/h1mhaA/MbG/YLL+eBNAp7Mjla2wBwc8X9tvgaL9eOH1V+Xzh0Wl5jDhYnZ2gt1LFmTkgnF8doPxyKk1Hq/ZnEODb9sL618Wm13+wRG95kOyEySwjQ5i2H57Nl8c6Ywa4rzpkAJb0nhu+I0OzxbDpwPheb2Dzdg1QrXm613vXq+Oa8N0AW8lN5AYSctv+S3kksOwCp27fHgL3nsndBWBcDnBfAH/LWHv8MCmDzQPQEsxFDfuNGPCQMY/rbc7u9JUFwHtJaAcFwyni4s8OF5udgWuXzy56fV80HgSf9dkB0fDubZWXrsKCG7cWHHlcDbYRB+2Gz/wiDoHwQV3+Xb2UnBrvdh7o6XVpXj7oYzI5mvvfPuDGegWXr/FQhkw6WBS0MKWW2kUuwOLKOVcGuAwbYxCNem16w6dMM4igqsusjV4NxYPAwE7k1pfhOGe1OR5qQb7s3Uc33XK3vbo7/uDedbMNK7MO9bNnBv4N5QQ1YbtRS7A8uoJdwbYLBtDMK96TWvjuKEWV9ZWZZX54/CvbF0GAjcm9JMgwz3piLhYDfcm7E/ddw5ezdwe+zeTIMgGE3L+kXdveFsH+4N3BtyyGqjlmJ3YBm1hHsDDLaNQbg3/ebVfhSFIyavdnNH4d5YOgwE7o0n4N5kM4920r0Zxd50PGPvBtegTv/cm8nA92ZOWb+ouzec7cO9gXtDDllt1FLsDiyjlnBvgMG2MQj3pte8OozDSTRh8movdxTujaXDQODejATcm2w20066N+5w4k0D9m5wdVD75954wWw+98v6Rd294Wwf7g3cG3LIaqOWYndgGbWEewMMto1BuDf95tVONIvzn3fccjW4NxYPA4F74wu4N9kKUZ10byLXnw9KojfXTaJ/7k08nvpeyS5ZLCIrswtztg/3Bu4NOWS1UUuxO7CMWsK9AQbbxiDcm17z6jiMvLCYsKvI1eDeWDwMUu7NT6vdvsqnOZxX92OyadaMSfhut5fBn4+5PLO8wbmeb6c0Ekn31TW6lR7iw3/FUf64ePjyebt5S7adezaH4NyCuJfzAtqyaTCVt8+eOw2Pm7eP1+nuq60letdB3Suh1rUQboYhbkZjKcaBfU3YJ3Z4AAhbACHtevFkrE6vo0xXDV8se1njyaTFJ54hqaplJx4yYcMna9InK+Atn70TXlkTXpl8lmgdOaAbzjJNvejCO7PSO8McMHQOtO2lARgtA0PVW6tMwJ311iiyb5d7a/Ng4PvZFBHw1uhzY4tPP0Myb8tOPST2hrfWpLdWwFs+GSm8tSa8Nfmk1zpSWjecNJt60YW3ZqW3hjlg6Bxo21sDMFoGhqq3VplPPOutUSQTh7eWvazxVN/i08+QROKyUw95yuGtNemtFfCWz60Kb60Jb00+h7eODN0N5wCnXnThrVnprWEOGDoH2vbWAIyWgaHqrVWmR896axS50eGtZS9rPHO5+PQzJC+67NRD2nV4a016awW85VPFwltrwluTT0muI+F4wynNqRddeGtWemuYA4bOgba9NQCjZWCoemuV2d6z3hpFqnd4a9nLGk/ELvEishlp3mWnHrLIw1tr9Lu1PN7ymW/hrTXhrclnWNeRP73hDO3Uiy68NSu9NcwBQ+dA294agNEyMFS9tcrk9VlvjSJzPby17GWN55UXn36GZK2XnXpIig9vrUlvrYC3fCJfeGtNeGvyCeN1pINvOOE89aILb81Kbw1zwNA50La3BmC0DAwpb+3v29VjlZd2OK/unGUTk8A5Qzr+ltPxHxovVOfQ0/xvGpqHS2meS7mNN+v9Lm1797Ba/ZoO3vv7l8V/NtsfZgkQ0saXCV2c7VaL7MnodCw9/5ReyPzlw26fORysHlfFIWncYepSfuih2QmiWYsVRymh9pNUW6E19G3iosoF5q1GlcWO6USq8djxyNj67VtB6PUhFI/pHiDuhMJI80H672IpW0Ase8zYopzAXbtUpkGeYgGwHQAbwCbfwqWVfJ7qTul1lNWdIO1nL0N1J0OqO7G8b10GBJcO1KfKLXyQ+W339e0pMFIq9ZtTYUSrbNhOARwI/i1OYRRQwwyG9A/pH3TAxrWkUyEAAEMzMMQU09AN4yi62MrXrc0e7U4wAAjUQnMa5TBWgLzNwABAbj/IdYcIKkuKZkMEFCVFESLIXoaSooaUFGX56boMCC4eKIqaW/gQIrBdE7Cnql1piMCcsnZaBcZ2qi4iRNDiFEbVXsxghAgQIgAdsHEt6VSIAMDQDAwx9TSKQzdkF3TJH+1OiAAI1EJzGuUwVoC8zRABQG4/yHWHCCrr2GdDBBR17BEiyF6GOvaG1LFn+em6DAguHpwGECJAiMAOTcCeUsqlIQJzailrFRjbKfWNEEGLU5gvRGDPFMYMbmEGI0Rg8SODDti7lnQqRABgaAaGoHrqR1E4utjKqqdu7mh3QgRAoBaa0yiHsQLkbYYIAHL7Qa47RODxhgiy+j1CBMaECPiLvcvMcJHWZea3SPsSs1ukeakQgbgBwcWD0wBCBAgR2KEJcM8Y3StW7ZpVGiIQM6Fz2dIqMPKvbQgRdGQK84UI7JnCmMEtzGCECCx+ZNABe9eSToUIAAzNwBBTT8M4nESTi62seurljnYnRAAEaqE5jXIYK0DeZogAILcf5LpDBCPeEMEIIQITQwReMJvPS2pWjwp+gkQqMYHWpRKJCbQvk0ZMoHm5WgTCBkSzlPEZQIgAIQI7NAHuGaN7xapds8prEQiZ0LlsaRUY+dc2hAg6MoU5axFYM4Uxg1uYwQgRWPzIoAP2riWdChEAGJqBIaieOtEszidkv5rKHu1OiAAI1EJzGuUwVoC81VoEALn1INcdIvB5QwQ+QgQmhgji8dT3StDlF/wE8Rku0rrM/BZpX2J2izQvFSIQNyC4eHAaQIgAIQI7NAHuGaN7xapds0pDBGImdC5bWgVG/rUNIYKOTGG+EIE9UxgzuIUZjBCBxY8MOmDvWtKpEAGAoRkYYuppHEZeOLjYyqqnfu5od0IEQKAWmtMoh7EC5G2GCABy+0FOHSL4x/Jx9fby4WnxmNz8kB0fOF5zd7ro7iKBKwQHspUMEByg+X5gkP4r4mq//CNTfv24lgVxwWGQiAbKG5MKDcqbk4kTyluT+/ZAyh7CAOaFASo878OBw4CfwREf/isO+8fFw5fP281bwofzltt7s09yOjS8tDS+uDS9vEjKh4VLCKjz4PBfgTof71+ZIxsVEjBVlMeM7PyM1CnItyKJ0xuVVC25l7n5IP3HXOayx4wVwUzYKlrpQ0KNpZ3JrebEn17243Tmz6/8was30qsfB7PBvKRypQa/XsmczFavZFBiq1eyJ+Xdy1qEfw//vhH/Xn5KNL7ItLDMNL/QGEPevHgyDK6PkA2RwdNvxtPH3OzN3ITH37rHH7phHEUlC172KHx+83oRXn/aw46Y15/9SA9evzFe/zweB+OSYlRO5QYltekrmZPZ8pUMSmz4SvakvH5Zi/D64fU34vXLT4nGF5kWlpnmFxpj6Nt8MBp4bK/fUWdq8Po5vH7Mzd7MTXj9rXv9UZx4rE7Jgpc9Cq/fvF6E15/2sCvm9Wc9dnj9xnj9gTufT0rqS7iVG5TUpq9kTmbLVzIoseEr2ZPy+mUtwuuH19+I1y8/JRpfZFpYZppfaIyhb9MgCEZX5yhL31x1pgavn8Prx9zszdyE19++1+9HUTgqWfCyR+H1m9eL8PrTHvbEvP6sSw6v3xivfxpPZkGJLO1VblBSm76SOZktX8mgxIavZE/K65e1CK8fXn8jXr/8lGh8kWlhmWl+oTGGvhUqGudLacPrb8Lrx9zszdyE19+61x/G4SSalCx42aPw+s3rRXj9xzJCQl7/peoQvH6TvP7xZD4IPfYGNarcoKQ2fSVzUh/1qRiU+aRPxZ7cd/2SFuH1w+tvxOuXnxKNLzItLDPNLzTG0LdCkcJ8dUx4/U14/ZibvZmb8Prb9/qtr3ltwrZhf1Fli73+ktK9ZV4/RQFfeP3Zy2gK+E6Dwbhkg/IrNyipTV/JnFR9DhWDMuU6VOzJFQGWtAivH15/I16//JRofJFpYZlpfqExhr4V6g7lC17B62/C68fc7M3chNffutdvfxlLI7YN6+skWuj182Xxo0jel/Xi4eQLOfnDsg0pT1dqd1LOduBBwoMk9SC58XtDPllLKAHCCwCqWa1RA60RiOcgfPvj1nwpgJSDu+VXnCNISxecFtwVExdJ1kgBV40ufh0AVB1iej/Okt5/p/s7nKT/Ktbr7JnUC1ymv2lNtjD+udbL1MGgARhotF7hc/21OFaVTLR9ngAUKKBATR0TqnDpUFa4hFyWvQxyGeQyyGX9XOHFGGCPSglCMLMXphDMIJjZufx1AFKdkHD0jjREM3PEJYhm9QADmYZoBhQYJZpxvlpGWSAWoln2MohmEM0gmvVzhRdjgD2qxAnRzF6YQjSDaGbn8tcBSHVCwtE70hDNzBGXIJrVAwxkGqIZUGCUaMZXX9mhrK8M0Sx7GUQziGYQzfq5wosxwB4VsoVoZi9MIZpBNLNz+esApDoh4egdaYhm5ohLEM3qAQYyDdEMKDBKNOMrT+5QlieHaJa9DKIZRDOIZv1c4cUYYI/qQEM0sxemEM0gmtm5/HUAUp2QcPSONEQzc8QliGb1AAOZhmgGFBglmo3ERLNLvV6IZhDNIJoxoAnRDCu8HmbbozLqEM3shSlEM4hmdi5/HYBUJyQcvSMN0cwccQmiWT3AQKYhmgEFRolmvphodil3DdEMohlEMwY0IZphhdekRoynvsf2JfwCzCGaieIUohkZTCGaQTSzcvnrAKQ6IeHoHWmIZuaISxDN6gEGMg3RDChoVzT7abWrKZmZXkFSJjP7Wlo76lgesjnwF6pan8CfK2udA73NWlsZ2jn6gGMyKbUOXa5Mlysu3dt4s97v0jmxe1itfk279P39y+I/m+0Ps2RxSW9pmTD/2W61yJ6MTsfS80/phcxfPuz2mcPB6nHVip+oDWbEGy1DYVJysYaxNx2HrGdwGt6DFXvZqlFUFF/y20ND7jlAQAwCSR9aIKt5+q/gtx0fKXvs19V6//7ejc13RLU9kAKf5SoFf+S1lHXgQXALF5pGcAt1OE99cFOIU3rB4mwfJBcktxGggeYqMhzufrZsJEF1AYRG6G7ohnEUMQNethJejY+kTnmrC7nmKS9FFVdQ3sKFplHeQhWt3LLiEFBezvZBeUF5GwEaKK8i0+HuZ8tGEpQXQGiE8kZxwhDZ2cTyR+2hvBofSZ3yVpdhy1NeihpsoLyFC02jvIUaGLllxSWgvJztg/KC8jYCNFBeRabD3c+WjSQoL4DQDOX1oygcMfmhayvl1fdI6pS3uohKnvJSVFAB5S1caBrlLWSwzi0rHgHl5WwflBeUtxGggfIqMh3ufrZsJEF5AYRmXmyIw0lU/P7y/FB2Ul6Nj6ROeatToOcpL0X+c1DewoWmUd5C/sncsjIioLyc7YPygvI2AjRQXkWmw93Plo0kKC+A0AzldaJZnH/F9fpQllJefY+kTnmrE5jmKS9F9lJQ3sKFplHeQvao3LLiE1BezvZBeUF5GwEaKK8i0+HuZ8tGEpQXQGiE8sZh5IXF5Abnh7KT8mp8JHnKy/HZGsXXar5hDLc9fgB2rZD9LJtq0JrMajlKjLRtbbkEu7/O3e8UX8zZ/TXfsU42SOZVkmg6nho8bwFqak5h/XngGa5Kg2xRZMDEEGNtGul2Uv8bMs9rR40eVv0Yc4ZH2ciQ607vh2leOuTI0X/b67bkRCRRSDEIpdnpKVUO7RN5J3H74gCSUssUdBj+zJkOZeZMCDMQZkiydoqzHENygsqSaqQchUDDidBSgUYsuaEVlLLrEo3YkEGkgUijBVj9GHWzZRqV1LSY6qWDDqGG8bqsNdl8Oy3VtDAMEGs4INSSWMPz8gxlzmeINRBrSPJNi3MdQ7JZy5JrJMuGWMOJ0FKxRiwtrxW0sutijdiQQayBWKMFWP0YdbPFGpWk6pjqpYMOsYaRwdKaPPSdFmtaGAaINRwQakms4ahW4FBWK4BYA7GGpFKCONcxpA6DLLlGmQeINZwILRVrxBLKW0Eruy7WiA0ZxBqINVqA1Y9RN1usUSkHgqleOugQaxgqgTUVVLot1jQ/DBBrOCDUkljDUWfHoayzA7EGYg1JjR9xrmNIBSFZco0CRRBrOBFaKtaIlUKxglZ2XawRGzKINRBrtACrH6NutlijUsgKU7100CHWML6/sab2V6fFmhaGAWINB4RaEms4KsQ5lBXiINZArCGpTifxybcZte9kyTVK60Gs4URoec4aoSJeVtDKros1YkMGsQZijRZg9WPUzRZrVEowYqqXDjrEGoZKYE3Vym6LNc0PA8QaDgi1JNZw1DZ1KGubQqyBWENSV1Wc6xhStVWWXKMoLMQaToSWijVi5SetoJVdF2vEhgxiDcQaLcDqx6ibLdaoFA/GVC8ddIg1jF63pt5yp8WaFoYBYg0HhBoUa/6+XT1WV4FKryAp/jRuXZvpnKLhDdJ/bFXnfPA4d4M4BzCpYI68MamXU+TNycQW5a0VVvKG7P3WhL0+qj0P+bVHc13FwqourTZ9LPTcfMdWlZR0CVmjukSNIfnsktl4RXz8ZoatcaOSPg735JoM0n+ck2vcnrfQ/gMpsECumqBHNkhZExS0MHsZCS0cB7PBvLRUFDkxVDInQw2VDEqQQyV7UvSQwKIgQZS1CIqov54TSGIGP2QkUWGOgSYaSRNn4yAO+SeYDURR4yOpU8XqimR5qkhRkQxUMXsZTR2veByMS3IfOtWLoFRdDBVzUpW+VAzKlGpRsSdFFQksClJFWYugivqrSYAqZvBDRhUV5hioopFUMYxn45nPPcFsoIoaH0mdKlbXQ8lTRYp6KKCK2ctIqGLgzueTksxLbvUiKEMVlczJUEUlgxJUUcmeFFUksChIFWUtgirqz2UNqpjBDxlVVJhjoIpGUsV5GIazOfcEs4EqanwkdapYnY09TxUpsrGDKmYvoyk4F09mQYm/7FUvglIFXFTMSZWkUzEoU1NIxZ4UVSSwKEgVZS2CKurPpAmqmMEPGVVUmGOgikZSxSAOhiUf1LAmmA1UUeMjqVPF6lyweapIkQsWVDF7Gc27ipP5IPTYi+CoehGUeldRxZzUu4oqBmXeVVSxJ/euorpF0XcVJS2CKurP4wWqmMEP3buK8nMMVNFIqjgbhaOI/YYHa4LZQBU1PpI6VazORJenihSZ6EAVs5fR5G+bBoNxySLoVy+CUvlQVMxJZXhTMSiTokfFnhRVJLAoSBVlLYIq6s8iAqqYwQ8ZVVSYY6CKRlLFOJjPZmxexZpgNlBFjY8kTxU5Pmeh+Ipl0jozRI5iYzkuRx+cmhYntPxty7BX/tYlqCp/41K8VLR5QRLK1TwYZwdy7UgtanKMUeQF0eQfZ28Np+rkQY09N9iF4qTbUVtAbhZuJFFWwJmii2EW0BpI3NxfpPC4hRcQFDfGa67+4imAp33wzA//8XIBVx1LyHVWDctKAu4T7J+VFFzRAAEgGx8/S1IqK+gy/JnpHMrMdBBqINSUJ9SNJ8OgNHuUqlQj0rpUcmWB9mWyKQs0L5c+WdiAaL5kPgMQbTqR/c5I2SaMnZj9sQaEGwg3+jwqCDdCQOux7w3hBuCRrxQdRKOSN8xtlW7syT9KKt5wk3F5+Yaf76sDs4VR7I2Ew/OKDWXGWEg4kHDK85gORgOvZFFxCoxBItWtQOtSmW0F2pdJZCvQvFzeWmEDomlq+QxAwulEVloTJZx4EoVRyN1fkHAg4VyG3nDHHBIOkAIJp+/gccIgDPj5gAUSjj15wUklHG4yLi/h8PN9Am2x+VHsjYTDkcndoczkDgkHEk550sggCEYlKfTcAmOQyCsq0LpUGlGB9mWyhgo0L5ckVNiAaE5QPgOQcDqRLd5ICWcUT0reWmL1FyQcSDiXoTfcMYeEA6RAwuk5eNIsjyE7RMHkAxZIOPbU6yCVcLjJuLyEw8/3Cb7ra34UeyPhcFRYcSgrrEDCgYRT6uNPBr6XSQWVW1S8AmMQl3BEWpeRcETal5BwRJqXknDEDQhKOJwGIOF0ooqLkRKOE8UxOxjE6i9IOJBwLkNvuGMOCQdIgYTTc/BEozCO2J4ykw9YIOHYU0eLVMLhJuPyEg4/31cHZguj2BsJh6PymUNZ+QwSDiSc8mQpwWw+99mLyqjAGCRy4Qi0LpULR6B9mVw4As3L5cIRNiCaC4fPACScTlRXM1HCicLYj6fc/QUJBxLOZegNd8wh4QApkHB6Dp5wFkWxy88HLJBw7KlvSZsLh5eMy0s4/HyfIBdO86PYGwmHoyKpQ1mRFBIOJJzyOpnjqe+VLCp+gTFIlFIVaF2qcqpA+zKFUgWal6uLKmxAtAwqnwFIOJ2oemqihBNHsVcSpWT1FyQcSDiXoTfcMYeEA6RAwuk7eMJoGrJDFEw+YIGEY0/daVIJh5uMy0s4/HyfAJjNj2LnJRyOHDgUqW+mmdPtKDbd0zny6DnNPCZ8ZLUOQQtSeoegDRnNQ9CE3FIrZUR0seU3Av2jKzW4V2VcecVJowVRo93lJ5mnTSxptYua45GZ0b2uSXoXOlZYdSJYcAyzM9YEqa1zM5YQ521PWTormLGGzFgK0dLWKdvEdKoAOuHCYILypXtf6SlIBWRVbfDqiDarE6GSImyP+X/nyQQ9gCeD9B+ns22gDg9UG45qvWYMp9naZpdCgOH0juiQI9Bwfkf0+rIiIg6IOCDigIhDtyIOoRvGJanYEXMAO0PMwUBqVajbnZ+ziDog6tBdlwpzFnGHFiZUf+IO+veWnsIUkQdLMIrYAyiFdgjPxkEc8rvdiD4A14g+mDG/1OMPjkD84VLEGfEHxB8Qf6A0gviDAfGHKA7dkP0hHauoPOIP4GeIP7RMruaD0cBj+98OP4+q0ogwZxF/wJy1Z84i/oD4gw04RfwB8QfTMYr4AyiF/tzY8Ww8Y5fvZLndiD8A14g/mDG/1OMPPImWzvEHZFxC/AHxhzvEH7oaf/CjKMxXXTgv1PnSIYg/gJ8h/mAEuZoGQTBiZ4UlSACL+APiD5izds1ZxB8Qf7ABp4g/IP5gOkYRfwCl0B9CC8Nwxi5cxHK7EX8ArhF/MGN+qccfPIH4QzY4gPgD4g+IPyD+0KX4QxiHk2jCXKg9xkKN+AP4GeIPLZOrycD3Sop/efw8qkojwpxF/AFz1p45i/gD4g824BTxB8QfTMco4g+gFNohHMTBMBxwu92IPwDXiD+YMb/U4w8jgfjDCPEHxB8Qf0D8oavxByeaxfmUeOeFOv9VBOIP4GeIPxhBrrxgNp+zPy4d8fOoKo0IcxbxB8xZe+Ys4g+IP9iAU8QfEH8wHaOIP4BS6K//MApHETuExnK7EX8ArhF/MGN+qccffIH4g4/4A+IPiD8g/tDR+EMcRl5JoDjP8BF/AD9D/MEIchWPp77H9r99fh5VpRFhziL+gDlrz5xF/AHxBxtwivgD4g+mYxTxB1AK/RAO5rOST3hYbjfiD8A14g9mzC/R+EO42H75abXbs4MO6dm7w2nlOMN4kDndTpwhT5bkaFeOdBkWu4B4nJtlg8N/hVm2X/6xzw2mZpW4JZLOOl+1mQw17SamkvR6bKi5kQXAaCAyhCMmBhxrHbOKMc8e+/C0eFzSkFqW8GXI9K8dRW1osw8KAQEUGNpSC2oN4TD2clGgQII+BaeBVQHDqF+wwDBqGEZZv/j0Ut6wxj8+v5B3dS3gKMNRtsRR9uLJMGBXrIarDFcZrrIscKzdhx3PjX32e5dwlhnj2Gln2fVH8ZSdBATucs/c5TawAIe5SwMJl9megVR0mh1Op9mB0wyn2TaneT4YDTy20+xkhxNOM5xmOM192Il9x/Ect2RFgNPcL6d56rm+6/GDAU5zd53mNrAAp7lLAwmn2Z6BVHSaXU6n+VLLHU4znGZbnOZpEASjKXPeudnhhNMMpxlOcx92Yi/yhw67wrHL2onhNHfYaR77U8ed84MBTnN3neY2sACnuUsDCafZnoFUdJo9Tqc569HCaYbTbIXTzFNQF04znGY4zX3Zid3YHY7Y73x5rJ0YTnOHneZR7E3HM34wwGnurtPcBhbgNHdpIOE02zOQik5zSaHzG6eZoMg5nGY4zQ1/08xRBQ5OM5xmOM192YmdwWjij0tWBDjN/XKa3eHEmwb8YIDT3F2nuQ0swGnu0kDCabZnIBWd5pLqnDdOM0FlTjjNcJqbdZp5SpfAaYbTDKe5LzvxdOyNB2UrApzmfjnNkevPB+xYBhMMcJq76zS3gQU4zV0aSDjN9gykqNN8WAc/vR1MJQsp22c+X3R3vkrdY86m3zbOYy7w59NecVOQyFRfmQVO8ZLUhbRZp04o5M1iTNx882Wtc3Qxc9JTt17BCdUbr6ykR1KO9Xa5IjdyWmMKoIIqw1rY/fQf0+/OHjvWChxOIdTQL0b2sIDCFDyCpXwG0kg1olWy5YRkbXjLo8UnWUG1ym0MNjedqo8sS3gpDq1hQ2cG31ff4c8HGaOZM2lM7R0KvDG0HcDN1I3FmkJp/Nr24T9OXuX7RA8kLnsIfCia/uN8IAqlfr1MKS/3/OVycfIuMP+tfG38VhRFkerKYkVxhLLAGFSSwoU9U0kK9b5yrVPoJCLtSyglIs1DK+mZVhLGTsxOJwa1hG9WQy2BWmKfWuLMvfmYndEXeolpDizfDlkY0sI+fz7comLSBuagmchBrp1PzloAiG7VJJjM5xHPM9mjm8zGQRxG3I8E5cQM5aSkvFyZckJRZQ7KSeHCniknIq3LKCci7UsoJyLNQznpl3IST6IwKqtneLsJQjmBcgLlRAxvZion47Ezd9jvDTNrIUE5uZw2VTkpDGlhvTkfblE5aQNzUE7kINfK9tIGQHQrJ9EomATsBEQshmWDchLGs/GM/Xko65GgnJihnJTUGCxTTihKDUI5KVxonHJSKDOQIw1ebnmXUU4Klf9yrbuF1mWUE5H2JZQTkeahnPRMORnFk4gdPsjXxYFyIqyccC9K9lBbKCddUU5G0XjkFt+3riiIBeXkctpU5aQwpIV9/ny4ReWkDcxBOZGDXDsFB1oAiG7lJPQjN+CpPGiPcjIPw3DG/0giygmNRlBSUrFMI6CorAiNoHChcRqBiBssrhGIKBAyGoFI+xIagUjz0Ah6phE4URyzhfL8u5TQCIQ1Au5FyR4SB42gKxqBN3cDv6x4ryY6Do3g/NBaNILCkBb2+fPhFjWCNjAHjUAOcq1sL20ARLdGMJ/PB2Exm0c5w7JBIwjiYBiypRzWI+HtCjPeriipq1mmnFCU14RyUrjQOOWkUFojRxr83PIuldEjX+0y1/qo0LpURg+B9mUyegg0D+WkX8pJFMZ+zN7X87WgoJwIKyfci5I91BbKSVeUE2fsz8bsCBmzCByUk8tpU5WTwpAW9vnz4TYzerSAOSgncpBrJ6NHCwDRntHDD8OInTONxbBsUE5mo3AUsQUu1iNBOTFDOSkprlqmnFDUWIVyUrjQOOVERBwQV05EdBkZ5USkfQnlRKR5KCf9Uk7iKPYiNlfJv4kC5URYOeFelOyhtlBOuqKcBP7IH7AJPbMSIJSTy2lTlZPCkBb2+fPhFpWTNjAH5UQOcq1sL20ARLdyEgehF7BzobIYlg3KSRzMZzO2csJ6JCgnbSknP612+xq55HCJukSSTZwKiYRWIoHLakmpU2PYRJW7OnQM8UCmkTtz2Zs9M33XfG6ed1l4hhzlvkmiV3wA7b5m6VDz1pG2QTDgcSp5RSZSt4LeqCRVhc9R+U74IP3HuZ24VCUrdX41fviP94Fc/gdSYaGchQzTSymrGIKWFi4ELe1jVTkQUxBTEFMQU11GQUw1ENPQDeOSlJG2UtMwiEbxkP+RmiWndbWisuSUolAUyGnhQpDTPhbuATkFOQU5BTnVZRTkVAM5jeKEnrJfAWBtKDaQ09gJgzDgf6RmyWldOY4sOaWoxQFyWrgQ5LSPtRFATkVGMlkXoolAzigTyWnhGXLk9CZzG8gpyKmSUZBTHeTUj6JwxL2h2EBOo1k8DNkCDvORmiWndXngs+SUIgk8yGnhQpDTPiblBjkVGclxNJ17AkVPTCSnhWfIkdOb0kMgpyCnSkZBTnWE9eNwUpJJh7WhWEFOR2FckkSA+UjNktO6VLtZckqRZxfktHAhyGkf856CnIq5GWN3MGOOJPPLZxPJaeEZqvMPgJyCnCoZBTnVQU6dVGjk3lBsIKfhLIpil/+RmiWnddkMs+SUIpUhyGnhQpDTPqaWAzkVGUnXm4QzdjyNmdDYRHJaeIYcOb1JKw5yCnKqZBTkVEfyyTDySkqdsTYUG8hp8kjTkoJ0zEdqgJz+fbt6rCGlh0vUuagLLpq/kJCLsiaa7tzOJwwi7XL9vJfM0dEAM5ahO/wfLx3+43xsikyI1CxSPJmf9V1oWtJe7p4qjFVZT50of0DAFgzLNWtwT+lOujoZpP84ZwlFflLdRFHbA6nQRM6kTumllEmdwBsLF4I39oU3SifQsJ05BpP5PGJn0QZ3NLgTrWWPrj+KpzwzDfyxlb7SzSBn4yAO+bMv2cAhNT4SAYusy76UZZEU2ZfAIgsXgkX2hUVKZ7qwnUVGo2ASjLkfHCzSkE60lkVOPdd32Yybma2rzyyyjb7SzSLDeDaesb8eZc0VG1ikxkciYJF1aZKyLJIiTRJYZOFCsMi+sEjplBS2s8jQj9yA/WIr68HBIg3pRGtZ5NifOi5PX4FFttJXulnkPAzDGf9csYFFanwkAhZZl88oyyIp8hmBRRYuBIvsDYuUzR1hO4ucz+eDkle/WQ8OFmlIJ1rLIkexNx2zUwwwk7P2mUW20Ve6WWQQB8OSz2dYc8UGFqnxkQhYZF3ioSyLpEg8BBZZuBAssi8sUjrJg+0sMvDDsCSbHOvBwSIN6URrWaQ7nHhT9rsjzFwAfWaRbfSV9vciR+EoYpd4YM0VG1ikxkciYJF1GYKyLJIiQxBYZOFCsMi+sEjpbAy2s8g4CL2A/eoV68HBIg3pRGtZZOT6c5F0p31mkW30lW4WGQfz2YxNuVhzxQYWqfGRMizy8n+Tnfz/AFBLAwQUAAAACACKclpcoz9GX78DAADnCQAAEQAAAHdvcmQvc2V0dGluZ3MueG1stVbdcto4FL7fp2C44WYJtnFM4ynpJLDeTSZsM3X6ALJ9AG30N5IMoU/fI9uKyZZmmO3sFfL5zr++c8THTy+cDXagDZViPgovgtEARCkrKjbz0denbPxhNDCWiIowKWA+OoAZfbr+7eM+NWAtapkBehAm5eV8uLVWpZOJKbfAibmQCgSCa6k5sfipNxNO9HOtxqXkilhaUEbtYRIFQTLs3Mj5sNYi7VyMOS21NHJtnUkq12taQvfjLfQ5cVuTpSxrDsI2EScaGOYghdlSZbw3/l+9Ibj1TnbvFbHjzOvtw+CMcvdSV68W56TnDJSWJRiDF8SZT5CKPnD8g6PX2BcYuyuxcYXmYdCc+swNOyeRFnqghSb6cJwFL9O7jZCaFAzmQ8xmeI2M+iYlH+zTHUHnBRibUTucOACLkevcEgsIGwWMOXoOSwYEne3TjSYcmeUljU0Fa1Iz+0SK3Erl3c6ioIXLLdGktKBzRUr0tpDCasm8XiX/lnaBLNXYxNbCkB08athR2D/S0tYaWkcNld2pNpD98UAOsrZHSN6OCToWhGOxb6i/khW4AmpNz7+PoU8S2/ZOIIlTrWkFT67JuT0wyLDGnH6DG1Hd18ZS9NgMwC9k8F4CIFzkz0iLp4OCDIjrmfmfgjUXljGqVlRrqe9EhZP5q8Emx9eLK7Iy/vBFSutVg+A2ns2mHbEc2iPBNE7C5CSSBMl0cQoJL4NZfHsKia6S6dXyFDKNkuzqZAY3N+Hyw0mbn2e9uA2SJD6FZIvkapp1vek6wlO3+x61PzmaDXhrsSC80JQMVm47TpxGoZ9vqfB4Abgv4BjJ68KD43ELGE4Yy3BcPRC08ooatYR1c2Yroje9305Dn5Tiarh/9VUiT0D/qWWtWnSviWrp41XCOO4sqbAPlHu5qYvcWwnccEdQLarPO930qW/PPrVIv2YMH0jD3UYXxPhr7ogHxNgbQ8l8+A8Z3z92dGc6d6yFFVGqZXyxCedDRjdbGzozi18VvqvNR7GJOixqsKjFmg9SumJRuzv0ssjLjvSmXjbtZbGXxb3s0ssue1niZYmTbXH8Na7sZ5xDf3TytWRM7qH6q8d/EHXL3E33TW2lX8ndBjbtZt4SBct23yMfZSvoHgAz2KXwYrHNFT4nA6NoxckLXmoQzZzzTps1e/uNrsOcsnrroSKW+P3wxriZiX/l4t6hkiJ/8wMv+ufloi2LUYOLTOFLZKX22O8NFsZYdHmHo4enRh7FQRIFSfgKt0HuONnAUtFecRoE3YD6v2jX3wFQSwMEFAAAAAgAinJaXOha5VMAAQAAtgEAABQAAAB3b3JkL3dlYlNldHRpbmdzLnhtbI3QwWrDMAwA0Hu+wuSSU+NkjDFCkjIYHbuUQbYPcBwlMbUtY7nN+vczWTYYu/QmIekhqd5/Gs0u4EmhbbIyLzIGVuKg7NRkH++H3WPGKAg7CI0WmuwKlO3bpF6qBfoOQoiNxCJiqTKySecQXMU5yRmMoBwd2Fgc0RsRYuonboQ/nd1OonEiqF5pFa78rige0o3xtyg4jkrCM8qzARvWee5BRxEtzcrRj7bcoi3oB+dRAlG8x+hvzwhlf5ny/h9klPRIOIY8HrNttFJxvCzWyOiUGVm9Tha96DU0aYTSNmEsflBojcvb8YVv+YBHDJ24wBN1cQ0NB6UhFmv+59tt8gVQSwMEFAAAAAgAinJaXPs5oHNjAgAA+woAABIAAAB3b3JkL2ZvbnRUYWJsZS54bWzdlsFu2jAcxu99iiiXnEpsk7UUESrGhrTLDht7ABMcsBbbke1AudL7zjtsjzDtsEm79G2Qeu0rzCQBgggZdENIAyE5/8/5Yv/0/R1at3cssiZEKiq478AacCzCAzGkfOQ7H/q9y4ZjKY35EEeCE9+ZEeXcti9a02YouFaWuZ2rJgt8e6x13HRdFYwJw6omYsKNGArJsDaXcuQyLD8m8WUgWIw1HdCI6pmLALiycxt5iIsIQxqQVyJIGOE6vd+VJDKOgqsxjdXKbXqI21TIYSxFQJQyW2ZR5scw5Wsb6O0YMRpIoUSoa2Yz+YpSK3M7BOmIRbbFguabERcSDyLi28bIbl9YVs7OmjY5Zqb+fsYGIkqlVIwxF4pAo09w5Nug5GO769nBGEtF9Ho2KmghZjSarSScaFEQY6qD8UqbYEmXqyzoio6MmqgB2KzBzirQt+F2Be3MqW9XgtSnsV2BhTnpg1tuxqYMU58yoqy3ZGq9Ewzz/byQ+V6BOngBPPNDZuRV8AKn4PXa7Ah1er0Nr66pXDc8uMPrpopXegkzn2N5dTEbmEVWcVryyTgteaHzcAKoyMlbVrx15cBcZZxunsXp6eHb08MP6/Hzp8cvX/9RFzb205JpeDcqF7ovE9KfxWQPw5DekWF1Y8INQNAA12WNCf8EED23Mbs4oiZpVUHrpY2I0sidJ2iwLGidbknQDmjIvwraYv5zMf+1uL9fzL+fPm5MDIn8z/ImEkmJrMobMHk7kN1p8pY/tl7gVGBw5MGW8z6WU8essOJvBQIvzbHv5X2JznX8l74m66d6Ta5Gqn3xG1BLAwQUAAAACACKclpclEEiuMYGAAC7KgAAFQAAAHdvcmQvdGhlbWUvdGhlbWUxLnhtbO1aTW/bNhi+91cQuuTU+tt1irpF7Njt1qYNErdDj7REW2woUSDpJL4N7XHAgGHdsMMK7LbDsK1AC+zS/ZpuHbYO6F8YKdmKKFFy5sVN2iUHxyL5PHy/X1Lw1euHHgH7iHFM/fZa5VJ5DSDfpg72x+21e4P+xdYa4AL6DiTUR+21KeJr169duAqvCBd5CEi4z6/AtuUKEVwplbgthyG/RAPky7kRZR4U8pGNSw6DB5LWI6VqudwseRD7FvChh9rW3dEI2wgMFKV17QIAc/4ekR++4GosHLUJ27XDnZNIK5oPVzh7lflT+MynvEsY2Iekbcn9HXowQIfCAgRyISfaVjn8s0oxR0kjkRRELKJM0PXDP50uQRBKWNXp2HgY81X69fXLm2lpqpo0BfBer9ftVdK7J+HQtqVFK/kU9X6r0klJkALFNAWSdMuNct1Ik5Wmlk+z3ul0GusmmlqGpp5P0yo36xtVE009Q9MosE1no9ttmmgaGZpmPk3/8nqzbqRpJmhcgv29fBIVtelA0yASMKLkZjFLS7K0UtGvo9RInHZxIo6oLxZkogcfUtaX67TdCRTYB2IaoBG0Ja4LCR4yfCRBuArBxJLUnM3z55RYgNsMB6JtfRxAWWKO1r59+ePbl8/Bq0cvXj365dXjx68e/VwEvwn9cRL+5vsv/n76Kfjr+Xdvnny1AMiTwN9/+uy3X79cgBBJxOuvn/3x4tnrbz7/84cnRbgNBodJ3AB7iIM76ADsUE8qX7QlGrIloQMX4iR0wx9z6EMFLoL1hKvB7kwhgUWADtIdcJ/JYluIuDF5qCm167KJSMeWhrjlehpii1LSoazYALeUGEnbTfzxArnYJAnYgXC/UKxuKoR6k0DmGi7cpOsiTZVtIqMKjpGPBFBzdA+hIvwDjDX/bGGbUU5HAjzAoANxsSEHeCjM6JvYk46eFsouQ0qz6NZ90KGkcMNNtK9DZLpCUrgJIpoXbsCJgF6xVtAjSchtKNxCRXanzNYcx4UMpjEiFPQcxHkh+C6bairdkrVxQWRtkamnQ5jAe4WQ25DSJGST7nVd6AXFemHfTYI+4nsyUyDYpqJYPqrnsHqWjoX+4oi6j5FYskLdw2PXHIxqZsIKcxVRvYZMyQiixHaqIWZ6m+p32D9Wv/Nku0vbbJX9TraR198+/cA63Ya0YWGyp/vbQkC6q3Upc/CH0dQ24cTfRjKBz3vaeU8772lnqKctrEqr72R614ruf/O73dF1z1t02xthQnbFlKDbXG+AXJrG6cvZo9FoPOSLL6KBK79q2pSMWIkcMxgOAkbFJ1i4uy4MpEwVK7XDmGuyxKMgoFzeny19Kl+o9Lro/RSWlg4XNfT3RzofFFvUidbVyuaFoaLzfVPilpS8uSrU1NYnpUbt8mmpUYkYT0iPSuOYeuT47V/pEY2kwkyd+uSZT5ZIKU2zGmknsxIS5KgwTQX5PJzPcoxXcpweEbrQQcdZl7B+pXa2o6gwqZfQ97Sirbwo2sKCb6jditY3FnTig4O2td6oNixgw6BtjeQdR371ArkfV60RkrHftmzB0tFq7AXH95Fu+3VzoqcDrWxalmv2nK4T0gaMi03I3Yg4XJW2LvENpqo26solq7VVadVa1FqV91WL6MkQ4Wg0QrYwRnliKrV1NGMqu3QiENt1nQMwJBO2A6V16lE6OpjLA1l1/sBkganPMlUv8OYCln7vb6hz4UJIAhfOCk4rv95EdNmMiOVPe8Gg8tFwykarsl3tHdoup7Kc2+70bTerHchHNSdjCFteThgEqji0LcqES2W7C1xs95m805hUlFYAspgpAwBC/fA/Q/upxjmXJ+LPbEvkVUzs4DFgWDZh4TKEtsXM3v9u10rVeKAIC9hsk0yFzNpCWSgwmGeI9hEZqGLeVG6ygDtvTtm6q+FzAjY1rNfW4bj/v70S1t/lqVBToX6Sh+B60VUqcRBbPy1tT+LMn1Ckeky3VRsFRe6/HuYDKFygPuR5CjObICujvjqvD+iOzDsQX1WArCYXW7PSHg8OpY1aWa3U3mqL9+8ialDG6KKz+ZYiEWs5999srJ2EIiuItYYh1Az5fbxIU2OmfhFeTr3Ey0g1kPllmDoBDR9KCTfRCE5I4udiPJBDiZ7Eg21WSjwPqTPVRwiPellyjGcOacTfQSOAnUNDIqSiYfbTqezlZOdIstjQMWttOdYZh+FAGTNXl2OOWXSZ5akqZg7fJC9gJwaZI45kKCQMHp1FYi+Gtl+5T5e00QKfllfm0yVj8IR8Kg6X8GnsxfD8n8lepeOhYLA7/+GZLAlyjzj9r134B1BLAwQUAAAACACKclpcnoA616cAAAAGAQAAEwAAAGN1c3RvbVhtbC9pdGVtMS54bWytjLEKwjAUAPd+RcmSyaY6iBTTUhAnEaEKrkn62gaSvJKkYv/eiL/geHdwx+ZtTf4CHzQ6TrdFSXNwCnvtRk4f9/PmQPMQheuFQQecrhBoU2dHWXW4eAUhTwMXKsnJFONcMRbUBFaEAmdwqQ3orYgJ/chwGLSCE6rFgotsV5Z7JrU0Gkcv5mklv9l/Vh0YUBH6Lq4GOGHtrS2e3SWFr7gKm2RyhNXZB1BLAwQUAAAACACKclpcPsrl1b0AAAAnAQAAHgAAAGN1c3RvbVhtbC9fcmVscy9pdGVtMS54bWwucmVsc43PsWrDMBAG4L1PIbRoqmVnKKFY9hIC2UJwIauQz7aIpRO6S0jevqJTAxky3h3/93Ntfw+ruEEmj9GopqqVgOhw9HE26mfYf26VILZxtCtGMOoBpPruoz3BarlkaPGJREEiGbkwp2+tyS0QLFWYIJbLhDlYLmOedbLuYmfQm7r+0vm/IbsnUxxGI/NhbKQYHgnesXGavIMdumuAyC8qtLsSYziH9ZixNIrB5hnYSM8Q/lZNVUypu1Y//df9AlBLAwQUAAAACACKclpctbtMTeEAAABiAQAAGAAAAGN1c3RvbVhtbC9pdGVtUHJvcHMxLnhtbJ2QsW6DMBRFd77C8uLJMaAEaBSISAApa9VKXR14gCVsI9tEjar+e006NWPHd6507tU7HD/lhG5grNAqJ9EmJAhUqzuhhpy8vzU0I8g6rjo+aQU5uYMlxyI4dHbfccet0wYuDiTyHuWZzfHo3LxnzLYjSG43egblw14byZ0/zcB034sWKt0uEpRjcRgmrF28S37ICSPvFl55qXL8VTdxmmVRQutz0tAy2e7oS5hWNG3iXVmfT1G1Lb9xESC0TvrtfIXeruSJrd7FiP8OvIrrJPRg+DzeMXs0sqfKB/jzliL4AVBLAwQUAAAACACKclpckNCHiWsDAACJFQAAEgAAAHdvcmQvbnVtYmVyaW5nLnhtbM1Y3W7iOBi936dAkUZctYmTNAQ0tKJAVl2NRiO18wAmGLDqn8gxMNzuS+1jzSusnT+oijNMEnbLjRN/3zn+fE78Bfj88IOS3g6JFHM27oNbp99DLOZLzNbj/veX6Cbs91IJ2RISztC4f0Bp/+H+j8/7EdvSBRIqr6coWDraJ/HY2kiZjGw7jTeIwvSW4ljwlK/kbcypzVcrHCN7z8XSdh3gZFeJ4DFKU8UzhWwHU6ugo/wyNgrj8tJ1nFDdY1ZxvK+IJ4ip4IoLCqW6FWuFEK/b5EZxJlDiBSZYHjRXUNHsxtZWsFHBcVPVoTEjVcBoR0mZzOty80KLoUSIS4rMITMebyliMivPFoiogjlLNzg56taUTQU3JUnthk82u0+A3870mYB7NRwJLyl/mYMoySuvZwTOBY5oigpxSQlv1ywrOX349s2kORV33U7bPwXfJkc23I7tib1WXKoT/A5X4dHp1tJ2xTxvYKIOEI1HT2vGBVwQVZFSvKefSOtetSe4SKWAsfy6pb03d0/LseVkKSzFSxXbQTK2ouwzmFq2jtAtkfgL2iHyckhQmaMXJiibztMkTUgZnHrAmU99N4+QnQ5gNZSLqSYqZJkM8izVQiNaTS5RjCkkFcEL+lHFPoHbav6vuJwlaCXz6eSbyApS+yzGMketYanrhCvFQeg4Ot8+ZmKmJdBERVjdbSBb6/5veUGZnvHb2fLZeKLnL8UGJrFnjcWe+044dFz/Q4vt+7Vi63D3YrsmseeNxY4egRsMvUlHYifP8kCqlb/gVJeuvkl41/TCCWu90OHuvfBMXkSNvfBC3wfBXVddxuSFe0UvBm6dFTravRO+wYkQNHYCDMBk6k1atKDFlhAkzyr98+9//v8OtB+JYog4k6lWNY2x+hbxfKALTjLoRGn6ZgIzqZ+xFVSKFmSihXF3JuPc5u3Mm0+i2XzajXHvT9BjFj3fzTrytV03+wi+BiZfveatcQbmUTTr6ECafD3fGbvxtVVn/AiuDkyuho1dnTmTwH3M+9gVX3hXfN8dfTrnqo52/74LTUYMGxvhDgcBUF5c93hd8XS18uE/Ol0sM5Od/m5642y5r7CgY2dgrhkW1MA8M+yuBvbux/YR5tfA7sywQQ0sMMO8GtjADHNrYKEZBmpgQzPMOYXZJ/+h3v8LUEsDBBQAAAAIAIpyWlyiyNZnvQUAAIQgAAAXAAAAZG9jUHJvcHMvdGh1bWJuYWlsLmpwZWftVmtwE1UUPrt7NyltzRAoLRQHwrsywKQtQisCNmnappQ2pC2vcYZJk00TmiZhd9OWTp2R+gD1hzx8/7EUVHSccVDRgjpSRUBHBxALFBjGImrxNTwUXwPx3N2kCVCEkV/O7N3Z/b6c891zzzl7526ix6Jfw9DyEnsJMAwDZXhB9LS+y261rnA4q0rsFTZ0AOi3ucLhAGsCaAzKorPUYlq6bLlJ3wssjII0yIY0l1sKFzkcFYCDauG6cekIMBQPTx/c/68jzSNIbgAmBXnII7kbkbcA8AF3WJQBdGfQXtAsh5Hr70SeIWKCyM2U16u8mPI6lS9VNDVOK3Kai8Htc3mQtyGfVpdkr0/iag7KyCgVgoLod5toLxxiyOsPCEnp3sR9i6MxEImvNwbvdKmhegFiDq3dJ5Y5Y7zD7bJVI5+IfH9YtlD7ZOQ/RRpqi5BPBWCHecWSWlXP3tvqq1mCPBO5xy/ba2L21mBdZZU6l+1sCC1wxjT73ZIVewbjkZ/yCfYKNR8OPEKxjfYL+RhfpCwWnyuXmqpt8TitPmulGocTV7rKHcizka8TQ84qNWeuUwiUOtX43N6w7IjlwPUHA5UVakxiECSlRsUu+2rK1LlklowvUZ1Llnv9JfaYvi0cUPYi5ka2ihFnbUxz0CXaStU45IIQrI3F5Ed6XMW0tzOQz4PFjAsECEEdPt0QhMtgAieUggUxDCJ6vOCHAFoE9Apo8TN3QAPaBtc5FI3KE4p6ZXY/nY2rDK5RVzgb04RIFjGTfLznkAoylxSQQjCR+eQ+Mo8Uo7WQzBmY60han651diDOKohgVKpbDJb12ZGcxHrt4gq/+8CT566aHbouZyGeT3IHQMIOxJXTk+vf1/b+yESMHtJ1/+H0fW1QdbP+8mf4fr4Hn738yYSCP8GfxKsXijC3gJJRI95+JQ8pKYPkGrrxlsGFzz7UhZJ0V63oDa7PTnhoJ4S1lZcqoX1awmo+av7Z3GPebN5q/vGaLg/aJW4Tt4P7gNvJ7eI+BxO3m+vmPuT2cm9w7yW9qxvvj4F3r9Qbr5Z6Buu1AAGDxTDaMMFQbBhrmGSoSMQzZBlyDWWGKegZPfDektdLrsUPy/AZ7+rga6m6WvT6oVmpQFI6HITV1+z/2GwyhuQS+zW7toDu5bhCZ9MV64rApJuqK9Tl6sopj+enm4K+Qnzartp17htUICSpkuucruw6ulfp7CbFJ4EgCy0yPWitofBq0V/vk015ZvNsUxF+qgSTPeieMc3kCgRMiksyiYIkiE2CZwbQ76B6RF90Kt83JvNAwiYvBJj7C55ZBxO25RGA1yWArJkJWw6eiSNeBOia5Y6ITbEzn2G+AJC8+Xnqr3QLnk2notGLeF7pNwJc3hCN/t0ZjV7egvFPAuwORPtAtrX4vQALF9JTH1KAMNnA09l4z2NGD/ASJgcPcMpZgLV+IDF7ZWztsthvFdkONq5gnujg4pxVpNETYKX/Hm5r0CC3G4OJ7gZjCospcowRWCPDGZnoHhiLufKqIP5hZViO8Dp9ypDUNBTsGAosw3Es4XieYGnMA+gHYuSHjcst0g1f5NKPX5WRt2bD5pQJlu3dI5yHzk3MrxPbh6RmZo0clT1p8pScu6bOvHvW7ILCe6zFtpLSMnt5dU3t4iX4et0ewVvv86+U5EhTc8vq1ocefuTRtesee3zjpqeefubZ555/oXPL1pdefmXbq6+9+dbbO955t2vnro8+3vPJ3n37P/3sy8Nf9Rw5eqz3eN/pb858+933/Wd/OH/h4q+/Xfr9jz//onUxwA2UPmhd2ASGJYQjeloXwzZTgZHw43J1w4oW6V2rho/PW5OSYdmweXv3kAn5znMj6sRDqZkTZ/ZNOk9LUyq7tcLa/1NlA4Ul6joO6RxuOCNnhPlw5UoOdLAPpoIGGmiggQYaaKCBBhpooIEGGmiggQYaaKCBBv8ziPbCP1BLAQIUAxQAAAAIAIpyWlytUqWRlQEAAMoGAAATAAAAAAAAAAAAAACAAQAAAABbQ29udGVudF9UeXBlc10ueG1sUEsBAhQDFAAAAAgAinJaXHkmS0D4AAAA3gIAAAsAAAAAAAAAAAAAAIABxgEAAF9yZWxzLy5yZWxzUEsBAhQDFAAAAAgAinJaXIiGC1NpAQAA0QIAABEAAAAAAAAAAAAAAIAB5wIAAGRvY1Byb3BzL2NvcmUueG1sUEsBAhQDFAAAAAgAinJaXPTb2xfrAQAAbAQAABAAAAAAAAAAAAAAAIABfwQAAGRvY1Byb3BzL2FwcC54bWxQSwECFAMUAAAACACKclpcm3+VGFQCAADfBgAAEQAAAAAAAAAAAAAAgAGYBgAAd29yZC9kb2N1bWVudC54bWxQSwECFAMUAAAACACKclpcboAbEjIBAADLBAAAHAAAAAAAAAAAAAAAgAEbCQAAd29yZC9fcmVscy9kb2N1bWVudC54bWwucmVsc1BLAQIUAxQAAAAIAIpyWlxtxjWkcTAAAPBZBQAPAAAAAAAAAAAAAACAAYcKAAB3b3JkL3N0eWxlcy54bWxQSwECFAMUAAAACACKclpcYHmC0zk1AABzrwYAGgAAAAAAAAAAAAAAgAElOwAAd29yZC9zdHlsZXNXaXRoRWZmZWN0cy54bWxQSwECFAMUAAAACACKclpcoz9GX78DAADnCQAAEQAAAAAAAAAAAAAAgAGWcAAAd29yZC9zZXR0aW5ncy54bWxQSwECFAMUAAAACACKclpc6FrlUwABAAC2AQAAFAAAAAAAAAAAAAAAgAGEdAAAd29yZC93ZWJTZXR0aW5ncy54bWxQSwECFAMUAAAACACKclpc+zmgc2MCAAD7CgAAEgAAAAAAAAAAAAAAgAG2dQAAd29yZC9mb250VGFibGUueG1sUEsBAhQDFAAAAAgAinJaXJRBIrjGBgAAuyoAABUAAAAAAAAAAAAAAIABSXgAAHdvcmQvdGhlbWUvdGhlbWUxLnhtbFBLAQIUAxQAAAAIAIpyWlyegDrXpwAAAAYBAAATAAAAAAAAAAAAAACAAUJ/AABjdXN0b21YbWwvaXRlbTEueG1sUEsBAhQDFAAAAAgAinJaXD7K5dW9AAAAJwEAAB4AAAAAAAAAAAAAAIABGoAAAGN1c3RvbVhtbC9fcmVscy9pdGVtMS54bWwucmVsc1BLAQIUAxQAAAAIAIpyWly1u0xN4QAAAGIBAAAYAAAAAAAAAAAAAACAAROBAABjdXN0b21YbWwvaXRlbVByb3BzMS54bWxQSwECFAMUAAAACACKclpckNCHiWsDAACJFQAAEgAAAAAAAAAAAAAAgAEqggAAd29yZC9udW1iZXJpbmcueG1sUEsBAhQDFAAAAAgAinJaXKLI1me9BQAAhCAAABcAAAAAAAAAAAAAAIABxYUAAGRvY1Byb3BzL3RodW1ibmFpbC5qcGVnUEsFBgAAAAARABEAYQQAALeLAAAAAA==";
+
+// Load JSZip – bundled via npm (jszip in package.json)
+let jsZipCached = null;
+async function loadJSZip() {
+  if (jsZipCached) return jsZipCached;
+  const mod = await import("jszip");
+  jsZipCached = mod.default || mod;
+  return jsZipCached;
+}
+
+// ── Default style IDs (General_Release_Summary_Template.docx) ────────────
+export const DEFAULT_STYLES = {
+  h1:"Heading1", h2:"Heading2", body:"BodyText", bullet:"ListBullet",
+  tableHeader:"TableHeader", tableText:"TableText", tableGrid:"TableGrid", tocHeading:"TOCHeading", fill:"0073E6",
+};
+
+// ── Detect style IDs from any uploaded template's styles.xml ─────────────
+const STYLE_DEF = '<w:style\\b([^>]*)>([\\s\\S]*?)<\\/w:style>';
+
+// Value of one attribute on an XML tag string
+const xmlAttr = (tag, name) => (tag.match(new RegExp(`\\s${name}="([^"]*)"`)) || [])[1];
+
+// styleId → { name (lower-cased), basedOn, body } for every style in styles.xml
+function readStyleDefs(xml) {
+  const defs = {};
+  for (const m of xml.matchAll(new RegExp(STYLE_DEF, "g"))) {
+    const id = xmlAttr(m[1], "w:styleId");
+    if (!id) continue;
+    const nm = (new RegExp('<w:name\\b[^>]*w:val="([^"]+)"').exec(m[2]) || [])[1] || "";
+    const based = (new RegExp('<w:basedOn\\b[^>]*w:val="([^"]+)"').exec(m[2]) || [])[1] || null;
+    defs[id] = { name: nm.toLowerCase().trim(), basedOn: based, body: m[2] };
+  }
+  return defs;
+}
+
+// Role → style id matched by name, or null when the role falls back to DEFAULT_STYLES
+function matchStyleRoles(defs) {
+  const pick = (...pats) => { for (const [id,{ name }] of Object.entries(defs)) for (const p of pats) if (typeof p==="string"?name===p:p.test(name)) return id; return null; };
+  const rH1   = new RegExp("^heading\\s*1$");
+  const rH2   = new RegExp("^heading\\s*2$");
+  const rBody = new RegExp("^body");
+  const rBul  = new RegExp("^list\\s*bullet");
+  const rTH   = new RegExp("^table\\s*head");
+  const rTHid = new RegExp("^tableheader");
+  const rTT   = new RegExp("^table\\s*text");
+  const rTTid = new RegExp("^tabletext");
+  const rTG   = new RegExp("^table\\s*grid");
+  const rToc  = new RegExp("^toc\\s*heading");
+  return {
+    h1:          pick("heading 1", rH1),
+    h2:          pick("heading 2", rH2),
+    body:        pick("body text", "bodytext", rBody),
+    bullet:      pick("list bullet", rBul),
+    tableHeader: pick("table header", rTHid, rTH),
+    tableText:   pick("table text", rTTid, rTT),
+    tableGrid:   pick("table grid", rTG, "normal table"),
+    tocHeading:  pick("toc heading", rToc),
+  };
+}
+
+// Table header fill: the first shading colour in the template body, if any
+async function detectFill(zip) {
+  if (!zip.files["word/document.xml"]) return null;
+  const d = await zip.files["word/document.xml"].async("string");
+  const fm = d.match(new RegExp('w:fill="([0-9A-Fa-f]{6})"'));
+  return fm ? fm[1].toUpperCase() : null;
+}
+
+export async function detectTemplateStyles(buf) {
+  const JSZip = await loadJSZip();
+  const zip = await JSZip.loadAsync(buf);
+  if (!zip.files["word/styles.xml"]) return { ...DEFAULT_STYLES };
+  const matched = matchStyleRoles(readStyleDefs(await zip.files["word/styles.xml"].async("string")));
+  const styles = Object.fromEntries(Object.entries(matched).map(([role, id]) => [role, id || DEFAULT_STYLES[role]]));
+  return { ...styles, fill: (await detectFill(zip)) || DEFAULT_STYLES.fill };
+}
+
+// ── XML helpers (accept optional st=styles object) ────────────────────────
+function xmlEsc(s) {
+  return String(s).replace(new RegExp("&","g"),"&amp;").replace(new RegExp("<","g"),"&lt;").replace(new RegExp(">","g"),"&gt;").replace(new RegExp('"',"g"),"&quot;");
+}
+function xmlH1(text, st=DEFAULT_STYLES) {
+  return `<w:p><w:pPr><w:pStyle w:val="${st.h1}"/></w:pPr><w:r><w:t xml:space="preserve">${xmlEsc(text)}</w:t></w:r></w:p>`;
+}
+function xmlH2(text, st=DEFAULT_STYLES) {
+  return `<w:p><w:pPr><w:pStyle w:val="${st.h2}"/></w:pPr><w:r><w:t xml:space="preserve">${xmlEsc(text)}</w:t></w:r></w:p>`;
+}
+function xmlBody(text, st=DEFAULT_STYLES) {
+  return `<w:p><w:pPr><w:pStyle w:val="${st.body}"/></w:pPr><w:r><w:t xml:space="preserve">${xmlEsc(text)}</w:t></w:r></w:p>`;
+}
+function xmlBullet(text, st=DEFAULT_STYLES) {
+  return `<w:p><w:pPr><w:pStyle w:val="${st.bullet}"/></w:pPr><w:r><w:t xml:space="preserve">${xmlEsc(text)}</w:t></w:r></w:p>`;
+}
+function xmlSpacer(st=DEFAULT_STYLES) {
+  return `<w:p><w:pPr><w:pStyle w:val="${st.body}"/></w:pPr></w:p>`;
+}
+function xmlPageBreak() {
+  return `<w:p><w:r><w:br w:type="page"/></w:r></w:p>`;
+}
+// TOC field over Heading 1-2. It is marked dirty (and the export sets
+// updateFields), so Word rebuilds it when the document is opened.
+function xmlToc(st=DEFAULT_STYLES) {
+  return `<w:p><w:pPr><w:pStyle w:val="${st.tocHeading}"/></w:pPr><w:r><w:t xml:space="preserve">Contents</w:t></w:r></w:p>` +
+    `<w:p><w:r><w:fldChar w:fldCharType="begin" w:dirty="true"/></w:r>` +
+    `<w:r><w:instrText xml:space="preserve"> TOC \\o "1-2" \\h \\z \\u </w:instrText></w:r>` +
+    `<w:r><w:fldChar w:fldCharType="separate"/></w:r>` +
+    `<w:r><w:t xml:space="preserve">Right-click here and choose Update Field to build the table of contents.</w:t></w:r>` +
+    `<w:r><w:fldChar w:fldCharType="end"/></w:r></w:p>`;
+}
+function xmlTable3(cols, rows, st=DEFAULT_STYLES) {
+  const totalW = cols.reduce((s,c)=>s+c.w,0);
+  const hdrCells = cols.map(c =>
+    `<w:tc><w:tcPr><w:tcW w:w="${c.w}" w:type="dxa"/><w:shd w:val="clear" w:color="auto" w:fill="${st.fill}"/></w:tcPr>` +
+    `<w:p><w:pPr><w:pStyle w:val="${st.tableHeader}"/></w:pPr><w:r><w:t xml:space="preserve">${xmlEsc(c.label)}</w:t></w:r></w:p></w:tc>`
+  ).join("");
+  const dataRows = rows.map(row =>
+    `<w:tr>${row.map((cell,i) =>
+      `<w:tc><w:tcPr><w:tcW w:w="${cols[i].w}" w:type="dxa"/></w:tcPr>` +
+      `<w:p><w:pPr><w:pStyle w:val="${st.tableText}"/></w:pPr><w:r><w:t xml:space="preserve">${xmlEsc(cell)}</w:t></w:r></w:p></w:tc>`
+    ).join("")}</w:tr>`
+  ).join("");
+  return `<w:tbl><w:tblPr><w:tblStyle w:val="${st.tableGrid}"/><w:tblW w:w="${totalW}" w:type="dxa"/>` +
+    `<w:tblLook w:val="04A0" w:firstRow="1"/></w:tblPr>` +
+    `<w:tblGrid>${cols.map(c=>`<w:gridCol w:w="${c.w}"/>`).join("")}</w:tblGrid>` +
+    `<w:tr>${hdrCells}</w:tr>${dataRows}</w:tbl>`;
+}
+
+// ── Build content XML per scope ────────────────────────────────────────────
+// Columns come straight from the structured finding fields.
+// Every table layout ends with a narrow Source column (page numbers);
+// paragraph and bullet layouts carry the source as a suffix instead.
+const SOURCE_COL_W = 1100;
+
+const withPages = f => f.pages.length ? `${findingSummary(f)} (${formatPages(f.pages, f.unit)})` : findingSummary(f);
+
+// Table columns for a library layout: Source keeps its narrow width, the rest
+// share the remaining 8959 dxa by their LAYOUT_FIELDS weight
+function layoutColumns(layout) {
+  const hasSource = layout.columns.some(c => c.field === "pages");
+  const flexible  = layout.columns.filter(c => c.field !== "pages");
+  const weight    = c => LAYOUT_FIELDS.find(f => f.field === c.field).w;
+  const total     = flexible.reduce((sum, c) => sum + weight(c), 0);
+  const room      = 8959 - (hasSource ? SOURCE_COL_W : 0);
+  return layout.columns.map(c => ({ label: c.label, w: c.field === "pages" ? SOURCE_COL_W : Math.floor(room * weight(c) / total) }));
+}
+
+function layoutCell(f, field) {
+  if (field === "pages") return formatPages(f.pages, f.unit) || "—";
+  return f[field] || "—";
+}
+
+// Format-neutral layout of one scope's report section, rendered by
+// buildScopeXml (Word), scopeMarkdown and scopeHtml. Shapes:
+//   { heading, intro, type: "empty" }
+//   { heading, intro, type: "headed",  items: [{ title, body, source }] }
+//   { heading, intro, type: "table",   columns: [{ label, w }], rows: [[cell]] }
+//   { heading, intro, type: "bullets", items: [text] }
+export function scopeSection(scope, bullets) {
+  // Consolidated findings name the other scopes they were merged from
+  bullets = bullets.map(f => (crossRefText(f) ? { ...f, detail: `${f.detail} ${crossRefText(f)}` } : f));
+  if (!bullets.length) {
+    return { heading: scope.label, intro: `No ${scope.label.toLowerCase()} identified in this document.`, type: "empty" };
+  }
+
+  switch (scope.id) {
+
+    case "new_features":
+      // H2 per feature + body paragraph
+      return {
+        heading: "New or Changed Features",
+        intro: "The following features and sections were added or significantly updated in this release.",
+        type: "headed",
+        items: bullets.map(f => ({ title: f.status ? `${f.title} (${f.status})` : f.title, body: f.detail, source: formatSource(f) })),
+      };
+
+    case "deprecated":
+      // Item | Status | Notes | Source
+      return {
+        heading: "Deprecated or Removed Features",
+        intro: "The following items have been removed or superseded in this release.",
+        type: "table",
+        columns: [{ label: "Item", w: 2800 }, { label: "Status", w: 1400 }, { label: "Notes", w: 3659 }, { label: "Source", w: SOURCE_COL_W }],
+        rows: bullets.map(f => [
+          f.title,
+          f.status || "Deprecated",
+          f.replacement ? `${f.detail} Replaced by: ${f.replacement}.` : f.detail,
+          formatPages(f.pages, f.unit) || "—",
+        ]),
+      };
+
+    case "deployment_changes":
+      // Changed Section | Nature | Impact | Source
+      return {
+        heading: "Deployment Guide Update Notes",
+        intro: "The following items represent notable changes that impact how deployments should be executed.",
+        type: "table",
+        columns: [{ label: "Changed Section", w: 2736 }, { label: "Nature of Change", w: 1600 }, { label: "Operational Impact", w: 3523 }, { label: "Source", w: SOURCE_COL_W }],
+        rows: bullets.map(f => [
+          f.component || f.title,
+          f.status || "Updated",
+          f.detail,
+          formatPages(f.pages, f.unit) || "—",
+        ]),
+      };
+
+    case "security":
+      // Requirement | Severity | Action | Source
+      return {
+        heading: "Security & Compliance Requirements",
+        intro: "The following security requirements, credential rules, and compliance mandates were identified.",
+        type: "table",
+        columns: [{ label: "Security Requirement", w: 4800 }, { label: "Severity", w: 1400 }, { label: "Action", w: 1659 }, { label: "Source", w: SOURCE_COL_W }],
+        rows: bullets.map(f => [
+          findingSummary(f),
+          f.severity || "—",
+          "Verify compliance",
+          formatPages(f.pages, f.unit) || "—",
+        ]),
+      };
+
+    case "breaking_changes":
+      // Warning intro → bullets
+      return {
+        heading: "Breaking Changes",
+        intro: "The following changes may break existing deployments if previous documentation was followed. Immediate review is required.",
+        type: "bullets",
+        items: bullets.map(f => (f.severity ? `[${f.severity}] ${withPages(f)}` : withPages(f))),
+      };
+
+    case "migration_guide":
+      // Area | Action Required | Priority | Source
+      return {
+        heading: "Summary: Key Actions for Deployment Teams",
+        intro: "The following actions are required when migrating from the previous release.",
+        type: "table",
+        columns: [{ label: "Area", w: 2200 }, { label: "Action Required", w: 4459 }, { label: "Priority", w: 1200 }, { label: "Source", w: SOURCE_COL_W }],
+        rows: bullets.map(f => [
+          f.component || f.title,
+          f.detail,
+          f.severity || "—",
+          formatPages(f.pages, f.unit) || "—",
+        ]),
+      };
+
+    default: {
+      // Custom and library scopes: the scope's own layout
+      // (bullets, or a table of the chosen finding fields)
+      const layout = scope.layout || DEFAULT_SCOPE_LAYOUT;
+      const section = { heading: scope.label, intro: `The following findings relate to ${scope.label}.` };
+      if (layout.type === "bullets" || !layout.columns.length) {
+        return { ...section, type: "bullets", items: bullets.map(withPages) };
+      }
+      return { ...section, type: "table", columns: layoutColumns(layout), rows: bullets.map(f => layout.columns.map(c => layoutCell(f, c.field))) };
+    }
+  }
+}
+
+function buildScopeXml(scope, bullets, st=DEFAULT_STYLES) {
+  const section = scopeSection(scope, bullets);
+  let xml = xmlH1(section.heading, st) + xmlBody(section.intro, st) + xmlSpacer(st);
+  switch (section.type) {
+    case "headed":
+      section.items.forEach(item => {
+        xml += xmlH2(item.title, st) + xmlBody(item.body, st);
+        if (item.source) xml += xmlBody(`Source: ${item.source}`, st);
+        xml += xmlSpacer(st);
+      });
+      return xml;
+    case "table":
+      return xml + xmlTable3(section.columns, section.rows, st) + xmlSpacer(st);
+    case "bullets":
+      section.items.forEach(text => { xml += xmlBullet(text, st); });
+      return xml + xmlSpacer(st);
+    default:
+      return xml;
+  }
+}
+
+// ── Document control and executive summary ────────────────────────────
+// The front matter of the Word report. Like scopeSection, these are layouts;
+// the docx builder renders them.
+const TOP_CRITICAL_ITEMS = 10;
+
+function documentControlSection(scopeList, docName, docTitle, delta, llm) {
+  const { date } = reportMeta(docName, docTitle);
+  return {
+    heading: "Document Control",
+    columns: [{ label: "Item", w: 2600 }, { label: "Details", w: 6359 }],
+    rows: [
+      ["Source document", delta ? `${delta.baseName} → ${delta.targetName}` : docName || "—"],
+      ["Document title", [docTitle?.title, docTitle?.subtitle].filter(Boolean).join(" — ") || "—"],
+      ["Revision", docTitle?.revision || "—"],
+      ["Analysis date", date],
+      ["Model", describeModels(llm, scopeList)],
+      ["Scope modules", scopeList.map(s => s.label).join(", ")],
+      ["Generated by", `ReleaseLens ${APP_VERSION}`],
+    ],
+  };
+}
+
+// Findings per scope, then the Critical findings across all scopes
+function summarySection(scopeList, resultMap, docName, docTitle) {
+  const { title } = reportMeta(docName, docTitle);
+  const total = scopeList.reduce((n, s) => n + (resultMap[s.id] || []).length, 0);
+  const bySeverity = (s, sev) => String((resultMap[s.id] || []).filter(f => f.severity === sev).length);
+  const critical = scopeList.flatMap(s => (resultMap[s.id] || []).filter(f => f.severity === "Critical").map(f => `${s.label}: ${withPages(f)}`));
+  return {
+    heading: "Executive Summary",
+    intro: `This report contains AI-extracted findings from "${title}". ${scopeList.length} analysis modules were run, yielding ${total} total findings.`,
+    columns: [{ label: "Scope", w: 4359 }, { label: "Findings", w: 1600 }, { label: "Critical", w: 1500 }, { label: "High", w: 1500 }],
+    rows: scopeList.map(s => [s.label, String((resultMap[s.id] || []).length), bySeverity(s, "Critical"), bySeverity(s, "High")]),
+    critical: {
+      heading: "Critical Items",
+      items: critical.slice(0, TOP_CRITICAL_ITEMS),
+      more: Math.max(0, critical.length - TOP_CRITICAL_ITEMS),
+    },
+  };
+}
+
+function buildControlXml(scopeList, docName, docTitle, delta, llm, st=DEFAULT_STYLES) {
+  const control = documentControlSection(scopeList, docName, docTitle, delta, llm);
+  return xmlH1(control.heading, st) + xmlTable3(control.columns, control.rows, st) + xmlSpacer(st);
+}
+
+function buildSummaryXml(scopeList, resultMap, docName, docTitle, st=DEFAULT_STYLES) {
+  const summary = summarySection(scopeList, resultMap, docName, docTitle);
+  let xml = xmlH1(summary.heading, st) + xmlBody(summary.intro, st) + xmlSpacer(st) +
+    xmlTable3(summary.columns, summary.rows, st) + xmlSpacer(st) +
+    xmlH2(summary.critical.heading, st);
+  if (!summary.critical.items.length) xml += xmlBody("No findings were rated Critical.", st);
+  summary.critical.items.forEach(text => { xml += xmlBullet(text, st); });
+  if (summary.critical.more) xml += xmlBody(`…and ${summary.critical.more} more Critical finding${summary.critical.more === 1 ? "" : "s"} in the sections below.`, st);
+  return xml;
+}
+
+// ── Delta Summary section (compare mode) ──────────────────────────────────
+// Mirrors the results view: counts per change type, then the findings of
+// every scope grouped under Added / Changed / Removed. Like scopeSection,
+// deltaSection is the layout; each export format renders it.
+function deltaSection(scopeList, resultMap, delta) {
+  const byChange = countByChange(scopeList, resultMap);
+  return {
+    heading: "Delta Summary",
+    intro: `This report compares ${delta.baseName} (previous version) with ${delta.targetName} (new version). Only passages that differ between the two versions were analysed.`,
+    columns: [{ label: "Change", w: 3000 }, { label: "Diff Sections", w: 2979 }, { label: "Findings", w: 2980 }],
+    rows: CHANGE_TYPES.map(ct => [ct.label, String(delta.counts[ct.id]), String(byChange[ct.id])]),
+    groups: CHANGE_TYPES
+      .map(ct => ({
+        heading: ct.label,
+        items: scopeList.flatMap(s => (resultMap[s.id] || []).filter(f => f.change === ct.id).map(f => `${s.label}: ${withPages(f)}`)),
+      }))
+      .filter(g => g.items.length),
+  };
+}
+
+function buildDeltaXml(scopeList, resultMap, delta, st=DEFAULT_STYLES) {
+  const section = deltaSection(scopeList, resultMap, delta);
+  let xml = xmlH1(section.heading, st) + xmlBody(section.intro, st) + xmlSpacer(st) +
+    xmlTable3(section.columns, section.rows, st) + xmlSpacer(st);
+  section.groups.forEach(g => {
+    xml += xmlH2(g.heading, st);
+    g.items.forEach(text => { xml += xmlBullet(text, st); });
+    xml += xmlSpacer(st);
+  });
+  return xml;
+}
+
+// ── Template placeholders ───────────────────────────────────────────────
+// A template can say where things go with {{…}} tokens. Field tokens are
+// replaced by text wherever they appear — body, headers and footers — even
+// when Word has split the token over several runs. Section tokens must be
+// alone in their paragraph, which is replaced by the section. A template
+// without section tokens gets the front matter and every scope at the
+// injection point, as before; one with section tokens only gets what it asks
+// for, plus any scope (and the delta summary) it did not place, so no
+// findings are dropped.
+
+export const TEMPLATE_FIELDS = [
+  { token: "title",    description: "Document title (falls back to the source name)" },
+  { token: "subtitle", description: "Document subtitle" },
+  { token: "revision", description: "Revision and date from the document" },
+  { token: "date",     description: "Date of the export" },
+  { token: "source",   description: "Source file name or URL" },
+  { token: "model",    description: "Model(s) that produced the findings" },
+  { token: "findings", description: "Total number of findings" },
+];
+
+export const TEMPLATE_SECTIONS = [
+  { token: "toc",      description: "Table of contents (Word updates it on open)" },
+  { token: "control",  description: "Document control table" },
+  { token: "summary",  description: "Executive summary: findings per scope and the top Critical items" },
+  { token: "delta",    description: "Delta summary (compare mode only)" },
+  { token: "scopes",   description: "Every scope not placed with its own token" },
+  { token: "scope:<id>", description: "One scope's section, e.g. {{scope:security}}" },
+];
+
+const PLACEHOLDER   = "\\{\\{\\s*([a-z]+(?::[^{}]*?)?)\\s*\\}\\}";
+const PARAGRAPH     = "<w:p(?:\\s[^>]*?)?(?<!/)>[\\s\\S]*?</w:p>";
+const TEXT_NODE     = "(<w:t(?:\\s[^>]*)?>)([^<]*)(</w:t>)";
+const SECTION_TOKEN = new RegExp(`^\\s*${PLACEHOLDER}\\s*$`);
+
+// Text of one paragraph as Word shows it (entities left escaped)
+const paragraphText = p => [...p.matchAll(new RegExp(TEXT_NODE, "g"))].map(m => m[2]).join("");
+
+// Every {{token}} in a part of the document — for validation and for deciding the mode
+export function findPlaceholders(xml) {
+  return (xml.match(new RegExp(PARAGRAPH, "g")) || []).flatMap(p => {
+    const text = paragraphText(p);
+    const section = text.match(SECTION_TOKEN);
+    return [...text.matchAll(new RegExp(PLACEHOLDER, "g"))].map(m => ({ token: m[1].trim(), alone: Boolean(section) }));
+  });
+}
+
+// Replace field tokens inside one paragraph. The replacement goes into the
+// text node where the token starts; the rest of the token is cut from the
+// nodes it spills into, so the runs keep their formatting.
+function fillParagraphFields(p, values) {
+  const nodes = [...p.matchAll(new RegExp(TEXT_NODE, "g"))];
+  const text = nodes.map(n => n[2]).join("");
+  const edits = [...text.matchAll(new RegExp(PLACEHOLDER, "g"))]
+    .filter(m => Object.hasOwn(values, m[1]))
+    .map(m => ({ start: m.index, end: m.index + m[0].length, value: xmlEsc(values[m[1]] ?? "") }));
+  if (!edits.length) return p;
+
+  let offset = 0;
+  const texts = nodes.map(n => {
+    const from = offset;
+    offset += n[2].length;
+    let out = "";
+    for (let i = from; i < offset; i++) {
+      const edit = edits.find(e => i >= e.start && i < e.end);
+      if (!edit) out += text[i];
+      else if (i === edit.start) out += edit.value;
+    }
+    return out;
+  });
+  // Rebuild back to front so earlier match positions stay valid
+  let out = p;
+  for (let i = nodes.length - 1; i >= 0; i--) {
+    const n = nodes[i];
+    if (texts[i] === n[2]) continue;
+    const open = n[1].includes("xml:space") ? n[1] : n[1].replace("<w:t", `<w:t xml:space="preserve"`);
+    out = out.slice(0, n.index) + open + texts[i] + n[3] + out.slice(n.index + n[0].length);
+  }
+  return out;
+}
+
+function fillFields(xml, values) {
+  return xml.replace(new RegExp(PARAGRAPH, "g"), p => fillParagraphFields(p, values));
+}
+
+// Replace every section-token paragraph with render(token) (unknown tokens stay)
+function fillSections(xml, render) {
+  return xml.replace(new RegExp(PARAGRAPH, "g"), p => {
+    const m = paragraphText(p).match(SECTION_TOKEN);
+    const out = m ? render(m[1].trim()) : null;
+    return out === null ? p : out;
+  });
+}
+
+const isSectionToken = token => TEMPLATE_SECTIONS.some(s => s.token === token) || token.startsWith("scope:");
+
+// ── Find template injection point robustly ────────────────────────────────
+// Strategy: inject after last </w:p> before the final sectPr.
+// Works for both single-section and multi-section templates.
+function findInjectionBounds(docXml) {
+  // The final sectPr is the page-layout section — always a direct child of w:body
+  const lastSectStart = docXml.lastIndexOf("<w:sectPr");
+
+  // Inject after the last </w:p> before that sectPr (preserves cover page)
+  const lastParaEnd = docXml.lastIndexOf("</w:p>", lastSectStart);
+  const prefixEnd = lastParaEnd !== -1 ? lastParaEnd + "</w:p>".length : lastSectStart;
+
+  return { prefixEnd, suffixStart: lastSectStart };
+}
+
+// ── Update cover page title in template ──────────────────────────────────
+const TITLE_STYLE = '<w:pStyle\\b[^>]*\\bw:val\\s*=\\s*"Title"';
+
+// The first Title-style paragraph: { start, end, xml }, or null. Shared by the
+// export and validateTemplate so both agree on what the cover title is.
+function findTitleParagraph(docXml) {
+  const p = [...docXml.matchAll(new RegExp(PARAGRAPH, "g"))].find(m => new RegExp(TITLE_STYLE).test(m[0]));
+  return p ? { start: p.index, end: p.index + p[0].length, xml: p[0] } : null;
+}
+
+function updateCoverTitle(docXml, docTitle) {
+  if (!docTitle?.title) return docXml;
+  const para = findTitleParagraph(docXml);
+  if (!para) return docXml;
+
+  const newTitlePara =
+    `<w:p><w:pPr><w:pStyle w:val="Title"/></w:pPr>` +
+    `<w:r><w:t xml:space="preserve">${xmlEsc(docTitle.title.toUpperCase())}` +
+    (docTitle.subtitle ? ` - ${xmlEsc(docTitle.subtitle.toUpperCase())}` : "") +
+    `</w:t></w:r></w:p>`;
+
+  return docXml.slice(0, para.start) + newTitlePara + docXml.slice(para.end);
+}
+
+// ── Main template-based export function ──────────────────────────────────
+// llm ({ provider, model, scopeModels }, as saved with a run) fills the Model
+// row of the document control table.
+export async function exportWithTemplate(templateBuffer, scopeList, resultMap, docName, docTitle = {}, st = DEFAULT_STYLES, delta = null, llm = null) {
+  const JSZip = await loadJSZip();
+
+  // Load and unpack template
+  const zip = await JSZip.loadAsync(templateBuffer);
+
+  // ── Strip SharePoint customXml (causes "Word experienced an error" outside SharePoint) ──
+  const customXmlKeys = Object.keys(zip.files).filter(k => k.startsWith("customXml/"));
+  customXmlKeys.forEach(k => delete zip.files[k]);
+
+  // Remove customXml relationship entries from document.xml.rels
+  if (zip.files["word/_rels/document.xml.rels"]) {
+    const dr = await zip.files["word/_rels/document.xml.rels"].async("string");
+    const cleanDr = dr.replace(new RegExp('<Relationship[^>]*relationships/customXml[^>]*/>', "g"), "");
+    zip.file("word/_rels/document.xml.rels", cleanDr);
+  }
+
+  // Remove customXml Override entries from [Content_Types].xml
+  if (zip.files["[Content_Types].xml"]) {
+    const ct = await zip.files["[Content_Types].xml"].async("string");
+    const cleanCt = ct.replace(new RegExp('<Override[^>]*/customXml/[^>]*/>', "g"), "");
+    zip.file("[Content_Types].xml", cleanCt);
+  }
+
+  // Fix broken attached template reference (common in corporate templates)
+  if (zip.files["word/_rels/settings.xml.rels"]) {
+    const rel = await zip.files["word/_rels/settings.xml.rels"].async("string");
+    const fixed = rel.replace(new RegExp("<Relationship[^>]*[.]dotm[^/]*/>","g"), "");
+    zip.file("word/_rels/settings.xml.rels", fixed);
+  }
+
+  // Read and patch document.xml
+  let docXml = await zip.files["word/document.xml"].async("string");
+  const meta = reportMeta(docName, docTitle);
+  const fields = {
+    title: meta.title, subtitle: meta.subtitle, revision: meta.revision, date: meta.date, source: docName || "",
+    model: describeModels(llm, scopeList),
+    findings: String(scopeList.reduce((n, s) => n + (resultMap[s.id] || []).length, 0)),
+  };
+  const placeholders = findPlaceholders(docXml);
+  const usesSections = placeholders.some(ph => ph.alone && isSectionToken(ph.token));
+
+  // Cover title: {{title}} in the template, or else the first Title paragraph
+  if (!placeholders.some(ph => ph.token === "title")) docXml = updateCoverTitle(docXml, docTitle);
+  docXml = fillFields(docXml, fields);
+
+  // Headers and footers take field tokens too
+  const parts = Object.keys(zip.files).filter(k => new RegExp("^word/(header|footer)\\d*\\.xml$").test(k));
+  for (const part of parts) {
+    const xml = await zip.files[part].async("string");
+    if (xml.includes("{")) zip.file(part, fillFields(xml, fields));
+  }
+
+  const scopeXml = scope => buildScopeXml(scope, resultMap[scope.id] || [], st);
+  const deltaXml = () => (delta ? buildDeltaXml(scopeList, resultMap, delta, st) : "");
+  let withToc = false;
+  let tailXml;
+  if (usesSections) {
+    // Sections go where the template put them; whatever it left out is appended
+    const placed = new Set(placeholders.filter(ph => ph.alone && ph.token.startsWith("scope:")).map(ph => ph.token.slice(6).trim()));
+    const hasScopes = placeholders.some(ph => ph.alone && ph.token === "scopes");
+    const hasDelta  = placeholders.some(ph => ph.alone && ph.token === "delta");
+    const rest = () => scopeList.filter(s => !placed.has(s.id)).map(scopeXml).join("");
+    docXml = fillSections(docXml, token => {
+      if (token === "toc") { withToc = true; return xmlToc(st); }
+      if (token === "control") return buildControlXml(scopeList, docName, docTitle, delta, llm, st);
+      if (token === "summary") return buildSummaryXml(scopeList, resultMap, docName, docTitle, st);
+      if (token === "delta") return deltaXml();
+      if (token === "scopes") return rest();
+      // A scope the run did not include leaves no trace
+      if (token.startsWith("scope:")) { const scope = scopeList.find(s => s.id === token.slice(6).trim()); return scope ? scopeXml(scope) : ""; }
+      return null;
+    });
+    tailXml = (hasDelta ? "" : deltaXml()) + (hasScopes ? "" : rest());
+  } else {
+    // Contents, document control and executive summary, then the delta and scope sections
+    withToc = true;
+    tailXml = xmlToc(st) + xmlPageBreak() +
+      buildControlXml(scopeList, docName, docTitle, delta, llm, st) +
+      buildSummaryXml(scopeList, resultMap, docName, docTitle, st) + xmlPageBreak() +
+      deltaXml() + scopeList.map(scopeXml).join("");
+  }
+
+  // Inject after the template's last paragraph
+  const { prefixEnd, suffixStart } = findInjectionBounds(docXml);
+  zip.file("word/document.xml", docXml.slice(0, prefixEnd) + tailXml + docXml.slice(suffixStart));
+
+  // updateFields makes Word refresh the TOC on open; schema order puts it before
+  // hdrShapeDefaults/footnotePr/endnotePr/compat and everything after those
+  if (zip.files["word/settings.xml"]) {
+    let s = await zip.files["word/settings.xml"].async("string");
+    s = s.replace(new RegExp("<w:attachedTemplate[^/]*/>","g"), "");
+    if (withToc && !s.includes("<w:updateFields")) {
+      const next = s.search(new RegExp("<(w:hdrShapeDefaults|w:footnotePr|w:endnotePr|w:compat|w:docVars|w:rsids|m:mathPr|w:attachedSchema|w:themeFontLang|w:clrSchemeMapping|w:doNotIncludeSubdocsInStats|w:doNotAutoCompressPictures|w:forceUpgrade|w:captions|w:readModeInkLockDown|w:smartTagType|sl:schemaLibrary|w:shapeDefaults|w:doNotEmbedSmartTags|w:decimalSymbol|w:listSeparator|w14:|w15:|</w:settings>)"));
+      if (next !== -1) s = s.slice(0, next) + `<w:updateFields w:val="true"/>` + s.slice(next);
+    }
+    zip.file("word/settings.xml", s);
+  }
+
+  // Generate — the caller downloads (browser) or writes (CLI) the bytes
+  const data = await zip.generateAsync({ type: "uint8array", compression: "DEFLATE" });
+  return { data, fileName: exportFileName(docTitle?.title || docName, "docx") };
+}
+
+// ── Template validation report and preview ───────────────────────────────
+// What an uploaded template will do before any analysis runs: the style each
+// role resolved to, roles with no style at all (Word shows them as Normal),
+// the parts the export strips, the cover Title paragraph and the {{…}}
+// placeholders. Each role's effective formatting (basedOn chain, document
+// defaults, theme fonts) is read too, for an HTML preview of a sample report.
+
+export const TEMPLATE_ROLES = [
+  { role: "h1",          label: "Heading 1" },
+  { role: "h2",          label: "Heading 2" },
+  { role: "body",        label: "Body text" },
+  { role: "bullet",      label: "Bullet list" },
+  { role: "tableHeader", label: "Table header" },
+  { role: "tableText",   label: "Table text" },
+  { role: "tableGrid",   label: "Table grid" },
+  { role: "tocHeading",  label: "Contents heading" },
+];
+
+const XML_ENTITIES = { "&amp;": "&", "&lt;": "<", "&gt;": ">", "&quot;": "\"", "&apos;": "'" };
+const xmlUnesc = s => s.replace(new RegExp("&(amp|lt|gt|quot|apos);", "g"), e => XML_ENTITIES[e]);
+
+// Word's toggles: <w:b/> is on, <w:b w:val="0"/> (or false/off) is off
+function xmlToggle(xml, tag) {
+  const m = xml.match(new RegExp(`<w:${tag}(?:\\s+w:val="([^"]*)")?\\s*/>`));
+  return m ? !["0", "false", "off"].includes(m[1]) : undefined;
+}
+
+// Formatting set directly by one style (or the document defaults); unset keys stay undefined
+function ownFormat(xml, theme) {
+  const rPr = (xml.match(new RegExp("<w:rPr>([\\s\\S]*?)</w:rPr>")) || [])[1] || "";
+  const pPr = (xml.match(new RegExp("<w:pPr>([\\s\\S]*?)</w:pPr>")) || [])[1] || "";
+  const fonts = (rPr.match(new RegExp("<w:rFonts\\b[^>]*>")) || [])[0] || "";
+  const themeFont = xmlAttr(fonts, "w:asciiTheme");
+  const size = xmlAttr((rPr.match(new RegExp("<w:sz\\b[^>]*>")) || [])[0] || "", "w:val");
+  const color = xmlAttr((rPr.match(new RegExp("<w:color\\b[^>]*>")) || [])[0] || "", "w:val");
+  const shade = xmlAttr((pPr.match(new RegExp("<w:shd\\b[^>]*>")) || [])[0] || "", "w:fill");
+  const align = xmlAttr((pPr.match(new RegExp("<w:jc\\b[^>]*>")) || [])[0] || "", "w:val");
+  const hex = new RegExp("^[0-9A-Fa-f]{6}$");
+  return {
+    // Word lets a theme font win over an explicit one
+    font:   (themeFont && theme[themeFont.startsWith("major") ? "major" : "minor"]) || xmlAttr(fonts, "w:ascii"),
+    sizePt: size ? Number(size) / 2 : undefined,
+    bold:   xmlToggle(rPr, "b"),
+    italic: xmlToggle(rPr, "i"),
+    caps:   xmlToggle(rPr, "caps"),
+    color:  hex.test(color || "") ? color.toUpperCase() : undefined,
+    shade:  hex.test(shade || "") ? shade.toUpperCase() : undefined,
+    align,
+  };
+}
+
+const definedOnly = o => Object.fromEntries(Object.entries(o).filter(([, v]) => v !== undefined));
+
+// Effective formatting of a style: document defaults, then its basedOn chain
+function resolveFormat(defs, id, base, theme, seen = new Set()) {
+  const def = defs[id];
+  if (!def || seen.has(id)) return base;
+  seen.add(id);
+  const parent = def.basedOn ? resolveFormat(defs, def.basedOn, base, theme, seen) : base;
+  return { ...parent, ...definedOnly(ownFormat(def.body, theme)) };
+}
+
+// Word's own fallbacks when neither the style nor the defaults say
+const WORD_DEFAULT_FORMAT = { font: "Times New Roman", sizePt: 10, bold: false, italic: false, caps: false, color: "000000" };
+
+// { ok, errors, warnings, styles, roles, missing, stripped, title, placeholders }
+// ok is false (and the rest absent) when the file is not a Word document the export can use.
+export async function validateTemplate(buf) {
+  const JSZip = await loadJSZip();
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buf);
+  } catch (e) {
+    return { ok: false, errors: ["Not a .docx file (it is not a zip archive)"], warnings: [] };
+  }
+  const read = async path => (zip.files[path] ? zip.files[path].async("string") : null);
+  const docXml = await read("word/document.xml");
+  if (docXml === null) return { ok: false, errors: ["No word/document.xml — this is not a Word document"], warnings: [] };
+
+  const errors = [], warnings = [];
+  const ct = (await read("[Content_Types].xml")) || "";
+  if (ct.includes("wordprocessingml.template.main")) errors.push("This is a .dotx template; save it as a .docx document and upload that instead");
+  if (!docXml.includes("<w:sectPr")) errors.push("The document has no section properties, so there is nowhere to place the report");
+
+  // ── Styles ──
+  const stylesXml = await read("word/styles.xml");
+  if (stylesXml === null) warnings.push("No styles.xml: every role uses the default style names, which Word will show as Normal");
+  const defs = stylesXml ? readStyleDefs(stylesXml) : {};
+  const matched = matchStyleRoles(defs);
+  const themeXml = (await read("word/theme/theme1.xml")) || "";
+  const themeFont = kind => (themeXml.match(new RegExp(`<a:${kind}Font>[\\s\\S]*?<a:latin\\b[^>]*typeface="([^"]*)"`)) || [])[1];
+  const theme = { major: themeFont("major"), minor: themeFont("minor") };
+  const defaults = (stylesXml || "").match(new RegExp("<w:docDefaults>([\\s\\S]*?)</w:docDefaults>"));
+  const base = { ...WORD_DEFAULT_FORMAT, ...definedOnly(ownFormat(defaults ? defaults[1] : "", theme)) };
+
+  const roles = TEMPLATE_ROLES.map(({ role, label }) => {
+    const styleId = matched[role] || DEFAULT_STYLES[role];
+    // found: matched by name; default: the built-in id happens to exist; missing: no such style
+    const status = matched[role] ? "found" : defs[styleId] ? "default" : "missing";
+    const name = defs[styleId] ? (new RegExp('<w:name\\b[^>]*w:val="([^"]+)"').exec(defs[styleId].body) || [])[1] || styleId : null;
+    return { role, label, styleId, name, status, format: resolveFormat(defs, styleId, base, theme) };
+  });
+  const missing = roles.filter(r => r.status === "missing").map(r => r.role);
+  if (missing.length) warnings.push(`No style for ${roles.filter(r => r.status === "missing").map(r => r.label).join(", ")}; Word will show ${missing.length === 1 ? "it" : "them"} as Normal`);
+  const fill = await detectFill(zip);
+  const styles = { ...Object.fromEntries(roles.map(r => [r.role, r.styleId])), fill: fill || DEFAULT_STYLES.fill };
+
+  // ── Parts the export strips (same rules as exportWithTemplate) ──
+  const stripped = Object.keys(zip.files).filter(k => k.startsWith("customXml/") && !zip.files[k].dir)
+    .map(part => ({ part, reason: "SharePoint custom XML" }));
+  const docRels = (await read("word/_rels/document.xml.rels")) || "";
+  (docRels.match(new RegExp("<Relationship[^>]*relationships/customXml[^>]*/>", "g")) || [])
+    .forEach(r => stripped.push({ part: "word/_rels/document.xml.rels", reason: `Relationship to ${xmlAttr(r, "Target") || "custom XML"}` }));
+  (ct.match(new RegExp("<Override[^>]*/customXml/[^>]*/>", "g")) || [])
+    .forEach(o => stripped.push({ part: "[Content_Types].xml", reason: `Content type for ${xmlAttr(o, "PartName") || "custom XML"}` }));
+  const settingsRels = (await read("word/_rels/settings.xml.rels")) || "";
+  (settingsRels.match(new RegExp("<Relationship[^>]*[.]dotm[^/]*/>", "g")) || [])
+    .forEach(r => stripped.push({ part: "word/_rels/settings.xml.rels", reason: `Attached template ${xmlAttr(r, "Target") || ""}`.trim() }));
+  if (new RegExp("<w:attachedTemplate[^/]*/>").test((await read("word/settings.xml")) || "")) {
+    stripped.push({ part: "word/settings.xml", reason: "Attached template reference" });
+  }
+
+  // ── Cover title and placeholders ──
+  const titlePara = findTitleParagraph(docXml)?.xml;
+  const parts = Object.keys(zip.files).filter(k => new RegExp("^word/(header|footer)\\d*\\.xml$").test(k));
+  const found = [
+    ...findPlaceholders(docXml).map(ph => ({ ...ph, part: "word/document.xml" })),
+    ...(await Promise.all(parts.map(async part => findPlaceholders(await read(part)).map(ph => ({ ...ph, part }))))).flat(),
+  ];
+  const hasTitleField = found.some(ph => ph.token === "title");
+  const title = titlePara ? { text: xmlUnesc(paragraphText(titlePara)), replaced: !hasTitleField } : null;
+  if (!titlePara && !hasTitleField) warnings.push("No Title-style paragraph or {{title}} placeholder: the document title will not appear on the cover");
+
+  const placeholders = found.map(ph => {
+    const field = TEMPLATE_FIELDS.some(f => f.token === ph.token);
+    const section = !field && isSectionToken(ph.token);
+    let problem = null;
+    if (!field && !section) problem = "Unknown placeholder; left as is";
+    else if (section && ph.part !== "word/document.xml") problem = "Sections only work in the document body";
+    else if (section && !ph.alone) problem = "A section placeholder must be alone in its paragraph";
+    return { token: ph.token, part: ph.part, kind: field ? "field" : section ? "section" : "unknown", problem };
+  });
+  placeholders.filter(ph => ph.problem).forEach(ph => warnings.push(`{{${ph.token}}}: ${ph.problem}`));
+
+  return {
+    ok: !errors.length, errors, warnings, styles, roles, missing, stripped, title, placeholders,
+    fill: { value: styles.fill, found: Boolean(fill) },
+    titleFormat: resolveFormat(defs, "Title", base, theme),
+  };
+}
+
+// CSS for one role's formatting in the preview
+function previewCss(f) {
+  return [
+    f.font && `font-family:'${f.font.replace(new RegExp("[^\\w .-]", "g"), "")}',sans-serif`,
+    `font-size:${f.sizePt}pt`,
+    `font-weight:${f.bold ? 700 : 400}`,
+    `font-style:${f.italic ? "italic" : "normal"}`,
+    f.caps && "text-transform:uppercase",
+    `color:#${f.color}`,
+    f.shade && `background:#${f.shade}`,
+    f.align && `text-align:${({ both: "justify", start: "left", end: "right" })[f.align] || f.align}`,
+  ].filter(Boolean).join(";");
+}
+
+// A sample report (cover title, contents, document control table, summary
+// and one scope) as a self-contained HTML page in the template's formatting.
+// An approximation: the fonts must be installed locally to look the same.
+export function templatePreviewHtml(report, docTitle = {}) {
+  const role = id => report.roles.find(r => r.role === id)?.format || WORD_DEFAULT_FORMAT;
+  const title = `${(docTitle.title || "Release Notes").toUpperCase()}${docTitle.subtitle ? ` - ${docTitle.subtitle.toUpperCase()}` : ""}`;
+  const rows = [
+    ["Source", "release-notes-4.2.pdf"],
+    ["Analysis date", new Date().toISOString().slice(0, 10)],
+    ["Scope modules", "Breaking Changes, Security"],
+  ];
+  const th = `${previewCss(role("tableHeader"))};background:#${report.styles.fill}`;
+  const td = previewCss(role("tableText"));
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<style>
+body{margin:0;background:#e5e7eb}
+.page{max-width:680px;margin:16px auto;background:#fff;padding:48px 56px;box-shadow:0 1px 4px rgba(0,0,0,.15)}
+p,h1,h2{margin:0 0 8px}
+.title{margin:0 0 28px}
+ul{margin:0 0 12px;padding-left:22px}
+table{width:100%;border-collapse:collapse;margin:8px 0 12px}
+th,td{border:1px solid #808080;padding:4px 6px;text-align:left;vertical-align:top}
+</style>
+</head>
+<body>
+<div class="page">
+<p class="title" style="${previewCss(report.titleFormat)}">${htmlEsc(title)}</p>
+<p style="${previewCss(role("tocHeading"))}">Contents</p>
+<p style="${previewCss(role("body"))}">Document Control<br>Executive Summary<br>Breaking Changes</p>
+<h1 style="${previewCss(role("h1"))}">Document Control</h1>
+<table><thead><tr>${["Item", "Details"].map(c => `<th style="${th}">${c}</th>`).join("")}</tr></thead>
+<tbody>${rows.map(r => `<tr>${r.map(c => `<td style="${td}">${htmlEsc(c)}</td>`).join("")}</tr>`).join("")}</tbody></table>
+<h1 style="${previewCss(role("h1"))}">Executive Summary</h1>
+<p style="${previewCss(role("body"))}">12 findings across 2 scope modules, 2 of them Critical:</p>
+<ul style="${previewCss(role("bullet"))}"><li>Breaking Changes: The v1 export API has been removed (p. 4)</li><li>Security: Session tokens are no longer rotated on login (p. 7)</li></ul>
+<h1 style="${previewCss(role("h1"))}">Breaking Changes</h1>
+<p style="${previewCss(role("body"))}">Changes that need action before upgrading.</p>
+<h2 style="${previewCss(role("h2"))}">Legacy export API removed</h2>
+<p style="${previewCss(role("body"))}">Requests to /v1/export now return 410 Gone; move integrations to /v2/export.</p>
+</div>
+</body>
+</html>
+`;
+}
+
+// ── Convert base64 string to ArrayBuffer ─────────────────────────────────
+export function b64ToArrayBuffer(b64) {
+  const bin = atob(b64);
+  const buf = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) buf[i] = bin.charCodeAt(i);
+  return buf.buffer;
+}
+
+
+// ── Shared by the TXT, Markdown and HTML reports ──────────────────────────
+// Title block: the extracted doc title, falling back to the source name
+function reportMeta(docName, docTitle = {}) {
+  return {
+    title:    docTitle?.title || docName || "Vendor Documentation",
+    subtitle: docTitle?.subtitle || "Release Analysis & Change Summary",
+    revision: docTitle?.revision || "",
+    date:     new Date().toLocaleDateString("en-GB", { day: "2-digit", month: "long", year: "numeric" }),
+  };
+}
+
+// ReleaseLens_<name>_<yyyy-mm-dd>.<ext>
+function exportFileName(name, ext) {
+  return `ReleaseLens_${(name || "analysis").replace(new RegExp("[^a-z0-9]","gi"), "_").slice(0, 40)}_${new Date().toISOString().slice(0, 10)}.${ext}`;
+}
+
+// Generate a rich plain-text report. llm is the run's { provider, model, scopeModels }.
+export function exportToTxt(scopeList, resultMap, docName, totalFindings, docTitle = {}, delta = null, llm = null) {
+  const { title: sourceLabel, subtitle: sourceSubtitle, revision: sourceRevision, date: dateStr } = reportMeta(docName, docTitle);
+  const line = (char, len = 72) => char.repeat(len);
+
+  const lines = [
+    line("="),
+    "  RELEASE INTELLIGENCE REPORT",
+    `  ${sourceLabel}`,
+    ...(sourceSubtitle ? [`  ${sourceSubtitle}`] : []),
+    ...(sourceRevision ? [`  Revision: ${sourceRevision}`] : []),
+    line("="),
+    `  Generated : ${dateStr}`,
+    `  Findings  : ${totalFindings} across ${scopeList.length} scope modules`,
+    `  Engine    : ${describeModels(llm, scopeList)}`,
+    line("="),
+    "",
+    "EXECUTIVE SUMMARY",
+    line("-"),
+    `This report contains AI-extracted findings from "${sourceLabel}".`,
+    `${scopeList.length} analysis modules were run, yielding ${totalFindings} total findings.`,
+    "",
+    "SCOPE OVERVIEW",
+    line("-"),
+    ...scopeList.map(s => {
+      const count = (resultMap[s.id] || []).length;
+      const pad = " ".repeat(Math.max(1, 36 - s.label.length));
+      return `  ${s.icon}  ${s.label}${pad}${count} finding${count !== 1 ? "s" : ""}`;
+    }),
+    "",
+    ...(delta ? [
+      "DELTA SUMMARY",
+      line("-"),
+      `  Previous version : ${delta.baseName}`,
+      `  New version      : ${delta.targetName}`,
+      ...CHANGE_TYPES.map(ct => {
+        const pad = " ".repeat(Math.max(1, 10 - ct.label.length));
+        return `  ${ct.icon}  ${ct.label}${pad}${delta.counts[ct.id]} diff sections · ${countByChange(scopeList, resultMap)[ct.id]} findings`;
+      }),
+      "",
+    ] : []),
+    line("="),
+    "",
+    ...scopeList.flatMap(scope => {
+      const bullets = resultMap[scope.id] || [];
+      return [
+        "",
+        line("─"),
+        `${scope.icon}  ${scope.label.toUpperCase()}`,
+        line("─"),
+        bullets.length === 0
+          ? "  No findings identified for this scope."
+          : "",
+        ...bullets.map((b, i) => [
+          `  [${String(i + 1).padStart(2, "0")}]  ${b.change ? `[${b.change.toUpperCase()}] ` : ""}${findingSummary(b)}`,
+          ...(findingMeta(b) ? [`        ${findingMeta(b)}`] : []),
+          ...(crossRefText(b) ? [`        ${crossRefText(b)}`] : []),
+          ...(formatSource(b) ? [`        Source: ${formatSource(b)}`] : []),
+          "",
+        ]).flat(),
+      ];
+    }),
+    "",
+    line("="),
+    "  END OF REPORT",
+    line("="),
+  ];
+
+  return { data: lines.join("\n"), fileName: exportFileName(docName, "txt") };
+}
+
+// ── Markdown export (wikis, GitHub) ───────────────────────────────────────
+// Same sections and table columns as the Word export, as GitHub-flavoured Markdown.
+
+const mdText = t => String(t ?? "").replace(new RegExp("([\\\\`*_<\\[\\]|])", "g"), "\\$1").replace(new RegExp("\\s*\\n\\s*", "g"), " ").trim();
+
+function mdTable(columns, rows) {
+  return [
+    `| ${columns.map(c => mdText(c.label)).join(" | ")} |`,
+    `|${columns.map(() => " --- ").join("|")}|`,
+    ...rows.map(r => `| ${r.map(cell => mdText(cell) || "—").join(" | ")} |`),
+  ];
+}
+
+function scopeMarkdown(scope, bullets) {
+  const section = scopeSection(scope, bullets);
+  const lines = [`## ${scope.icon ? `${scope.icon} ` : ""}${mdText(section.heading)}`, "", mdText(section.intro), ""];
+  if (section.type === "headed") {
+    section.items.forEach(item => {
+      lines.push(`### ${mdText(item.title)}`, "", mdText(item.body), "");
+      if (item.source) lines.push(`*Source: ${mdText(item.source)}*`, "");
+    });
+  } else if (section.type === "table") {
+    lines.push(...mdTable(section.columns, section.rows), "");
+  } else if (section.type === "bullets") {
+    lines.push(...section.items.map(text => `- ${mdText(text)}`), "");
+  }
+  return lines;
+}
+
+export function exportToMarkdown(scopeList, resultMap, docName, totalFindings, docTitle = {}, delta = null) {
+  const meta = reportMeta(docName, docTitle);
+  const lines = [
+    `# ${mdText(meta.title)}`,
+    "",
+    `**${mdText(meta.subtitle)}**`,
+    "",
+    ...(meta.revision ? [`Revision: ${mdText(meta.revision)}  `] : []),
+    `Generated: ${meta.date}  `,
+    `Findings: ${totalFindings} across ${scopeList.length} scope modules`,
+    "",
+    mdTable([{ label: "Scope" }, { label: "Findings" }], scopeList.map(s => [`${s.icon} ${s.label}`, String((resultMap[s.id] || []).length)])).join("\n"),
+    "",
+  ];
+  if (delta) {
+    const section = deltaSection(scopeList, resultMap, delta);
+    lines.push(`## ${section.heading}`, "", mdText(section.intro), "", ...mdTable(section.columns, section.rows), "");
+    section.groups.forEach(g => lines.push(`### ${g.heading}`, "", ...g.items.map(text => `- ${mdText(text)}`), ""));
+  }
+  scopeList.forEach(scope => lines.push(...scopeMarkdown(scope, resultMap[scope.id] || [])));
+  lines.push("---", "", `*Generated by ReleaseLens ${APP_VERSION}*`, "");
+  return { data: lines.join("\n"), fileName: exportFileName(docName, "md") };
+}
+
+// ── HTML export (single self-contained file) ──────────────────────────────
+// Title block, table of contents and one colour-coded section per scope.
+// All styles are inline in the file, so it can be mailed or uploaded as-is.
+
+const htmlEsc = t => String(t ?? "").replace(new RegExp("[&<>\"']", "g"), c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;", "'": "&#39;" })[c]);
+const htmlColor = c => (new RegExp("^#[0-9a-f]{6}$", "i").test(c || "") ? c : "#F59E0B");
+const htmlAnchor = id => `scope-${String(id).replace(new RegExp("[^a-z0-9_-]", "gi"), "_")}`;
+
+const REPORT_CSS = `
+body{margin:0;background:#f5f7fa;color:#1f2937;font:15px/1.6 -apple-system,"Segoe UI",Roboto,Helvetica,Arial,sans-serif}
+main{max-width:960px;margin:0 auto;padding:40px 24px 64px}
+.cover{background:#0b1220;color:#e8edf5;border-radius:12px;padding:32px 36px;margin-bottom:28px}
+.cover .kicker{font:600 11px/1 monospace;letter-spacing:.14em;color:#00d4ff;text-transform:uppercase}
+.cover h1{margin:12px 0 6px;font-size:30px;line-height:1.2}
+.cover .subtitle{margin:0;font-size:17px;color:rgba(232,237,245,.75)}
+.cover .meta{margin:18px 0 0;font:12px/1.6 monospace;color:rgba(232,237,245,.55)}
+nav,section{background:#fff;border:1px solid #e5e7eb;border-radius:12px;padding:24px 28px;margin-bottom:20px}
+nav h2{margin:0 0 12px;font-size:14px;letter-spacing:.08em;text-transform:uppercase;color:#6b7280}
+nav ol{margin:0;padding-left:20px}
+nav li{margin:4px 0}
+nav a{color:#1f2937;text-decoration:none;border-left:4px solid var(--c,#9ca3af);padding-left:8px}
+nav a:hover{text-decoration:underline}
+nav .count{color:#6b7280;font-size:13px}
+section{border-left:6px solid var(--c,#9ca3af)}
+section h2{margin:0 0 8px;font-size:21px;color:var(--c,#1f2937)}
+section h3{margin:20px 0 4px;font-size:16px}
+.intro{color:#4b5563;margin:0 0 16px}
+.source{color:#6b7280;font-size:13px;margin-top:2px}
+table{width:100%;border-collapse:collapse;font-size:14px}
+th{background:var(--c,#0073e6);color:#fff;text-align:left;padding:8px 10px;font-weight:600}
+td{border-bottom:1px solid #e5e7eb;padding:8px 10px;vertical-align:top}
+tr:nth-child(even) td{background:#f9fafb}
+ul{margin:0;padding-left:20px}
+li{margin:6px 0}
+footer{text-align:center;color:#9ca3af;font-size:12px}
+@media print{body{background:#fff}nav{break-after:page}section{break-inside:avoid-page}}`;
+
+function htmlTable(columns, rows) {
+  return `<table><thead><tr>${columns.map(c => `<th>${htmlEsc(c.label)}</th>`).join("")}</tr></thead>` +
+    `<tbody>${rows.map(r => `<tr>${r.map(cell => `<td>${htmlEsc(cell || "—")}</td>`).join("")}</tr>`).join("")}</tbody></table>`;
+}
+
+function scopeHtml(scope, bullets) {
+  const section = scopeSection(scope, bullets);
+  let body = "";
+  if (section.type === "headed") {
+    body = section.items.map(item => `<h3>${htmlEsc(item.title)}</h3><p>${htmlEsc(item.body)}</p>` +
+      (item.source ? `<p class="source">Source: ${htmlEsc(item.source)}</p>` : "")).join("");
+  } else if (section.type === "table") {
+    body = htmlTable(section.columns, section.rows);
+  } else if (section.type === "bullets") {
+    body = `<ul>${section.items.map(text => `<li>${htmlEsc(text)}</li>`).join("")}</ul>`;
+  }
+  return `<section id="${htmlAnchor(scope.id)}" style="--c:${htmlColor(scope.color)}">` +
+    `<h2>${scope.icon ? `${htmlEsc(scope.icon)} ` : ""}${htmlEsc(section.heading)}</h2><p class="intro">${htmlEsc(section.intro)}</p>${body}</section>`;
+}
+
+export function exportToHtml(scopeList, resultMap, docName, totalFindings, docTitle = {}, delta = null) {
+  const meta = reportMeta(docName, docTitle);
+  const toc = [
+    ...(delta ? [`<li><a href="#delta">Delta Summary</a></li>`] : []),
+    ...scopeList.map(s => {
+      const count = (resultMap[s.id] || []).length;
+      return `<li><a href="#${htmlAnchor(s.id)}" style="--c:${htmlColor(s.color)}">${htmlEsc(s.icon)} ${htmlEsc(s.label)}</a> <span class="count">· ${count} finding${count !== 1 ? "s" : ""}</span></li>`;
+    }),
+  ].join("");
+  let deltaHtml = "";
+  if (delta) {
+    const section = deltaSection(scopeList, resultMap, delta);
+    deltaHtml = `<section id="delta"><h2>${section.heading}</h2><p class="intro">${htmlEsc(section.intro)}</p>${htmlTable(section.columns, section.rows)}` +
+      section.groups.map(g => `<h3>${g.heading}</h3><ul>${g.items.map(text => `<li>${htmlEsc(text)}</li>`).join("")}</ul>`).join("") + `</section>`;
+  }
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${htmlEsc(meta.title)} — ${htmlEsc(meta.subtitle)}</title>
+<style>${REPORT_CSS}
+</style>
+</head>
+<body>
+<main>
+<header class="cover">
+<div class="kicker">Release Intelligence Report</div>
+<h1>${htmlEsc(meta.title)}</h1>
+<p class="subtitle">${htmlEsc(meta.subtitle)}</p>
+<p class="meta">${meta.revision ? `Revision: ${htmlEsc(meta.revision)} · ` : ""}Generated ${htmlEsc(meta.date)} · ${totalFindings} findings across ${scopeList.length} scope modules</p>
+</header>
+<nav><h2>Contents</h2><ol>${toc}</ol></nav>
+${deltaHtml}
+${scopeList.map(scope => scopeHtml(scope, resultMap[scope.id] || [])).join("\n")}
+<footer>Generated by ReleaseLens ${APP_VERSION}</footer>
+</main>
+</body>
+</html>
+`;
+  return { data: html, fileName: exportFileName(docName, "html") };
+}
+
+// ── Spreadsheet export (XLSX, CSV) ────────────────────────────────────────
+// Tracking sheets for release managers: one sheet per scope with the Word
+// table's columns, plus Owner / Status / Due to fill in. The workbook is
+// written as SpreadsheetML strings with JSZip, like the Word export.
+
+const TRACKING_COLUMNS = [{ label: "Owner", width: 18 }, { label: "Status", width: 14 }, { label: "Due", width: 12 }];
+
+// Columns ({ label, width } in characters) and rows of a scope's tracking sheet.
+// Table layouts keep the Word columns; headed and bullet layouts get the same
+// split as the other tables (name, status or severity, detail, source).
+function scopeSheet(scope, bullets) {
+  const section = scopeSection(scope, bullets.length ? bullets : [normaliseFinding({})]);
+  const pages = f => formatPages(f.pages, f.unit) || "—";
+  const details = f => [f.detail, crossRefText(f)].filter(Boolean).join(" ");
+  let columns, rows;
+  if (section.type === "table") {
+    columns = section.columns.map(c => ({ label: c.label, width: Math.max(10, Math.round(c.w / 90)) }));
+    rows = section.rows;
+  } else if (section.type === "headed") {
+    columns = [{ label: "Feature", width: 32 }, { label: "Status", width: 14 }, { label: "Details", width: 60 }, { label: "Source", width: 12 }];
+    rows = bullets.map(f => [f.title, f.status || "—", details(f), pages(f)]);
+  } else {
+    columns = [{ label: "Finding", width: 32 }, { label: "Severity", width: 12 }, { label: "Details", width: 60 }, { label: "Source", width: 12 }];
+    rows = bullets.map(f => [f.title, f.severity || "—", details(f), pages(f)]);
+  }
+  // Deprecated already has a Status column (Removed, Replaced, …)
+  const tracking = TRACKING_COLUMNS.map(c => (c.label === "Status" && columns.some(col => col.label === "Status") ? { ...c, label: "Tracking Status" } : c));
+  return { columns: [...columns, ...tracking], rows: bullets.length ? rows.map(r => [...r, "", "", ""]) : [] };
+}
+
+// Excel sheet names: max 31 chars, no []:*?/\, unique within the workbook
+function sheetNames(scopeList) {
+  const used = new Set();
+  return scopeList.map(s => {
+    const base = s.label.replace(new RegExp("[\\[\\]:*?/\\\\]", "g"), " ").trim().slice(0, 31) || "Scope";
+    let name = base;
+    for (let n = 2; used.has(name.toLowerCase()); n++) name = `${base.slice(0, 31 - ` (${n})`.length)} (${n})`;
+    used.add(name.toLowerCase());
+    return name;
+  });
+}
+
+// 0 → A, 25 → Z, 26 → AA
+function columnName(i) {
+  let name = "";
+  for (let n = i + 1; n > 0; n = Math.floor((n - 1) / 26)) name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  return name;
+}
+
+const xlsxText = t => xmlEsc(String(t ?? "").replace(new RegExp("[\\u0000-\\u0008\\u000B\\u000C\\u000E-\\u001F]", "g"), ""));
+
+// Style 1: bold white header on the report blue; style 2: wrapped, top-aligned body
+const XLSX_STYLES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">` +
+  `<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><color rgb="FFFFFFFF"/><name val="Calibri"/></font></fonts>` +
+  `<fills count="3"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill>` +
+  `<fill><patternFill patternType="solid"><fgColor rgb="FF${DEFAULT_STYLES.fill}"/><bgColor indexed="64"/></patternFill></fill></fills>` +
+  `<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>` +
+  `<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>` +
+  `<cellXfs count="3"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>` +
+  `<xf numFmtId="0" fontId="1" fillId="2" borderId="0" xfId="0" applyFont="1" applyFill="1"/>` +
+  `<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0" applyAlignment="1"><alignment vertical="top" wrapText="1"/></xf></cellXfs>` +
+  `</styleSheet>`;
+
+function worksheetXml({ columns, rows }) {
+  const cell = (value, r, c, style) => `<c r="${columnName(c)}${r}" t="inlineStr" s="${style}"><is><t xml:space="preserve">${xlsxText(value)}</t></is></c>`;
+  const lastRef = `${columnName(columns.length - 1)}${rows.length + 1}`;
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">` +
+    `<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>` +
+    `<cols>${columns.map((c, i) => `<col min="${i + 1}" max="${i + 1}" width="${c.width}" customWidth="1"/>`).join("")}</cols>` +
+    `<sheetData>` +
+    `<row r="1">${columns.map((c, i) => cell(c.label, 1, i, 1)).join("")}</row>` +
+    rows.map((row, r) => `<row r="${r + 2}">${row.map((v, i) => cell(v, r + 2, i, 2)).join("")}</row>`).join("") +
+    `</sheetData><autoFilter ref="A1:${lastRef}"/></worksheet>`;
+}
+
+export async function exportToXlsx(scopeList, resultMap, docName, docTitle = {}) {
+  const JSZip = await loadJSZip();
+  const zip = new JSZip();
+  const add = (path, xml) => zip.file(path, xml, { createFolders: false }); // no directory entries
+  const names = sheetNames(scopeList);
+  const sheets = scopeList.map(s => scopeSheet(s, resultMap[s.id] || []));
+
+  add("[Content_Types].xml", `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+    `<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/>` +
+    `<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>` +
+    `<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>` +
+    sheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join("") +
+    `</Types>`);
+  add("_rels/.rels", `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+    `<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>`);
+  add("xl/workbook.xml", `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>` +
+    names.map((name, i) => `<sheet name="${xmlEsc(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join("") +
+    `</sheets><definedNames>` +
+    names.map((name, i) => `<definedName name="_xlnm._FilterDatabase" localSheetId="${i}" hidden="1">'${xmlEsc(name.replace(new RegExp("'", "g"), "''"))}'!$A$1:$${columnName(sheets[i].columns.length - 1)}$${sheets[i].rows.length + 1}</definedName>`).join("") +
+    `</definedNames></workbook>`);
+  add("xl/_rels/workbook.xml.rels", `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+    sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join("") +
+    `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/></Relationships>`);
+  add("xl/styles.xml", XLSX_STYLES);
+  sheets.forEach((sheet, i) => add(`xl/worksheets/sheet${i + 1}.xml`, worksheetXml(sheet)));
+
+  const data = await zip.generateAsync({ type: "uint8array", compression: "DEFLATE" });
+  return { data, fileName: exportFileName(docTitle?.title || docName, "xlsx") };
+}
+
+// Flat CSV: one row per finding across all scopes. Cells that a spreadsheet
+// would read as a formula (=, +, -, @) are prefixed with ' so they stay text.
+const csvCell = v => {
+  const text = String(v ?? "");
+  const safe = new RegExp("^[=+\\-@\\t\\r]").test(text) ? `'${text}` : text;
+  return new RegExp("[\",\\r\\n]").test(safe) ? `"${safe.replace(new RegExp("\"", "g"), "\"\"")}"` : safe;
+};
+
+export function exportToCsv(scopeList, resultMap, docName) {
+  const findings = scopeList.flatMap(s => (resultMap[s.id] || []).map(f => ({ scope: s, f })));
+  const compare = findings.some(({ f }) => f.change);
+  const header = ["Scope", "Priority", "Finding", "Details", "Status", "Component", "Replacement", "Source", "Quote", "Also In", ...(compare ? ["Change"] : [])];
+  const rows = findings.map(({ scope, f }) => [
+    scope.label, f.severity || "", f.title, f.detail, f.status || "", f.component, f.replacement,
+    formatPages(f.pages, f.unit), f.quote, (f.alsoIn || []).join("; "), ...(compare ? [f.change || ""] : []),
+  ]);
+  // BOM so Excel opens the file as UTF-8
+  const data = "﻿" + [header, ...rows].map(r => r.map(csvCell).join(",")).join("\r\n") + "\r\n";
+  return { data, fileName: exportFileName(docName, "csv") };
+}
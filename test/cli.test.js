@@ -0,0 +1,123 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+import JSZip from "jszip";
+
+// ─── release-lens CLI ─────────────────────────────────────────────────────────
+// Runs bin/release-lens.js as a child process with fixtures/anthropic-stub.js
+// preloaded, so Anthropic is never called.
+
+const CLI  = fileURLToPath(new URL("../bin/release-lens.js", import.meta.url));
+const STUB = new URL("./fixtures/anthropic-stub.js", import.meta.url).href;
+
+let dir, input;
+
+before(() => {
+  dir = mkdtempSync(join(tmpdir(), "release-lens-cli-"));
+  input = join(dir, "notes.txt");
+  writeFileSync(input, "Stub Platform 2.0 Release Notes\n\nThe installer now runs without network access using a bundled package cache.\n");
+});
+
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+function cli(args, env = {}) {
+  const { ANTHROPIC_API_KEY, ANTHROPIC_API_KEY_FILE, ...base } = process.env;
+  return spawnSync(process.execPath, ["--import", STUB, CLI, ...args], {
+    env: { ...base, ANTHROPIC_API_KEY: "sk-test", ...env },
+    encoding: "utf8",
+    timeout: 60000,
+  });
+}
+
+// ─── Exit codes ───────────────────────────────────────────────────────────────
+
+test("usage errors exit with 2", () => {
+  const out = join(dir, "usage");
+  assert.equal(cli(["-o", out]).status, 2, "no inputs");
+  assert.equal(cli(["-o", out, "-s", "not_a_scope", input]).status, 2, "unknown scope");
+  assert.equal(cli(["-o", out, "-f", "pdf", input]).status, 2, "unknown format");
+  assert.equal(cli(["--no-such-flag", input]).status, 2, "unknown option");
+
+  const noKey = cli(["-o", out, input], { ANTHROPIC_API_KEY: "" });
+  assert.equal(noKey.status, 2, "no API key");
+  assert.match(noKey.stderr, new RegExp("ANTHROPIC_API_KEY"));
+});
+
+test("an unreadable input exits with 3", () => {
+  const res = cli(["-o", join(dir, "input"), join(dir, "missing.txt")]);
+  assert.equal(res.status, 3);
+  assert.match(res.stderr, new RegExp("missing\\.txt"));
+
+  writeFileSync(join(dir, "notes.xyz"), "text");
+  assert.equal(cli(["-o", join(dir, "input"), join(dir, "notes.xyz")]).status, 3, "unsupported type");
+});
+
+test("an API failure exits with 1", () => {
+  const res = cli(["-o", join(dir, "api"), "-s", "new_features", input], { STUB_STATUS: "400" });
+  assert.equal(res.status, 1);
+  assert.match(res.stderr, new RegExp("Stubbed API error 400"));
+});
+
+// ─── Outputs ──────────────────────────────────────────────────────────────────
+
+test("a run writes .docx, .txt and .json reports and lists them on stdout", async () => {
+  const out = join(dir, "reports");
+  const res = cli(["-o", out, "-s", "new_features", input]);
+  assert.equal(res.status, 0, res.stderr);
+  const written = res.stdout.trim().split("\n");
+  assert.deepEqual(written, ["docx", "txt", "json"].map(ext => join(out, `notes.${ext}`)));
+
+  const run = JSON.parse(readFileSync(join(out, "notes.json"), "utf8"));
+  assert.equal(run.docTitle.title, "Stub Platform 2.0");
+  assert.equal(run.totalFindings, 1);
+  assert.equal(run.resultMap.new_features[0].title, "Offline installer");
+
+  const txt = readFileSync(join(out, "notes.txt"), "utf8");
+  assert.match(txt, new RegExp("Offline installer"));
+
+  const zip = await JSZip.loadAsync(readFileSync(join(out, "notes.docx")));
+  const xml = await zip.file("word/document.xml").async("string");
+  assert.match(xml, new RegExp("Offline installer"));
+  assert.match(xml, new RegExp("Stub Platform 2\\.0", "i"));
+});
+
+test("--format limits the reports written", () => {
+  const out = join(dir, "txt-only");
+  const res = cli(["-o", out, "-s", "new_features", "-f", "txt", input]);
+  assert.equal(res.status, 0, res.stderr);
+  assert.deepEqual(res.stdout.trim().split("\n"), [join(out, "notes.txt")]);
+});
+
+test("--format md,html writes the Markdown and HTML reports", () => {
+  const out = join(dir, "web");
+  const res = cli(["-o", out, "-s", "new_features", "-f", "md,html", input]);
+  assert.equal(res.status, 0, res.stderr);
+  assert.deepEqual(res.stdout.trim().split("\n"), [join(out, "notes.md"), join(out, "notes.html")]);
+  assert.match(readFileSync(join(out, "notes.md"), "utf8"), new RegExp("^### Offline installer \\(New\\)$", "m"));
+  assert.match(readFileSync(join(out, "notes.html"), "utf8"), new RegExp("<h3>Offline installer \\(New\\)</h3>"));
+});
+
+test("--format xlsx,csv writes the tracking workbook and CSV", async () => {
+  const out = join(dir, "sheets");
+  const res = cli(["-o", out, "-s", "new_features", "-f", "xlsx,csv", input]);
+  assert.equal(res.status, 0, res.stderr);
+  assert.deepEqual(res.stdout.trim().split("\n"), [join(out, "notes.xlsx"), join(out, "notes.csv")]);
+  const zip = await JSZip.loadAsync(readFileSync(join(out, "notes.xlsx")));
+  assert.match(await zip.file("xl/worksheets/sheet1.xml").async("string"), new RegExp("Offline installer"));
+  assert.match(readFileSync(join(out, "notes.csv"), "utf8"), new RegExp("^New & Changed Features,,Offline installer,", "m"));
+});
+
+test("a run logs its estimate and real usage, and keeps the usage in the JSON report", () => {
+  const out = join(dir, "usage");
+  const res = cli(["-o", out, "-s", "new_features", "-f", "json", input]);
+  assert.equal(res.status, 0, res.stderr);
+  assert.match(res.stderr, new RegExp("\\[notes\\.txt\\] estimate: .* input · ~.* output tokens · <?\\$.* · ~\\d+s"));
+  assert.match(res.stderr, new RegExp("\\[notes\\.txt\\] used: 2\\.4k input · 160 output tokens · <\\$0\\.01"));
+  const { usage } = JSON.parse(readFileSync(join(out, "notes.json"), "utf8"));
+  assert.deepEqual([usage._run.calls, usage._run.input, usage._run.output], [1, 900, 40]);
+  assert.deepEqual([usage.new_features.calls, usage.new_features.input, usage.new_features.output], [1, 1500, 120]);
+});
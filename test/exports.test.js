@@ -0,0 +1,129 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import JSZip from "jszip";
+import { ANALYSIS_SCOPES, exportToCsv, exportToHtml, exportToMarkdown, exportToXlsx } from "../src/core.js";
+
+// ─── Sample run ───────────────────────────────────────────────────────────────
+
+const finding = (title, extra = {}) => ({
+  title, detail: `${title} is described in one complete sentence here.`, severity: null, status: null, change: null,
+  replacement: "", component: "", pages: [3], quote: "", verified: false, ...extra,
+});
+
+const SCOPES = [
+  ...ANALYSIS_SCOPES.filter(s => ["new_features", "deprecated"].includes(s.id)),
+  { id: "custom 1", label: "Licensing", icon: "◈", color: "red;background:url(x)" },
+];
+const RESULTS = {
+  new_features: [finding("Offline installer", { status: "New", quote: "runs offline" })],
+  deprecated:   [finding("Legacy | pipe <API>", { status: "Removed", replacement: "v2 API" })],
+  "custom 1":   [],
+};
+const DOC_TITLE = { title: "Platform 2.0", subtitle: "Release Notes", revision: "A01" };
+const args = [SCOPES, RESULTS, "guide.pdf", 2, DOC_TITLE];
+
+// ─── Markdown ─────────────────────────────────────────────────────────────────
+
+test("Markdown export has the title block, a scope summary and one section per scope", () => {
+  const { data, fileName } = exportToMarkdown(...args);
+  assert.match(fileName, new RegExp("^ReleaseLens_guide_pdf_\\d{4}-\\d{2}-\\d{2}\\.md$"));
+  assert.match(data, new RegExp("^# Platform 2\\.0\\n\\n\\*\\*Release Notes\\*\\*", "m"));
+  assert.match(data, new RegExp("^Revision: A01", "m"));
+  assert.match(data, new RegExp("^\\| ✦ New & Changed Features \\| 1 \\|$", "m"));
+  assert.match(data, new RegExp("^### Offline installer \\(New\\)$", "m"));
+  assert.match(data, new RegExp("No licensing identified"));
+});
+
+test("Markdown export escapes table and inline syntax in findings", () => {
+  const { data } = exportToMarkdown(...args);
+  const row = data.split("\n").find(l => l.includes("Legacy"));
+  assert.equal(row.split(new RegExp("(?<!\\\\)\\|")).length, 6, row); // four cells, none split by the finding's own pipe
+  assert.match(row, new RegExp("Legacy \\\\\\| pipe \\\\<API>"));
+  assert.match(row, new RegExp("Replaced by: v2 API\\."));
+});
+
+// ─── HTML ─────────────────────────────────────────────────────────────────────
+
+test("HTML export is one self-contained page with a linked table of contents", () => {
+  const { data, fileName } = exportToHtml(...args);
+  assert.match(fileName, new RegExp("\\.html$"));
+  assert.match(data, new RegExp("^<!DOCTYPE html>"));
+  assert.doesNotMatch(data, new RegExp("<script|<link|src="));
+  const anchors = [...data.matchAll(new RegExp("href=\"#([^\"]+)\"", "g"))].map(m => m[1]);
+  assert.deepEqual(anchors, ["scope-new_features", "scope-deprecated", "scope-custom_1"]);
+  anchors.forEach(id => assert.match(data, new RegExp(`<section id="${id}"`)));
+  assert.match(data, new RegExp("· 1 finding<"));
+  assert.match(data, new RegExp("· 0 findings<"));
+});
+
+test("HTML export escapes finding text and ignores colours that are not hex", () => {
+  const { data } = exportToHtml(...args);
+  assert.match(data, new RegExp("Legacy \\| pipe &lt;API&gt;"));
+  assert.doesNotMatch(data, new RegExp("<API>|url\\(x\\)"));
+  assert.match(data, new RegExp("<section id=\"scope-custom_1\" style=\"--c:#F59E0B\">"));
+});
+
+// ─── Excel workbook ───────────────────────────────────────────────────────────
+
+const cellTexts = xml => [...xml.matchAll(new RegExp("<t xml:space=\"preserve\">([^<]*)</t>", "g"))].map(m => m[1]);
+
+test("XLSX export has one frozen, filtered sheet per scope with tracking columns", async () => {
+  const { data, fileName } = await exportToXlsx(SCOPES, RESULTS, "guide.pdf", DOC_TITLE);
+  assert.match(fileName, new RegExp("^ReleaseLens_Platform_2_0_.*\\.xlsx$"));
+  const zip = await JSZip.loadAsync(data);
+  const workbook = await zip.file("xl/workbook.xml").async("string");
+  assert.deepEqual([...workbook.matchAll(new RegExp("<sheet name=\"([^\"]+)\"", "g"))].map(m => m[1]),
+    ["New &amp; Changed Features", "Deprecated Features", "Licensing"]);
+
+  const features = await zip.file("xl/worksheets/sheet1.xml").async("string");
+  assert.deepEqual(cellTexts(features), ["Feature", "Status", "Details", "Source", "Owner", "Tracking Status", "Due",
+    "Offline installer", "New", RESULTS.new_features[0].detail, "p. 3", "", "", ""]);
+  assert.match(features, new RegExp("state=\"frozen\""));
+  assert.match(features, new RegExp("<autoFilter ref=\"A1:G2\"/>"));
+
+  // Table layouts keep the Word columns
+  const deprecated = await zip.file("xl/worksheets/sheet2.xml").async("string");
+  assert.deepEqual(cellTexts(deprecated).slice(0, 7), ["Item", "Status", "Notes", "Source", "Owner", "Tracking Status", "Due"]);
+  assert.match(deprecated, new RegExp("Legacy \\| pipe &lt;API&gt;"));
+
+  // A scope without findings still gets its header row; with no Status of its own, the tracking one keeps its name
+  const empty = await zip.file("xl/worksheets/sheet3.xml").async("string");
+  assert.deepEqual(cellTexts(empty), ["Finding", "Details", "Severity", "Source", "Owner", "Status", "Due"]);
+});
+
+test("XLSX sheet names are cleaned, shortened and kept unique", async () => {
+  const label = "Security: [Critical] Fixes / Patches and Advisories";
+  const scopes = [1, 2].map(n => ({ id: `s${n}`, label, icon: "◈", color: "#F59E0B" }));
+  const zip = await JSZip.loadAsync((await exportToXlsx(scopes, {}, "guide.pdf")).data);
+  const names = [...(await zip.file("xl/workbook.xml").async("string")).matchAll(new RegExp("<sheet name=\"([^\"]+)\"", "g"))].map(m => m[1]);
+  assert.deepEqual(names, ["Security   Critical  Fixes   Pa", "Security   Critical  Fixes  (2)"]);
+  names.forEach(n => assert.ok(n.length <= 31, n));
+});
+
+// ─── CSV ──────────────────────────────────────────────────────────────────────
+
+test("CSV export is one UTF-8 row per finding across scopes", () => {
+  const { data, fileName } = exportToCsv(SCOPES, RESULTS, "guide.pdf");
+  assert.match(fileName, new RegExp("\\.csv$"));
+  assert.ok(data.startsWith("\uFEFFScope,Priority,Finding,Details,Status,Component,Replacement,Source,Quote,Also In\r\n"));
+  const rows = data.slice(1).trim().split("\r\n");
+  assert.equal(rows.length, 3);
+  assert.ok(rows[1].startsWith("New & Changed Features,,Offline installer,"));
+  assert.ok(rows[2].startsWith("Deprecated Features,,Legacy | pipe <API>,"));
+});
+
+test("CSV export lists the other scopes a consolidated finding belongs to", () => {
+  const results = { new_features: [finding("Offline installer", { status: "New", alsoIn: ["Deployment Changes", "Security"] })] };
+  const row = exportToCsv(SCOPES.slice(0, 1), results, "guide.pdf").data.trim().split("\r\n")[1];
+  assert.ok(row.endsWith(",Deployment Changes; Security"), row);
+});
+
+test("CSV export quotes separators and neutralises formulas", () => {
+  const results = { new_features: [finding("=HYPERLINK(\"x\")", { status: "New", component: "a,b", quote: "-1 line\nbreak", change: "added" })] };
+  const { data } = exportToCsv(SCOPES.slice(0, 1), results, "guide.pdf");
+  const [header, row] = data.slice(1).trim().split("\r\n");
+  assert.ok(header.endsWith(",Quote,Also In,Change"));
+  assert.ok(row.includes(`,"'=HYPERLINK(""x"")",`), row);
+  assert.ok(row.includes(',"a,b",'), row);
+  assert.ok(row.endsWith(`,"'-1 line\nbreak",,added`), row);
+});
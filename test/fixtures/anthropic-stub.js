@@ -0,0 +1,40 @@
+// Loaded with `node --import` by cli.test.js: answers the CLI's Anthropic
+// calls in-process, so the CLI runs end to end without a network or a key.
+// STUB_STATUS=<code> makes every call fail with that HTTP status.
+
+const realFetch = globalThis.fetch;
+
+const TITLE   = { title: "Stub Platform 2.0", subtitle: "Release Notes", revision: "A01 | March 2026" };
+const FINDING = {
+  title: "Offline installer",
+  detail: "The installer now runs without network access by using a bundled package cache on the install media.",
+  status: "New",
+  pages: [1],
+  quote: "runs without network access",
+  replacement: "",
+  component: "Installer",
+};
+
+const sse = events => events.map(([type, data]) => `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`).join("");
+
+globalThis.fetch = async (url, init = {}) => {
+  if (!String(url).startsWith("https://api.anthropic.com/")) return realFetch(url, init);
+
+  const status = Number(process.env.STUB_STATUS) || 200;
+  if (status !== 200) {
+    return Response.json({ type: "error", error: { type: "invalid_request_error", message: `Stubbed API error ${status}` } }, { status });
+  }
+
+  const body = JSON.parse(init.body);
+  if (!body.stream) {
+    return Response.json({ content: [{ type: "text", text: JSON.stringify(TITLE) }], stop_reason: "end_turn", usage: { input_tokens: 900, output_tokens: 40 } });
+  }
+  const tool = { type: "tool_use", id: "toolu_stub", name: body.tools[0].name, input: {} };
+  return new Response(sse([
+    ["message_start", { message: { id: "msg_stub", role: "assistant", content: [], usage: { input_tokens: 1500, output_tokens: 1 } } }],
+    ["content_block_start", { index: 0, content_block: tool }],
+    ["content_block_delta", { index: 0, delta: { type: "input_json_delta", partial_json: JSON.stringify({ findings: [FINDING] }) } }],
+    ["content_block_stop", { index: 0 }],
+    ["message_delta", { delta: { stop_reason: "tool_use" }, usage: { output_tokens: 120 } }],
+  ]), { headers: { "Content-Type": "text/event-stream" } });
+};
@@ -0,0 +1,79 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { once } from "node:events";
+import { createApiMiddleware, isPrivateAddress } from "../server/proxy.js";
+
+// ─── Document fetcher address check ───────────────────────────────────────────
+
+test("isPrivateAddress refuses loopback, private and link-local IPv4", () => {
+  ["127.0.0.1", "10.1.2.3", "172.16.0.1", "172.31.255.255", "192.168.1.1", "169.254.169.254", "100.64.0.1", "0.0.0.0"]
+    .forEach(ip => assert.equal(isPrivateAddress(ip), true, ip));
+});
+
+test("isPrivateAddress refuses private IPv6, including IPv4-mapped forms", () => {
+  ["::1", "::", "fd00::1", "fe80::1", "::ffff:127.0.0.1", "::ffff:7f00:1", "::ffff:a00:1", "::7f00:1"]
+    .forEach(ip => assert.equal(isPrivateAddress(ip), true, ip));
+});
+
+test("isPrivateAddress refuses benchmarking, multicast and reserved IPv4", () => {
+  ["198.18.0.1", "198.19.255.255", "224.0.0.1", "239.255.255.250", "240.0.0.1", "255.255.255.255"]
+    .forEach(ip => assert.equal(isPrivateAddress(ip), true, ip));
+});
+
+test("isPrivateAddress refuses NAT64, 6to4, site-local and multicast IPv6", () => {
+  ["64:ff9b::7f00:1", "64:ff9b::808:808", "2002:7f00:1::1", "2002:c0a8:101::1", "fec0::1", "feff::1", "ff02::1", "ff05::2"]
+    .forEach(ip => assert.equal(isPrivateAddress(ip), true, ip));
+});
+
+test("isPrivateAddress allows public addresses", () => {
+  ["8.8.8.8", "172.32.0.1", "100.128.0.1", "198.20.0.1", "223.255.255.255", "2606:4700::1111", "::ffff:808:808", "2001:db9::1", "64:ff9c::1"]
+    .forEach(ip => assert.equal(isPrivateAddress(ip), false, ip));
+});
+
+test("URL hostnames of mapped literals are refused", () => {
+  const host = new URL("http://[::ffff:127.0.0.1]:8080/").hostname.replace(new RegExp("^\\[|\\]$", "g"), "");
+  assert.equal(isPrivateAddress(host), true);
+});
+
+// ─── /api/fetch ───────────────────────────────────────────────────────────────
+
+// A local page to point the fetcher at, and the /api middleware in front of it
+async function withServers(fn) {
+  const target = createServer((req, res) => { res.writeHead(200, { "Content-Type": "text/html" }); res.end("<h1>Notes</h1>"); });
+  const api = createApiMiddleware();
+  const proxy = createServer((req, res) => api(req, res, () => res.end()));
+  target.listen(0, "127.0.0.1");
+  proxy.listen(0, "127.0.0.1");
+  await Promise.all([once(target, "listening"), once(proxy, "listening")]);
+  const fetchVia = url => fetch(`http://127.0.0.1:${proxy.address().port}/api/fetch?url=${encodeURIComponent(url)}`);
+  try {
+    await fn(target.address().port, fetchVia);
+  } finally {
+    target.close();
+    proxy.close();
+  }
+}
+
+test("/api/fetch refuses loopback targets, by literal, mapped literal or hostname", async () => {
+  await withServers(async (port, fetchVia) => {
+    for (const host of ["127.0.0.1", "[::ffff:127.0.0.1]", "localhost"]) {
+      const res = await fetchVia(`http://${host}:${port}/notes.html`);
+      assert.equal(res.status, 403, host);
+      assert.match((await res.json()).error.message, new RegExp("private network address"));
+    }
+  });
+});
+
+test("/api/fetch reaches private targets when FETCH_ALLOW_PRIVATE=1", async () => {
+  process.env.FETCH_ALLOW_PRIVATE = "1";
+  try {
+    await withServers(async (port, fetchVia) => {
+      const res = await fetchVia(`http://127.0.0.1:${port}/notes.html`);
+      assert.equal(res.status, 200);
+      assert.equal(await res.text(), "<h1>Notes</h1>");
+    });
+  } finally {
+    delete process.env.FETCH_ALLOW_PRIVATE;
+  }
+});
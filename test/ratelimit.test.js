@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createRateLimiter } from "../src/core.js";
+
+// ─── Token-bucket rate limiter ────────────────────────────────────────────────
+
+const cost = (input, output = 0) => ({ requests: 1, input, output });
+
+// acquire() that is aborted at its first wait; resolves with that wait (or null if it never waited)
+async function firstWait(limiter, c) {
+  const controller = new AbortController();
+  let wait = null;
+  try {
+    await limiter.acquire(c, controller.signal, (secs, budget) => { wait = { secs, budget }; controller.abort(); });
+  } catch (e) {
+    assert.equal(e.name, "AbortError");
+  }
+  return wait;
+}
+
+test("requests within budget go straight through and are charged", async () => {
+  const limiter = createRateLimiter({ requests: 10, input: 1000, output: 1000 });
+  assert.equal(await firstWait(limiter, cost(300, 100)), null);
+  const b = limiter.budget();
+  assert.equal(b.requests.remaining, 9);
+  assert.equal(b.input.remaining, 700);
+  assert.equal(b.output.remaining, 900);
+});
+
+test("a request that does not fit waits for the bucket to refill", async () => {
+  const limiter = createRateLimiter({ requests: 10, input: 600, output: 1000 });
+  await limiter.acquire(cost(600));
+  const wait = await firstWait(limiter, cost(300));
+  // 300 tokens at 600 per minute
+  assert.ok(wait.secs >= 29 && wait.secs <= 30, String(wait.secs));
+  assert.equal(wait.budget.input.limit, 600);
+});
+
+test("a request larger than the whole limit still gets through once the bucket is full", async () => {
+  const limiter = createRateLimiter({ requests: 10, input: 600, output: 1000 });
+  assert.equal(await firstWait(limiter, cost(5000)), null);
+});
+
+test("settle adopts the server's limits, minus what is still in flight", async () => {
+  const limiter = createRateLimiter({ requests: 10, input: 1000, output: 1000 });
+  const first = cost(100), second = cost(200);
+  await limiter.acquire(first);
+  await limiter.acquire(second);
+  limiter.settle(first, new Headers({
+    "anthropic-ratelimit-input-tokens-limit": "40000",
+    "anthropic-ratelimit-input-tokens-remaining": "39000",
+    "anthropic-ratelimit-requests-limit": "50",
+    "anthropic-ratelimit-requests-remaining": "48",
+  }));
+  const b = limiter.budget();
+  assert.equal(b.input.limit, 40000);
+  assert.equal(b.input.remaining, 39000 - 200);
+  assert.equal(b.requests.limit, 50);
+  assert.equal(b.requests.remaining, 47);
+});
+
+test("retry-after and block() hold back every caller", async () => {
+  const limiter = createRateLimiter({ requests: 10, input: 1000, output: 1000 });
+  limiter.settle(cost(0), new Headers({ "retry-after": "7" }));
+  assert.equal((await firstWait(limiter, cost(1))).secs, 7);
+
+  const other = createRateLimiter({ requests: 10, input: 1000, output: 1000 });
+  other.block(15);
+  assert.equal((await firstWait(other, cost(1))).secs, 15);
+});
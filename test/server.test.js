@@ -0,0 +1,104 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { createServer, request } from "node:http";
+import { once } from "node:events";
+import { fileURLToPath } from "node:url";
+import { createApiMiddleware } from "../server/proxy.js";
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+async function listen(handler) {
+  const server = createServer(handler);
+  server.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  return server;
+}
+
+// Resolves with the response (status, headers, parsed body); a socket error
+// once the response has arrived is the server closing the connection
+function post(port, path, body) {
+  return new Promise((resolve, reject) => {
+    const req = request({ host: "127.0.0.1", port, path, method: "POST", headers: { "Content-Type": "application/json" } }, res => {
+      const chunks = [];
+      res.on("data", c => chunks.push(c));
+      res.on("end", () => resolve({ status: res.statusCode, headers: res.headers, body: JSON.parse(Buffer.concat(chunks).toString("utf8") || "null") }));
+    });
+    req.on("error", e => { if (!req.res) reject(e); });
+    req.end(body);
+  });
+}
+
+// ─── /api proxy ───────────────────────────────────────────────────────────────
+
+test("an oversized request body gets a 413 and a closed connection", async () => {
+  process.env.ANTHROPIC_API_KEY = "sk-test";
+  const api = createApiMiddleware();
+  const server = await listen((req, res) => api(req, res, () => res.end()));
+  try {
+    // One byte over: the whole upload is read before the 413, so closing the
+    // socket cannot reset the client while it is still writing
+    const res = await post(server.address().port, "/api/analyze", Buffer.alloc(5 * 1024 * 1024 + 1, " "));
+    assert.equal(res.status, 413);
+    assert.equal(res.headers.connection, "close");
+    assert.match(res.body.error.message, new RegExp("exceeds 5 MB"));
+  } finally {
+    server.close();
+  }
+});
+
+test("/api/tickets answers an oversized body with 413 too", async () => {
+  const api = createApiMiddleware();
+  const server = await listen((req, res) => api(req, res, () => res.end()));
+  try {
+    const res = await post(server.address().port, "/api/tickets", Buffer.alloc(5 * 1024 * 1024 + 1, " "));
+    assert.equal(res.status, 413);
+    assert.equal(res.headers.connection, "close");
+  } finally {
+    server.close();
+  }
+});
+
+test("/api/openai answers an oversized body with 413 instead of a 502", async () => {
+  process.env.OPENAI_BASE_URL = "http://127.0.0.1:9/v1";
+  const api = createApiMiddleware();
+  const server = await listen((req, res) => api(req, res, () => res.end()));
+  try {
+    const res = await post(server.address().port, "/api/openai/chat/completions", Buffer.alloc(5 * 1024 * 1024 + 1, " "));
+    assert.equal(res.status, 413);
+    assert.equal(res.headers.connection, "close");
+  } finally {
+    server.close();
+    delete process.env.OPENAI_BASE_URL;
+  }
+});
+
+test("a malformed JSON body is still reported as a 400", async () => {
+  process.env.ANTHROPIC_API_KEY = "sk-test";
+  const api = createApiMiddleware();
+  const server = await listen((req, res) => api(req, res, () => res.end()));
+  try {
+    const res = await post(server.address().port, "/api/analyze", "{not json");
+    assert.equal(res.status, 400);
+    assert.match(res.body.error.message, new RegExp("^Invalid request body"));
+  } finally {
+    server.close();
+  }
+});
+
+// ─── Production server ────────────────────────────────────────────────────────
+
+test("a malformed percent-escape in the path is answered with 400", async () => {
+  const port = 40000 + Math.floor(Math.random() * 20000);
+  const child = spawn(process.execPath, [fileURLToPath(new URL("../server/index.js", import.meta.url))], {
+    env: { ...process.env, HOST: "127.0.0.1", PORT: String(port) },
+    stdio: ["ignore", "pipe", "inherit"],
+  });
+  try {
+    await once(child.stdout, "data");
+    const res = await fetch(`http://127.0.0.1:${port}/%E0%A4%A`);
+    assert.equal(res.status, 400);
+  } finally {
+    child.kill();
+  }
+});
@@ -0,0 +1,104 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import JSZip from "jszip";
+import { DEFAULT_STYLES, exportWithTemplate, findPlaceholders, validateTemplate } from "../src/core.js";
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+const W = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"';
+const para = (...runs) => `<w:p>${runs.map(t => `<w:r><w:t xml:space="preserve">${t}</w:t></w:r>`).join("")}</w:p>`;
+const styled = (style, text) => `<w:p><w:pPr>${style}</w:pPr><w:r><w:t>${text}</w:t></w:r></w:p>`;
+const style = (id, name) => `<w:style w:type="paragraph" w:styleId="${id}"><w:name w:val="${name}"/></w:style>`;
+
+// A minimal .docx: body paragraphs, optional styles.xml and extra parts
+async function docx(body, { styles = null, parts = {} } = {}) {
+  const zip = new JSZip();
+  zip.file("[Content_Types].xml", `<?xml version="1.0"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"/>`);
+  zip.file("word/document.xml", `<w:document ${W}><w:body>${body}<w:sectPr/></w:body></w:document>`);
+  if (styles !== null) zip.file("word/styles.xml", `<w:styles ${W}>${styles}</w:styles>`);
+  Object.entries(parts).forEach(([path, xml]) => zip.file(path, xml));
+  return zip.generateAsync({ type: "uint8array" });
+}
+
+async function exportedPart(template, part = "word/document.xml", docTitle = { title: "Acme 4.2" }) {
+  const { data } = await exportWithTemplate(template, [], {}, "notes.pdf", docTitle, DEFAULT_STYLES);
+  return (await JSZip.loadAsync(data)).file(part).async("string");
+}
+
+const texts = xml => [...xml.matchAll(new RegExp("<w:t(?:\\s[^>]*)?>([^<]*)</w:t>", "g"))].map(m => m[1]).join("|");
+
+// ─── Placeholders ─────────────────────────────────────────────────────────────
+
+test("findPlaceholders sees tokens split over runs and whether they stand alone", () => {
+  const xml = para("{{ti", "tle}} for {{source}}") + para("{{", "summary}}");
+  assert.deepEqual(findPlaceholders(xml), [
+    { token: "title", alone: false },
+    { token: "source", alone: false },
+    { token: "summary", alone: true },
+  ]);
+});
+
+test("field tokens are filled even when Word split them over runs", async () => {
+  const xml = await exportedPart(await docx(para("Report: {{ti", "tle}}!") + para("{{findings}} findings")));
+  assert.match(texts(xml), new RegExp("Report: Acme 4\\.2\\|!"));
+  assert.match(texts(xml), new RegExp("0 findings"));
+  assert.doesNotMatch(xml, new RegExp("\\{\\{"));
+});
+
+test("tokens named like Object.prototype members are not fields", async () => {
+  const xml = await exportedPart(await docx(para("{{constructor}} {{toString}} {{title}}")));
+  assert.match(texts(xml), new RegExp("\\{\\{constructor\\}\\} \\{\\{toString\\}\\} Acme 4\\.2"));
+  assert.doesNotMatch(xml, new RegExp("native code"));
+});
+
+test("field tokens are filled in headers and footers", async () => {
+  const footer = `<w:ftr ${W}>${para("Source: {{source}}")}</w:ftr>`;
+  const xml = await exportedPart(await docx(para("Body"), { parts: { "word/footer1.xml": footer } }), "word/footer1.xml");
+  assert.match(texts(xml), new RegExp("Source: notes\\.pdf"));
+});
+
+// ─── Cover title ──────────────────────────────────────────────────────────────
+
+test("export and validation find the same Title paragraph", async () => {
+  const template = await docx(styled('<w:pStyle  w:val="Title" w:extra="1" />', "OLD TITLE") + para("Body"));
+  const xml = await exportedPart(template);
+  assert.match(texts(xml), new RegExp("^ACME 4\\.2"));
+  assert.doesNotMatch(xml, new RegExp("OLD TITLE"));
+  const report = await validateTemplate(template);
+  assert.deepEqual(report.title, { text: "OLD TITLE", replaced: true });
+});
+
+// ─── Template validation ──────────────────────────────────────────────────────
+
+test("validateTemplate rejects files the export cannot use", async () => {
+  assert.equal((await validateTemplate(new Uint8Array([1, 2, 3]))).ok, false);
+  const zip = new JSZip();
+  zip.file("readme.txt", "not word");
+  assert.equal((await validateTemplate(await zip.generateAsync({ type: "uint8array" }))).ok, false);
+});
+
+test("validateTemplate reports matched, default and missing styles", async () => {
+  const styles = style("Kop1", "heading 1") + style("Heading2", "Überschrift 2") + style("BodyText", "Body Text");
+  const report = await validateTemplate(await docx(para("Body"), { styles }));
+  const status = Object.fromEntries(report.roles.map(r => [r.role, r.status]));
+  assert.equal(status.h1, "found");
+  assert.equal(report.styles.h1, "Kop1");
+  assert.equal(status.h2, "default");
+  assert.equal(status.body, "found");
+  assert.equal(status.bullet, "missing");
+  assert.ok(report.missing.includes("bullet"));
+  assert.ok(report.warnings.some(w => w.includes("Bullet list")));
+});
+
+test("validateTemplate lists stripped parts and placeholder problems", async () => {
+  const template = await docx(para("{{bogus}}") + para("See {{summary}} below"), {
+    parts: {
+      "customXml/item1.xml": "<x/>",
+      "word/settings.xml": `<w:settings ${W}><w:attachedTemplate r:id="rId1"/></w:settings>`,
+    },
+  });
+  const report = await validateTemplate(template);
+  assert.ok(report.stripped.some(s => s.part === "customXml/item1.xml"));
+  assert.ok(report.stripped.some(s => s.part === "word/settings.xml"));
+  assert.deepEqual(report.placeholders.map(p => [p.token, p.kind, Boolean(p.problem)]), [["bogus", "unknown", true], ["summary", "section", true]]);
+});
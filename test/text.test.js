@@ -0,0 +1,78 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { diffDocuments, extractDocumentText, splitIntoChunks } from "../src/core.js";
+
+// ─── Chunking ─────────────────────────────────────────────────────────────────
+
+const pages = (n, size) => Array.from({ length: n }, (_, i) => `[Page ${i + 1}]\n${"x".repeat(size)}\n`).join("");
+
+test("splitIntoChunks keeps a short document whole", () => {
+  const chunks = splitIntoChunks("[Page 1]\nshort\n", 100);
+  assert.equal(chunks.length, 1);
+  assert.deepEqual([chunks[0].firstPage, chunks[0].lastPage], [1, 1]);
+});
+
+test("splitIntoChunks splits on page markers and reports page ranges", () => {
+  const chunks = splitIntoChunks(pages(6, 40), 120);
+  assert.ok(chunks.length > 1);
+  assert.ok(chunks.every(c => c.text.length <= 120));
+  assert.equal(chunks.map(c => c.text).join(""), pages(6, 40));
+  assert.equal(chunks[0].firstPage, 1);
+  assert.equal(chunks.at(-1).lastPage, 6);
+});
+
+test("splitIntoChunks cuts an oversized page and repeats its marker", () => {
+  const chunks = splitIntoChunks(pages(1, 250), 100);
+  assert.ok(chunks.length >= 3);
+  chunks.forEach(c => {
+    assert.ok(c.text.startsWith("[Page 1]\n"));
+    assert.ok(c.text.length <= 100);
+  });
+});
+
+test("splitIntoChunks falls back to paragraphs without markers", () => {
+  const text = Array.from({ length: 5 }, (_, i) => `Paragraph ${i} ${"y".repeat(30)}`).join("\n\n");
+  const chunks = splitIntoChunks(text, 90);
+  assert.ok(chunks.length > 1);
+  assert.deepEqual(chunks.map(c => c.firstPage), chunks.map(() => null));
+});
+
+// ─── Version comparison ───────────────────────────────────────────────────────
+
+test("diffDocuments finds added, changed and removed sentences with pages", () => {
+  const base   = "[Page 1]\nLogin uses passwords. Exports run nightly. Reports are emailed.\n[Page 2]\nThe v1 API is supported. Backups are daily.\n";
+  const target = "[Page 1]\nLogin uses passwords. Exports run hourly. Reports are emailed.\n[Page 2]\nBackups are daily.\n[Page 3]\nAudit logs are kept for a year.\n";
+  const { counts, hunks, text } = diffDocuments(base, target);
+  assert.deepEqual(counts, { added: 1, changed: 1, removed: 1 });
+  assert.equal(hunks.find(h => h.type === "added").page, 3);
+  assert.equal(hunks.find(h => h.type === "removed").basePage, 2);
+  assert.match(text, new RegExp("^\\+ Exports run hourly\\.$", "m"));
+  assert.match(text, new RegExp("^- The v1 API is supported\\.$", "m"));
+  assert.doesNotMatch(text, new RegExp("Login uses passwords"));
+});
+
+test("diffDocuments reports nothing for identical text", () => {
+  const doc = "[Page 1]\nNothing changed here. Still the same.\n";
+  assert.deepEqual(diffDocuments(doc, doc).counts, { added: 0, changed: 0, removed: 0 });
+});
+
+// ─── HTML input ───────────────────────────────────────────────────────────────
+
+const htmlText = async html => (await extractDocumentText({ name: "page.html", text: async () => html })).replace(new RegExp("\\s+", "g"), " ");
+
+test("HTML extraction strips navigation but keeps the content after it", async () => {
+  const text = await htmlText("<body><nav>Menu <nav>Sub</nav></nav><h1>Release 2.0</h1><p>Body text.</p></body>");
+  assert.doesNotMatch(text, new RegExp("Menu|Sub"));
+  assert.match(text, new RegExp("# Release 2\\.0"));
+  assert.match(text, new RegExp("Body text\\."));
+});
+
+test("HTML extraction keeps the page when a stripped element is never closed", async () => {
+  const text = await htmlText("<body><header>Logo<h1>Release 2.0</h1><p>Body text.</p></body>");
+  assert.match(text, new RegExp("Body text\\."));
+});
+
+test("HTML extraction leaves custom elements alone", async () => {
+  const text = await htmlText("<body><header-nav>Product docs</header-nav><p>Body text.</p></body>");
+  assert.match(text, new RegExp("Product docs"));
+});
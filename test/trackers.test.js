@@ -0,0 +1,143 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { once } from "node:events";
+import { fileURLToPath } from "node:url";
+import { createTickets, listTrackers } from "../server/trackers.js";
+
+// ─── Mock tracker ─────────────────────────────────────────────────────────────
+// The adapters run against server/mock-tracker.js on a spare port; one more
+// instance with MOCK_TRACKER_FAIL=2 rejects every second issue.
+
+const MOCK = fileURLToPath(new URL("../server/mock-tracker.js", import.meta.url));
+
+async function startMock(env = {}) {
+  const port = 40000 + Math.floor(Math.random() * 20000);
+  const child = spawn(process.execPath, [MOCK], {
+    env: { ...process.env, HOST: "127.0.0.1", MOCK_TRACKER_PORT: String(port), ...env },
+    stdio: ["ignore", "pipe", "inherit"],
+  });
+  await once(child.stdout, "data");
+  return { child, url: `http://127.0.0.1:${port}` };
+}
+
+let mock, failingMock;
+
+before(async () => {
+  mock = await startMock();
+  failingMock = await startMock({ MOCK_TRACKER_FAIL: "2" });
+});
+
+after(() => {
+  mock.child.kill();
+  failingMock.child.kill();
+});
+
+const jiraEnv = url => ({ JIRA_BASE_URL: `${url}/`, JIRA_EMAIL: "me@example.com", JIRA_API_TOKEN: "secret", JIRA_PROJECT_KEY: "REL" });
+const githubEnv = url => ({ GITHUB_API_URL: url, GITHUB_TOKEN: "secret", GITHUB_REPO: "acme/platform" });
+
+const ISSUES = [
+  { title: "Remove legacy auth", body: "The v1 login endpoint is removed.", labels: ["Breaking Changes", "release-2.0"], priority: "Highest" },
+  { title: "Update TLS ciphers", body: "Weak ciphers are disabled.", labels: ["security"], priority: "" },
+];
+
+async function received(url) {
+  const issues = await (await fetch(`${url}/issues`)).json();
+  await fetch(`${url}/issues`, { method: "DELETE" });
+  return issues;
+}
+
+// ─── Configuration ────────────────────────────────────────────────────────────
+
+test("listTrackers reports which trackers are configured and what is missing", () => {
+  const [jira, github] = listTrackers({ ...jiraEnv("http://jira"), GITHUB_TOKEN: "x" });
+  assert.deepEqual([jira.id, jira.configured, jira.missing], ["jira", true, []]);
+  assert.deepEqual([github.id, github.configured, github.missing], ["github", false, ["GITHUB_REPO"]]);
+  assert.equal(jira.defaultPriorities.Critical, "Highest");
+  assert.equal(github.defaultPriorities.Critical, "priority: critical");
+});
+
+test("creating issues on a tracker that is not configured is refused", async () => {
+  await assert.rejects(createTickets({ tracker: "jira", issues: ISSUES }, { JIRA_BASE_URL: "http://jira" }), e => {
+    assert.equal(e.status, 400);
+    assert.match(e.message, new RegExp("^Jira is not configured on the server\\. Set JIRA_EMAIL, JIRA_API_TOKEN, JIRA_PROJECT_KEY\\.$"));
+    return true;
+  });
+});
+
+test("bad requests are refused before anything is sent", async () => {
+  const env = jiraEnv(mock.url);
+  const refused = async (body, message) => assert.rejects(createTickets(body, env), e => e.status === 400 && new RegExp(message).test(e.message));
+  await refused({ tracker: "redmine", issues: ISSUES }, "Unknown tracker: redmine");
+  await refused({ tracker: "jira", issues: [] }, "No issues to create");
+  await refused({ tracker: "jira", issues: [{ title: "No body", labels: [] }] }, "Each issue needs");
+  await refused({ tracker: "jira", issues: Array.from({ length: 101 }, () => ISSUES[0]) }, "At most 100 issues per request");
+  assert.deepEqual(await received(mock.url), []);
+});
+
+test("100 issues is still accepted in one request", async () => {
+  const { dryRun, requests } = await createTickets({ tracker: "github", issues: Array.from({ length: 100 }, () => ISSUES[1]), dryRun: true }, {});
+  assert.equal(dryRun, true);
+  assert.equal(requests.length, 100);
+});
+
+// ─── Dry run ──────────────────────────────────────────────────────────────────
+
+test("a Jira dry run shows the exact requests without credentials", async () => {
+  const { requests } = await createTickets({ tracker: "jira", issues: ISSUES, dryRun: true }, jiraEnv(mock.url));
+  assert.equal(requests.length, 2);
+  assert.deepEqual(requests[0], {
+    method: "POST",
+    url: `${mock.url}/rest/api/2/issue`,
+    body: { fields: {
+      project: { key: "REL" }, issuetype: { name: "Task" }, summary: "Remove legacy auth", description: "The v1 login endpoint is removed.",
+      labels: ["Breaking-Changes", "release-2.0"], priority: { name: "Highest" },
+    } },
+  });
+  assert.equal(requests[1].body.fields.priority, undefined);
+  assert.doesNotMatch(JSON.stringify(requests), new RegExp("secret|Authorization"));
+  assert.deepEqual(await received(mock.url), []);
+});
+
+test("a dry run works unconfigured and names the missing variables", async () => {
+  const { requests } = await createTickets({ tracker: "github", issues: ISSUES, dryRun: true }, {});
+  assert.equal(requests[0].url, "https://api.github.com/repos/<GITHUB_REPO>/issues");
+  // GitHub has no priority field: the priority becomes a label
+  assert.deepEqual(requests[0].body.labels, ["Breaking Changes", "release-2.0", "Highest"]);
+  assert.deepEqual(requests[1].body.labels, ["security"]);
+});
+
+// ─── Creating issues ──────────────────────────────────────────────────────────
+
+test("Jira issues are created with Basic auth, labels and priority", async () => {
+  const { results } = await createTickets({ tracker: "jira", issues: ISSUES }, jiraEnv(mock.url));
+  assert.deepEqual(results, [
+    { ok: true, title: "Remove legacy auth", key: "REL-1", url: `${mock.url}/browse/REL-1` },
+    { ok: true, title: "Update TLS ciphers", key: "REL-2", url: `${mock.url}/browse/REL-2` },
+  ]);
+  const [first] = await received(mock.url);
+  assert.equal(first.tracker, "jira");
+  assert.deepEqual(first.body.fields.labels, ["Breaking-Changes", "release-2.0"]);
+  assert.deepEqual(first.body.fields.priority, { name: "Highest" });
+});
+
+test("GitHub issues are created with the priority as a label", async () => {
+  const { results } = await createTickets({ tracker: "github", issues: ISSUES }, githubEnv(mock.url));
+  assert.deepEqual(results.map(r => [r.ok, r.key, r.url]), [
+    [true, "#1", `${mock.url}/acme/platform/issues/1`],
+    [true, "#2", `${mock.url}/acme/platform/issues/2`],
+  ]);
+  const [first, second] = await received(mock.url);
+  assert.deepEqual(first.body, { title: "Remove legacy auth", body: "The v1 login endpoint is removed.", labels: ["Breaking Changes", "release-2.0", "Highest"] });
+  assert.deepEqual(second.body.labels, ["security"]);
+});
+
+test("issues the tracker rejects are reported one by one", async () => {
+  const jira = await createTickets({ tracker: "jira", issues: ISSUES }, jiraEnv(failingMock.url));
+  assert.deepEqual(jira.results.map(r => r.ok), [true, false]);
+  assert.equal(jira.results[1].error, "Jira returned HTTP 400: Priority name is not valid (mock failure)");
+
+  await received(failingMock.url);
+  const github = await createTickets({ tracker: "github", issues: ISSUES }, githubEnv(failingMock.url));
+  assert.equal(github.results[1].error, "GitHub Issues returned HTTP 422: Validation Failed (mock failure)");
+});
@@ -0,0 +1,88 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  ANALYSIS_SCOPES, addUsage, createAnalysisClient, createRateLimiter, formatDuration, formatTokens, formatUsd, usageTotals,
+} from "../src/core.js";
+
+// ─── Real usage ───────────────────────────────────────────────────────────────
+
+const HAIKU = "claude-haiku-4-5-20251001"; // $1 / $5 per million tokens
+
+test("addUsage folds calls per scope, with the title and overlap calls under _run", () => {
+  let usage = {};
+  usage = addUsage(usage, { scopeId: null, model: HAIKU, input: 1000, output: 50 });
+  usage = addUsage(usage, { scopeId: "deprecated", model: HAIKU, input: 200000, output: 2000 });
+  usage = addUsage(usage, { scopeId: "deprecated", model: HAIKU, input: 100000, output: 1000 });
+  assert.deepEqual(Object.keys(usage), ["_run", "deprecated"]);
+  assert.deepEqual(usage.deprecated, { calls: 2, input: 300000, output: 3000, usd: 0.315 });
+  assert.equal(usage._run.calls, 1);
+});
+
+test("usage of a model without a known price has no cost", () => {
+  let usage = addUsage({}, { scopeId: "security", model: HAIKU, input: 1000, output: 100 });
+  usage = addUsage(usage, { scopeId: "security", model: "claude-unlisted", input: 1000, output: 100 });
+  assert.equal(usage.security.usd, null);
+  assert.equal(addUsage({}, { scopeId: "security", model: "llama3.1:8b", input: 9000, output: 900 }, "openai").security.usd, 0);
+});
+
+test("usageTotals adds up every scope and keeps an unknown cost unknown", () => {
+  const usage = {
+    _run:     { calls: 1, input: 1000, output: 50, usd: 0.25 },
+    security: { calls: 2, input: 5000, output: 800, usd: 0.5 },
+  };
+  assert.deepEqual(usageTotals(usage), { calls: 3, input: 6000, output: 850, usd: 0.75 });
+  assert.equal(usageTotals({ ...usage, other: { calls: 1, input: 1, output: 1, usd: null } }).usd, null);
+  assert.deepEqual(usageTotals(undefined), { calls: 0, input: 0, output: 0, usd: 0 });
+});
+
+test("token, cost and duration formatting", () => {
+  assert.deepEqual([0, 999, 48213, 250000].map(formatTokens), ["0", "999", "48.2k", "250k"]);
+  assert.deepEqual([null, 0, 0.004, 0.0913, 12.5].map(formatUsd), ["unknown", "$0", "<$0.01", "$0.09", "$12.50"]);
+  assert.deepEqual([4.4, 75, 3725].map(formatDuration), ["4s", "1m 15s", "1h 02m"]);
+});
+
+// ─── Estimates ────────────────────────────────────────────────────────────────
+
+const scopes = ANALYSIS_SCOPES.slice(0, 4);
+const pages = n => Array.from({ length: n }, (_, i) => `[Page ${i + 1}]\n${"The service now supports offline installs. ".repeat(40)}\n`).join("");
+const roomy = () => createRateLimiter({ requests: 4000, input: 2000000, output: 400000 });
+
+test("estimateRun counts one title call plus one call per scope and chunk", () => {
+  const small = createAnalysisClient({ limiter: roomy() }).estimateRun(scopes, pages(2));
+  assert.equal(small.chunks, 1);
+  assert.equal(small.total.calls, 1 + scopes.length);
+  assert.deepEqual(small.scopes.map(s => [s.id, s.calls, s.model]), scopes.map(s => [s.id, 1, HAIKU]));
+
+  const large = createAnalysisClient({ limiter: roomy() }).estimateRun(scopes, pages(400));
+  assert.ok(large.chunks > 1);
+  assert.equal(large.total.calls, 1 + scopes.length * large.chunks);
+  assert.ok(large.total.input > small.total.input * 50);
+});
+
+test("estimateRun prices each scope with its own model", () => {
+  const client = createAnalysisClient({ limiter: roomy(), scopeModels: { [scopes[0].id]: "claude-opus-4-5-20251101" } });
+  const { scopes: rows, total } = client.estimateRun(scopes, pages(2));
+  assert.equal(rows[0].model, "claude-opus-4-5-20251101");
+  assert.ok(rows[0].usd > rows[1].usd * 4, `${rows[0].usd} vs ${rows[1].usd}`);
+  assert.ok(Math.abs(total.usd - rows.reduce((n, r) => n + r.usd, 0)) < total.usd * 0.05);
+  assert.ok(total.secs > 0);
+  assert.equal(total.pauseSecs, 0);
+});
+
+test("estimateRun shows the rate-limit pauses a small budget causes", () => {
+  const tight = createRateLimiter({ requests: 50, input: 20000, output: 8000 });
+  const { total } = createAnalysisClient({ limiter: tight }).estimateRun(scopes, pages(60));
+  assert.ok(total.pauseSecs > 60, String(total.pauseSecs));
+  assert.ok(total.secs > total.pauseSecs);
+});
+
+test("estimateRun for the offline mock is free and instant", () => {
+  const { total } = createAnalysisClient({ provider: "mock" }).estimateRun(scopes, pages(10));
+  assert.deepEqual([total.usd, total.secs, total.pauseSecs], [0, 0, 0]);
+});
+
+test("a model without a known price is estimated at an unknown cost", () => {
+  const { total } = createAnalysisClient({ limiter: roomy(), model: "claude-unlisted" }).estimateRun(scopes, pages(2));
+  assert.equal(total.usd, null);
+  assert.ok(total.input > 0);
+});
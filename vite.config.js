@@ -1,14 +1,73 @@
-import { defineConfig } from 'vite'
+import { createReadStream, readFileSync } from 'node:fs'
+import { resolve } from 'node:path'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
+import { createApiMiddleware } from './server/proxy.js'
 
-export default defineConfig({
-  plugins: [react()],
-  server: {
-    host: '0.0.0.0',
-    port: 5173,
-  },
-  preview: {
-    host: '0.0.0.0',
-    port: 4173,
-  },
+// Mounts the same /api proxy the production server uses, so `npm run dev`
+// and `npm run preview` keep the API key server-side too.
+function apiProxy() {
+  return {
+    name: 'release-lens-api-proxy',
+    configureServer(server) {
+      server.middlewares.use(createApiMiddleware())
+    },
+    configurePreviewServer(server) {
+      server.middlewares.use(createApiMiddleware())
+    },
+  }
+}
+
+// OCR runs entirely from the app's own origin: the Tesseract worker, the WASM
+// cores (SIMD and plain, both LSTM-only) and the English data are served from
+// /tesseract/ in dev and written to dist/tesseract/ at build time.
+const TESSERACT_FILES = {
+  'worker.min.js':                    'tesseract.js/dist/worker.min.js',
+  'tesseract-core-simd-lstm.wasm.js': 'tesseract.js-core/tesseract-core-simd-lstm.wasm.js',
+  'tesseract-core-lstm.wasm.js':      'tesseract.js-core/tesseract-core-lstm.wasm.js',
+  'eng.traineddata.gz':               '@tesseract.js-data/eng/4.0.0_best_int/eng.traineddata.gz',
+}
+const tesseractFile = name => resolve('node_modules', TESSERACT_FILES[name])
+
+function tesseractAssets() {
+  return {
+    name: 'release-lens-tesseract-assets',
+    configureServer(server) {
+      server.middlewares.use('/tesseract', (req, res, next) => {
+        const name = (req.url || '').split('?')[0].slice(1)
+        if (!Object.hasOwn(TESSERACT_FILES, name)) return next()
+        res.setHeader('Content-Type', name.endsWith('.js') ? 'text/javascript' : 'application/octet-stream')
+        createReadStream(tesseractFile(name)).pipe(res)
+      })
+    },
+    generateBundle() {
+      for (const name of Object.keys(TESSERACT_FILES)) {
+        this.emitFile({ type: 'asset', fileName: `tesseract/${name}`, source: readFileSync(tesseractFile(name)) })
+      }
+    },
+  }
+}
+
+export default defineConfig(({ mode }) => {
+  // Expose the server settings from .env to the proxy (no VITE_ prefix, so they are never bundled)
+  const env = loadEnv(mode, process.cwd(), '')
+  for (const name of [
+    'ANTHROPIC_API_KEY', 'OPENAI_BASE_URL', 'OPENAI_API_KEY', 'LLM_PROVIDER', 'FETCH_ALLOW_PRIVATE',
+    'JIRA_BASE_URL', 'JIRA_EMAIL', 'JIRA_API_TOKEN', 'JIRA_PROJECT_KEY', 'JIRA_ISSUE_TYPE',
+    'GITHUB_TOKEN', 'GITHUB_REPO', 'GITHUB_API_URL',
+  ]) {
+    if (env[name] && !process.env[name]) process.env[name] = env[name]
+  }
+
+  return {
+    plugins: [react(), apiProxy(), tesseractAssets()],
+    server: {
+      host: '0.0.0.0',
+      port: 5173,
+    },
+    preview: {
+      host: '0.0.0.0',
+      port: 4173,
+    },
+  }
 })